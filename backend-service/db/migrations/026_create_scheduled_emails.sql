@@ -0,0 +1,42 @@
+-- Migration 026: Durable send queue for scheduled emails
+-- Replaces the table dropped in 024 with a queue the cron worker drains.
+-- Status lifecycle:
+--   pending -> sending -> sent
+--   pending -> sending -> pending (retry with backoff) -> ... -> failed
+--   pending -> cancelled
+-- Rows are claimed with FOR UPDATE SKIP LOCKED so concurrent workers never
+-- pick up the same email; locked_at lets a later run reclaim rows whose
+-- worker died mid-send.
+
+CREATE TABLE IF NOT EXISTS scheduled_emails (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  to_email TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  attachments JSONB NOT NULL DEFAULT '[]'::jsonb,
+  contact_info JSONB NOT NULL DEFAULT '{}'::jsonb,
+  send_at TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  locked_at TIMESTAMPTZ,
+  gmail_message_id TEXT,
+  gmail_thread_id TEXT,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Auto-update updated_at
+DROP TRIGGER IF EXISTS set_scheduled_emails_updated_at ON scheduled_emails;
+CREATE TRIGGER set_scheduled_emails_updated_at
+BEFORE UPDATE ON scheduled_emails
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Listing a user's queue
+CREATE INDEX IF NOT EXISTS idx_scheduled_emails_user_id ON scheduled_emails (user_id, send_at);
+
+-- Worker scan for due rows
+CREATE INDEX IF NOT EXISTS idx_scheduled_emails_due ON scheduled_emails (send_at)
+WHERE status = 'pending';
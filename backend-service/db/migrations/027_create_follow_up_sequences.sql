@@ -0,0 +1,60 @@
+-- Migration 027: Multi-step follow-up sequences attached to a connection
+-- steps: JSONB array of { "templateTitle": string, "delayDays": number }
+--   Each delay counts from the previous email sent on the connection.
+-- current_step: index into steps of the next follow-up to send
+-- A connection can have at most one active sequence at a time.
+
+CREATE TABLE IF NOT EXISTS follow_up_sequences (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  contact_id BIGINT NOT NULL,
+  steps JSONB NOT NULL,
+  current_step INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'stopped', 'failed')),
+  next_run_at TIMESTAMPTZ,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  stop_reason TEXT,
+  locked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (user_id, contact_id) REFERENCES connections(user_id, contact_id) ON DELETE CASCADE
+);
+
+-- Auto-update updated_at
+DROP TRIGGER IF EXISTS set_follow_up_sequences_updated_at ON follow_up_sequences;
+CREATE TRIGGER set_follow_up_sequences_updated_at
+BEFORE UPDATE ON follow_up_sequences
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_follow_up_sequences_active
+ON follow_up_sequences (user_id, contact_id)
+WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_follow_up_sequences_due
+ON follow_up_sequences (next_run_at)
+WHERE status = 'active';
+
+-- Stop active sequences as soon as the conversation moves on
+CREATE OR REPLACE FUNCTION stop_follow_up_sequences_on_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IN ('responded', 'meeting_scheduled', 'converted', 'closed') THEN
+    UPDATE follow_up_sequences
+    SET status = 'stopped',
+        stop_reason = 'connection_' || NEW.status,
+        next_run_at = NULL
+    WHERE user_id = NEW.user_id
+      AND contact_id = NEW.contact_id
+      AND status = 'active';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS stop_follow_up_sequences_on_connection_status ON connections;
+CREATE TRIGGER stop_follow_up_sequences_on_connection_status
+AFTER UPDATE OF status ON connections
+FOR EACH ROW
+WHEN (OLD.status IS DISTINCT FROM NEW.status)
+EXECUTE FUNCTION stop_follow_up_sequences_on_status();
@@ -0,0 +1,14 @@
+-- Migration 028: Reply detection bookkeeping
+-- Users opt in with preferences.replyDetection = true (and a Google grant that
+-- includes gmail.readonly). reply_sync_at records the last time the cron worker
+-- checked that user's threads so work is spread across runs.
+
+ALTER TABLE user_profiles
+ADD COLUMN IF NOT EXISTS preferences JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE user_profiles
+ADD COLUMN IF NOT EXISTS reply_sync_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_user_profiles_reply_detection
+ON user_profiles (reply_sync_at NULLS FIRST)
+WHERE preferences->>'replyDetection' = 'true';
@@ -0,0 +1,45 @@
+-- Migration 029: Mail-merge campaigns
+-- A campaign renders one template per recipient and queues each email in
+-- scheduled_emails, spaced interval_seconds apart to stay under Gmail limits.
+-- Per-recipient status comes from the linked scheduled_emails row, or
+-- 'skipped' when the recipient was never queued (skip_reason says why).
+
+CREATE TABLE IF NOT EXISTS email_campaigns (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  name TEXT,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  interval_seconds INTEGER NOT NULL,
+  start_at TIMESTAMPTZ NOT NULL,
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS set_email_campaigns_updated_at ON email_campaigns;
+CREATE TRIGGER set_email_campaigns_updated_at
+BEFORE UPDATE ON email_campaigns
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+CREATE INDEX IF NOT EXISTS idx_email_campaigns_user_id ON email_campaigns (user_id, created_at DESC);
+
+ALTER TABLE scheduled_emails
+ADD COLUMN IF NOT EXISTS campaign_id BIGINT REFERENCES email_campaigns(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_emails_campaign_id ON scheduled_emails (campaign_id)
+WHERE campaign_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS email_campaign_recipients (
+  id BIGSERIAL PRIMARY KEY,
+  campaign_id BIGINT NOT NULL REFERENCES email_campaigns(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  to_email TEXT NOT NULL,
+  contact_info JSONB NOT NULL DEFAULT '{}'::jsonb,
+  scheduled_email_id BIGINT REFERENCES scheduled_emails(id) ON DELETE SET NULL,
+  skip_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_campaign_recipients_campaign_id
+ON email_campaign_recipients (campaign_id, position);
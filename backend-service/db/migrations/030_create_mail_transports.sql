@@ -0,0 +1,17 @@
+-- Migration 030: Per-user outbound mail transport (Gmail API unless configured otherwise)
+-- settings holds non-secret options (SMTP host/port/username, from address);
+-- credentials holds the AES-256-GCM encrypted secrets (SMTP password, Graph refresh token)
+
+CREATE TABLE IF NOT EXISTS mail_transports (
+  user_id TEXT PRIMARY KEY,
+  transport TEXT NOT NULL CHECK (transport IN ('gmail', 'smtp', 'graph', 'capture')),
+  settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+  credentials TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS set_mail_transports_updated_at ON mail_transports;
+CREATE TRIGGER set_mail_transports_updated_at
+BEFORE UPDATE ON mail_transports
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
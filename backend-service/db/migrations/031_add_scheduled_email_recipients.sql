@@ -0,0 +1,7 @@
+-- Migration 031: Cc/Bcc/Reply-To on scheduled emails
+-- The MIME composer supports extra recipients; queued emails keep them until sent.
+
+ALTER TABLE scheduled_emails
+  ADD COLUMN IF NOT EXISTS cc TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS bcc TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS reply_to TEXT;
@@ -0,0 +1,36 @@
+-- Migration 032: Persistent sent-email history
+-- Every delivered email gets a row here. History and stats used to live in
+-- the KV session (emailHistory), which expires after 24 hours.
+-- contact_id is null when the recipient could not be matched to a contact.
+
+CREATE TABLE IF NOT EXISTS sent_emails (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  contact_id BIGINT REFERENCES contacts(id) ON DELETE SET NULL,
+  to_email TEXT NOT NULL,
+  cc TEXT[] NOT NULL DEFAULT '{}',
+  bcc TEXT[] NOT NULL DEFAULT '{}',
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  attachments JSONB NOT NULL DEFAULT '[]'::jsonb,
+  template_title TEXT,
+  transport TEXT NOT NULL DEFAULT 'gmail',
+  message_id TEXT,
+  thread_id TEXT,
+  is_follow_up BOOLEAN NOT NULL DEFAULT FALSE,
+  sequence_id BIGINT,
+  campaign_id BIGINT,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- History listing and date-range stats
+CREATE INDEX IF NOT EXISTS idx_sent_emails_user_sent_at ON sent_emails (user_id, sent_at DESC);
+
+-- History filters
+CREATE INDEX IF NOT EXISTS idx_sent_emails_user_recipient ON sent_emails (user_id, lower(to_email));
+CREATE INDEX IF NOT EXISTS idx_sent_emails_user_contact ON sent_emails (user_id, contact_id)
+WHERE contact_id IS NOT NULL;
+
+-- Scheduled emails remember which template they came from until they are sent
+ALTER TABLE scheduled_emails
+  ADD COLUMN IF NOT EXISTS template_title TEXT;
@@ -0,0 +1,21 @@
+-- Migration 033: Do-not-contact suppression lists
+-- Addresses and domains that must never be emailed. Rows with a user_id
+-- belong to that user's list; rows without one are global and apply to
+-- everyone (managed with scripts/import-suppressions.js).
+-- Values are stored lowercased; a domain entry also covers its subdomains.
+
+CREATE TABLE IF NOT EXISTS email_suppressions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT,
+  kind TEXT NOT NULL CHECK (kind IN ('email', 'domain')),
+  value TEXT NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One entry per list; NULL user_id (global) is folded to '' so it is unique too
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_suppressions_unique
+ON email_suppressions ((COALESCE(user_id, '')), kind, value);
+
+-- Listing a user's entries
+CREATE INDEX IF NOT EXISTS idx_email_suppressions_user_id ON email_suppressions (user_id, created_at DESC);
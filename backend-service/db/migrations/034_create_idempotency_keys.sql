@@ -0,0 +1,22 @@
+-- Migration 034: Idempotency keys
+-- Remembers the outcome of a request sent with an Idempotency-Key header so a
+-- retried request (e.g. after the extension lost its connection) gets the
+-- original response instead of sending the email again.
+-- A key is 'in_progress' while the first request runs and 'completed' once its
+-- response is stored. Keys are kept for 24 hours; the cron job purges older ones.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  -- Method, path and body of the first request; a retry must match it
+  request_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  PRIMARY KEY (user_id, idempotency_key)
+);
+
+-- Purging expired keys
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys (created_at);
@@ -0,0 +1,27 @@
+-- Migration 035: Email signatures
+-- Signatures a user can append to outgoing emails instead of pasting them
+-- into every template. A user can keep several; at most one is the default,
+-- which /api/email/send uses unless the request picks another (or 'none').
+-- text_body is the plain-text version; html_body is optional and may contain
+-- links. logo_url points at an image in the upload store.
+
+CREATE TABLE IF NOT EXISTS email_signatures (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  text_body TEXT NOT NULL,
+  html_body TEXT,
+  logo_url TEXT,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_signatures_user_id ON email_signatures (user_id);
+
+-- At most one default per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_signatures_default
+ON email_signatures (user_id) WHERE is_default;
+
+-- Scheduled emails keep the signature chosen when they were scheduled ({ text, html })
+ALTER TABLE scheduled_emails ADD COLUMN IF NOT EXISTS signature JSONB;
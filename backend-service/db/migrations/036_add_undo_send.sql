@@ -0,0 +1,12 @@
+-- Migration 036: Undo send
+-- With preferences.undoSendSeconds set, /api/email/send holds an email in
+-- scheduled_emails (kind 'undo') for that many seconds so the user can still
+-- cancel it. Held emails can be replies, so the thread to send into
+-- ({ threadId, inReplyTo, references }) is kept with them.
+
+ALTER TABLE scheduled_emails
+ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'scheduled' CHECK (kind IN ('scheduled', 'undo'));
+
+ALTER TABLE scheduled_emails ADD COLUMN IF NOT EXISTS thread JSONB;
+
+ALTER TABLE scheduled_emails ADD COLUMN IF NOT EXISTS is_follow_up BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,7 @@
+-- Migration 037: Email body format
+-- /api/email/send takes format 'text' (the default; HTML in it is escaped),
+-- 'markdown' or 'html'. Queued emails keep the format they were sent with so
+-- the worker renders them the same way.
+
+ALTER TABLE scheduled_emails
+ADD COLUMN IF NOT EXISTS body_format TEXT NOT NULL DEFAULT 'text' CHECK (body_format IN ('text', 'markdown', 'html'));
@@ -0,0 +1,22 @@
+-- Migration 038: Open and click tracking
+-- Tracked emails carry a pixel and links that go through /api/track. Each hit
+-- is stored here against the sender, the recipient's contact (the connection
+-- is user_id + contact_id) and the email's Message-ID, which is also kept on
+-- the connection message as rfc_message_id.
+
+CREATE TABLE IF NOT EXISTS email_tracking_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  contact_id BIGINT,
+  message_id TEXT NOT NULL,
+  event_type TEXT NOT NULL CHECK (event_type IN ('open', 'click')),
+  url TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_tracking_events_connection
+ON email_tracking_events (user_id, contact_id, created_at);
+
+-- Per-send choice for queued emails; NULL follows preferences.trackEmails
+ALTER TABLE scheduled_emails ADD COLUMN IF NOT EXISTS track BOOLEAN;
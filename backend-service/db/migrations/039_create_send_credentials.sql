@@ -0,0 +1,13 @@
+-- Migration 039: Durable send credentials
+-- Scheduled emails, campaigns and follow-up sequences are sent by the cron
+-- worker, often days after they were queued, while the KV session that holds
+-- the user's Google tokens expires 24 hours after their last request. When a
+-- user queues something, the parts of the session needed to send (identity
+-- and Google tokens) are copied here, encrypted, and the worker falls back
+-- to this copy. Signing out deletes it.
+
+CREATE TABLE IF NOT EXISTS send_credentials (
+  user_id TEXT PRIMARY KEY,
+  credentials TEXT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -9,6 +9,10 @@ const rateLimit = require('express-rate-limit');
 
 const { router: authRoutes } = require('./routes/auth');
 const emailRoutes = require('./routes/email');
+const campaignsRoutes = require('./routes/campaigns');
+const transportsRoutes = require('./routes/transports');
+const suppressionsRoutes = require('./routes/suppressions');
+const signaturesRoutes = require('./routes/signatures');
 const userRoutes = require('./routes/user');
 const { authenticateToken } = require('./middleware/auth');
 const contactsRoutes = require('./routes/contacts');
@@ -17,6 +21,10 @@ const uploadRoutes = require('./routes/upload');
 const chatRoutes = require('./routes/chat');
 const referralsRoutes = require('./routes/referrals');
 const installRoutes = require('./routes/install');
+const sequencesRoutes = require('./routes/sequences');
+const repliesRoutes = require('./routes/replies');
+const { router: cronRoutes, runScheduledJobs } = require('./routes/cron');
+const trackingRoutes = require('./routes/tracking');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -70,7 +78,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After'],
   optionsSuccessStatus: 200 // Some legacy browsers choke on 204
 };
 
@@ -97,14 +106,22 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/email/campaigns', authenticateToken, campaignsRoutes);
+app.use('/api/email/transport', authenticateToken, transportsRoutes);
+app.use('/api/email/suppressions', authenticateToken, suppressionsRoutes);
+app.use('/api/email/signatures', authenticateToken, signaturesRoutes);
 app.use('/api/email', authenticateToken, emailRoutes);
 app.use('/api/user', authenticateToken, userRoutes);
 app.use('/api/contacts', authenticateToken, contactsRoutes);
 app.use('/api/connections', authenticateToken, connectionsRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/track', trackingRoutes);
 app.use('/api/chat', authenticateToken, chatRoutes);
 app.use('/api/referrals', authenticateToken, referralsRoutes);
+app.use('/api/sequences', authenticateToken, sequencesRoutes);
+app.use('/api/replies', authenticateToken, repliesRoutes);
 app.use('/install', installRoutes);
+app.use('/api/cron', cronRoutes);
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -149,4 +166,13 @@ if (require.main === module) {
     console.log(`🚀 LinkMail Backend running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   });
+
+  // No Vercel Cron locally - poll the scheduled email queue in-process instead
+  if (process.env.DATABASE_URL) {
+    setInterval(() => {
+      runScheduledJobs().catch((error) => {
+        console.error('[cron] local dispatch failed:', error?.message || error);
+      });
+    }, 60 * 1000);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,98 @@
+// Idempotency-Key middleware for LinkMail backend
+
+const {
+  hashRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} = require('../utils/idempotency');
+
+// Printable ASCII, as most clients generate (UUIDs, random tokens)
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+/**
+ * Middleware that makes a route safe to retry with an Idempotency-Key header.
+ * The first request with a key runs normally; a successful response is stored
+ * and returned to any repeat within the window (with Idempotent-Replayed: true)
+ * without running the route again. A failed response releases the key so the
+ * client can retry. Requests without the header are not affected.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function idempotencyKey(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      error: 'Invalid Idempotency-Key',
+      message: 'Idempotency-Key must be 1-255 printable ASCII characters'
+    });
+  }
+
+  const userId = req.user.id;
+  let claim;
+  try {
+    claim = await claimIdempotencyKey(userId, key, hashRequest(req.method, req.originalUrl, req.body));
+  } catch (error) {
+    console.error('Error claiming idempotency key:', error);
+    return res.status(500).json({
+      error: 'Idempotency check failed',
+      message: 'An error occurred while checking the Idempotency-Key'
+    });
+  }
+
+  if (claim.state === 'mismatch') {
+    return res.status(422).json({
+      error: 'Idempotency key reused',
+      message: 'This Idempotency-Key was already used for a different request'
+    });
+  }
+  if (claim.state === 'in_progress') {
+    res.set('Retry-After', '1');
+    return res.status(409).json({
+      error: 'Request in progress',
+      message: 'A request with this Idempotency-Key is still being processed'
+    });
+  }
+  if (claim.state === 'completed') {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.responseStatus).json(claim.responseBody);
+  }
+
+  // Store the outcome before the response goes out, so a retry that arrives
+  // right after it sees the completed key
+  let settled = false;
+  const settle = async (status, payload) => {
+    if (settled) return;
+    settled = true;
+    try {
+      if (status < 400) {
+        await completeIdempotencyKey(userId, key, status, payload);
+      } else {
+        await releaseIdempotencyKey(userId, key);
+      }
+    } catch (error) {
+      console.error('Error saving idempotency key outcome:', error);
+    }
+  };
+
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    settle(res.statusCode, payload).then(() => json(payload));
+    return res;
+  };
+  // A response sent without res.json is not stored; free the key
+  res.on('finish', () => {
+    if (!settled) settle(500, null);
+  });
+
+  next();
+}
+
+module.exports = {
+  idempotencyKey
+};
@@ -5,6 +5,9 @@ const { google } = require('googleapis');
 const { generateToken, verifyToken } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../db');
+const { GMAIL_READ_SCOPE } = require('../utils/mailbox');
+const { GMAIL_COMPOSE_SCOPE } = require('../utils/drafts');
+const { deleteSendCredentials } = require('../utils/send-credentials');
 
 const router = express.Router();
 
@@ -45,6 +48,16 @@ router.get('/google', (req, res) => {
     'https://www.googleapis.com/auth/userinfo.profile'
   ];
 
+  // Reply detection needs to read the threads of sent messages
+  if (req.query.replyDetection === 'true') {
+    scopes.push(GMAIL_READ_SCOPE);
+  }
+
+  // Draft mode creates messages in the user's Gmail drafts
+  if (req.query.drafts === 'true') {
+    scopes.push(GMAIL_COMPOSE_SCOPE);
+  }
+
   // Encode source and referral code in state parameter
   const stateData = {
     source: req.query.source || 'web',
@@ -54,6 +67,8 @@ router.get('/google', (req, res) => {
   const url = oauth2Client.generateAuthUrl({
     access_type: 'offline',
     scope: scopes,
+    // Keep scopes granted earlier (e.g. read access) when adding another
+    include_granted_scopes: true,
     prompt: 'consent',
     state: JSON.stringify(stateData)
   });
@@ -370,6 +385,14 @@ router.post('/logout', async (req, res) => {
     if (decoded) {
       // Remove user session
       await deleteUserSession(decoded.id);
+      // and the copy kept for queued sends, so nothing is sent as them after signing out
+      try {
+        if (process.env.DATABASE_URL) {
+          await deleteSendCredentials(decoded.id);
+        }
+      } catch (error) {
+        console.error('Failed to delete send credentials:', error);
+      }
     }
   }
 
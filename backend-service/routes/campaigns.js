@@ -0,0 +1,183 @@
+// Campaign routes for LinkMail backend
+// Mail-merge bulk sends built on the scheduled email queue
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { createCampaign, getCampaign, listCampaigns, cancelCampaign } = require('../utils/campaigns');
+const { assertAllowedUrl } = require('../utils/attachments');
+const { isFutureSendAt } = require('../utils/scheduled-emails');
+
+const router = express.Router();
+
+const MAX_RECIPIENTS = 100;
+// Spacing between sends; Gmail starts rate limiting bursts well before the daily cap
+const DEFAULT_INTERVAL_SECONDS = 60;
+const MIN_INTERVAL_SECONDS = 20;
+const MAX_INTERVAL_SECONDS = 60 * 60;
+
+/**
+ * POST /api/email/campaigns
+ * Create a mail-merge campaign
+ * Body: {
+ *   name?: string,
+ *   subject: string, body: string - may contain placeholders like [Recipient First Name],
+ *   recipients: [{ to: string, contactInfo?: { firstName, lastName, company, jobTitle, linkedinUrl } }],
+ *   attachments?: array, intervalSeconds?: number, startAt?: ISO 8601 date
+ * }
+ */
+router.post('/', [
+  body('name').optional().isString().trim(),
+  body('subject').notEmpty().withMessage('Subject is required'),
+  body('body').notEmpty().withMessage('Email body is required'),
+  body('recipients').isArray({ min: 1, max: MAX_RECIPIENTS })
+    .withMessage(`Recipients must be an array of 1-${MAX_RECIPIENTS} items`),
+  body('recipients.*.to').isEmail().withMessage('Each recipient needs a valid email'),
+  body('recipients.*.contactInfo').optional().isObject().withMessage('contactInfo must be an object'),
+  body('recipients.*.contactInfo.firstName').optional().isString().trim(),
+  body('recipients.*.contactInfo.lastName').optional().isString().trim(),
+  body('recipients.*.contactInfo.jobTitle').optional().isString().trim(),
+  body('recipients.*.contactInfo.company').optional().isString().trim(),
+  body('recipients.*.contactInfo.linkedinUrl').optional().isString().trim(),
+  body('attachments').optional().isArray().withMessage('Attachments must be an array'),
+  body('attachments.*.url').optional().custom(url => {
+    assertAllowedUrl(url);
+    return true;
+  }),
+  body('intervalSeconds').optional().isInt({ min: MIN_INTERVAL_SECONDS, max: MAX_INTERVAL_SECONDS })
+    .withMessage(`intervalSeconds must be between ${MIN_INTERVAL_SECONDS} and ${MAX_INTERVAL_SECONDS}`),
+  body('startAt').optional({ nullable: true }).isISO8601().withMessage('startAt must be an ISO 8601 date')
+    .bail().custom(isFutureSendAt)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const userId = req.user.id;
+  const { name, subject, body, recipients, attachments = [], intervalSeconds, startAt } = req.body;
+
+  try {
+    const campaignId = await createCampaign(userId, {
+      name,
+      subject,
+      body,
+      recipients,
+      attachments,
+      intervalSeconds: intervalSeconds ? parseInt(intervalSeconds) : DEFAULT_INTERVAL_SECONDS,
+      startAt
+    });
+    const campaign = await getCampaign(userId, campaignId);
+
+    res.status(201).json({
+      success: true,
+      campaign,
+      message: `Campaign created: ${campaign.counts.pending || 0} queued, ${campaign.counts.skipped || 0} skipped`
+    });
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    res.status(500).json({
+      error: 'Failed to create campaign',
+      message: 'An error occurred while creating the campaign'
+    });
+  }
+});
+
+/**
+ * GET /api/email/campaigns
+ * List the user's campaigns with recipient counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const campaigns = await listCampaigns(req.user.id);
+    res.json({
+      success: true,
+      campaigns,
+      total: campaigns.length
+    });
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    res.status(500).json({
+      error: 'Failed to fetch campaigns',
+      message: 'An error occurred while retrieving your campaigns'
+    });
+  }
+});
+
+/**
+ * GET /api/email/campaigns/:id
+ * Get a campaign with the status of every recipient
+ */
+router.get('/:id', [
+  param('id').isInt().withMessage('Campaign ID must be a valid integer')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const campaign = await getCampaign(req.user.id, parseInt(req.params.id));
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Campaign not found',
+        message: 'No campaign found with this ID'
+      });
+    }
+    res.json({ success: true, campaign });
+  } catch (error) {
+    console.error('Error fetching campaign:', error);
+    res.status(500).json({
+      error: 'Failed to fetch campaign',
+      message: 'An error occurred while retrieving the campaign'
+    });
+  }
+});
+
+/**
+ * DELETE /api/email/campaigns/:id
+ * Cancel the campaign's unsent emails
+ */
+router.delete('/:id', [
+  param('id').isInt().withMessage('Campaign ID must be a valid integer')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const userId = req.user.id;
+  const campaignId = parseInt(req.params.id);
+
+  try {
+    const cancelledCount = await cancelCampaign(userId, campaignId);
+    if (cancelledCount === null) {
+      return res.status(404).json({
+        error: 'Campaign not found',
+        message: 'No campaign found with this ID'
+      });
+    }
+    const campaign = await getCampaign(userId, campaignId);
+    res.json({
+      success: true,
+      campaign,
+      message: `Campaign cancelled (${cancelledCount} unsent emails cancelled)`
+    });
+  } catch (error) {
+    console.error('Error cancelling campaign:', error);
+    res.status(500).json({
+      error: 'Failed to cancel campaign',
+      message: 'An error occurred while cancelling the campaign'
+    });
+  }
+});
+
+module.exports = router;
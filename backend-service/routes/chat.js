@@ -1,10 +1,123 @@
 const express = require('express');
 const { query } = require('../db');
+const { LLMError, getLLMClient } = require('../utils/llm');
+const {
+  buildTemplateVariables,
+  renderEmail,
+  renderTemplate,
+  findInstructionSlots,
+  loadSenderProfile,
+  loadTemplateVariables
+} = require('../utils/template-renderer');
 
 const router = express.Router();
 
+// Tone and length choices for drafts, as they are described to the model
+const DRAFT_TONES = {
+  formal: 'Uses a formal, polished and respectful tone',
+  warm: 'Uses a warm, friendly and personable tone',
+  casual: 'Uses a relaxed, casual and conversational tone',
+  direct: 'Uses a direct, no-nonsense tone that gets to the point in the first sentence'
+};
+const DRAFT_LENGTHS = {
+  short: 'Is brief (2-4 sentences max)',
+  medium: 'Is concise (5-8 sentences max)',
+  long: 'Is thorough but focused (8-12 sentences max)'
+};
+const MAX_VARIANTS = 5;
+
+/**
+ * System prompt for drafting outreach messages
+ * @param {Object} settings - { tone, length, language }; null fields keep the defaults
+ * @returns {string}
+ */
+function buildDraftSystemPrompt({ tone = null, length = null, language = null } = {}) {
+  return [
+    'You are LinkMail, an expert assistant that drafts concise, high-converting outreach emails and DMs.',
+    'Given a user purpose and optional context, write a clear, friendly draft that:',
+    `- ${tone ? DRAFT_TONES[tone] : 'Matches a professional, human tone'}`,
+    `- ${DRAFT_LENGTHS[length || 'medium']}`,
+    '- Personalizes with provided context when helpful',
+    '- Uses the sender\'s background and experience to add credibility',
+    '- Avoids exaggerated claims and buzzwords',
+    '- Ends with a single, specific call-to-action',
+    ...(language ? [`- Is written entirely in ${language}, subject line included`] : []),
+    '',
+    'Format your response as JSON with exactly two fields:',
+    '{ "subject": "Your subject line here", "body": "Your email body here" }',
+    '',
+    'The subject line should be:',
+    '- Attention-grabbing and personalized',
+    '- Short (5-8 words)',
+    '- Professional and relevant to the purpose',
+    '',
+    'If a Sender name is provided in the context, use that exact name in any self-introduction and in the sign-off. Do not invent or alter it.',
+    'Never output placeholders like "[Not specified]" or "[Not Specified]". If a piece of information is missing, omit it rather than writing a placeholder.',
+    '',
+    'Return ONLY valid JSON without any additional text, markdown formatting, or code blocks.'
+  ].join('\n');
+}
+
+/**
+ * Check the draft settings in a request body
+ * @param {Object} body - { variants?, tone?, length?, language? }; tone and length may be
+ *   a single value or a list that the variants cycle through
+ * @returns {{error: string}|{variants: Array<{tone, length, language}>}}
+ */
+function parseDraftSettings({ variants, tone, length, language } = {}) {
+  const tones = tone === undefined || tone === null ? [null] : [].concat(tone);
+  if (!tones.length || tones.some(value => value !== null && !Object.hasOwn(DRAFT_TONES, value))) {
+    return { error: `Field "tone" must be one of ${Object.keys(DRAFT_TONES).join(', ')}, or a list of them.` };
+  }
+
+  const lengths = length === undefined || length === null ? [null] : [].concat(length);
+  if (!lengths.length || lengths.some(value => value !== null && !Object.hasOwn(DRAFT_LENGTHS, value))) {
+    return { error: `Field "length" must be one of ${Object.keys(DRAFT_LENGTHS).join(', ')}, or a list of them.` };
+  }
+
+  let lang = null;
+  if (language !== undefined && language !== null) {
+    // A language name, not free text: it is pasted into the system prompt
+    if (typeof language !== 'string' || !/^[\p{L}][\p{L} ()'-]{1,39}$/u.test(language.trim())) {
+      return { error: 'Field "language" must be a language name such as "Spanish".' };
+    }
+    lang = language.trim();
+  }
+
+  const count = variants === undefined || variants === null ? Math.max(tones.length, lengths.length) : variants;
+  if (!Number.isInteger(count) || count < 1 || count > MAX_VARIANTS) {
+    return { error: `Field "variants" must be an integer from 1 to ${MAX_VARIANTS}.` };
+  }
+
+  return {
+    variants: Array.from({ length: count }, (_, i) => ({
+      tone: tones[i % tones.length],
+      length: lengths[i % lengths.length],
+      language: lang
+    }))
+  };
+}
+
+/**
+ * Human-readable label for a variant's settings, e.g. "Warm · Short · Spanish"
+ * @param {Object} settings - { tone, length, language }
+ * @param {Array} all - Every variant's settings; repeats are numbered
+ * @returns {string}
+ */
+function labelDraftSettings(settings, all) {
+  const capitalize = value => value.charAt(0).toUpperCase() + value.slice(1);
+  const parts = [settings.tone, settings.length, settings.language].filter(Boolean).map(capitalize);
+  const label = parts.length ? parts.join(' · ') : 'Default';
+  const same = all.filter(other => other.tone === settings.tone && other.length === settings.length);
+  return same.length > 1 ? `${label} (${same.indexOf(settings) + 1})` : label;
+}
+
 // POST /api/chat/generate
-// Body: { prompt: string, context?: object | array }
+// Body: { prompt: string, context?: object | array, variants?: number (1-5),
+//         tone?: 'formal'|'warm'|'casual'|'direct' or a list, length?: 'short'|'medium'|'long' or a list,
+//         language?: string }
+// Returns the first draft as subject/body plus every candidate in `variants`, each labeled
+// with the settings used. Lists of tones or lengths are cycled through across the variants.
 router.post('/generate', async (req, res) => {
   try {
     const { prompt, context } = req.body || {};
@@ -17,116 +130,466 @@ router.post('/generate', async (req, res) => {
       });
     }
 
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      // Fail fast if no API key is configured
+    const settings = parseDraftSettings(req.body);
+    if (settings.error) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: settings.error
+      });
+    }
+
+    let llm;
+    try {
+      llm = getLLMClient();
+    } catch (configError) {
+      // Fail fast if no provider is configured
       return res.status(500).json({
         error: 'LLM not configured',
-        message: 'OPENAI_API_KEY is not set on the server.'
+        message: configError.message
       });
     }
 
     // Fetch user profile data for better personalization
     const userProfile = await fetchUserProfile(userId);
 
-    // Prepare a focused system prompt for drafting outreach messages
+    // One call per variant, so each is written for its own settings.
+    // Variants that fail are left out as long as at least one succeeds.
+    const results = await Promise.allSettled(
+      settings.variants.map(variant => llm.complete(buildDraftRequest(prompt, context, userProfile, variant)))
+    );
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure && !(failure.reason instanceof LLMError)) throw failure.reason;
+
+    const variants = [];
+    const completions = [];
+    results.forEach((result, i) => {
+      if (result.status !== 'fulfilled') return;
+      const variant = settings.variants[i];
+      completions.push(result.value);
+      variants.push({
+        label: labelDraftSettings(variant, settings.variants),
+        settings: variant,
+        ...parseDraft(result.value.content, userProfile)
+      });
+    });
+    if (!variants.length) {
+      return sendLLMError(res, failure.reason);
+    }
+
+    const [{ subject, body }] = variants;
+    return res.json({
+      subject,
+      body,
+      draft: body, // Keep for backward compatibility
+      variants,
+      provider: completions[0].provider,
+      model: completions[0].model,
+      usage: sumUsage(completions.map(completion => completion.usage))
+    });
+  } catch (error) {
+    console.error('Error generating draft:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Unexpected error while generating draft.'
+    });
+  }
+});
+
+// POST /api/chat/generate/stream
+// Body: same as /generate, for a single draft (variants must be 1). Answers with Server-Sent Events:
+//   event: token  data: { text }  - each piece of the raw reply as it is generated
+//   event: done   data: { subject, body, draft, provider, model, usage }
+//   event: error  data: { error, message }
+// Errors found before the stream starts are plain JSON responses, as on /generate.
+router.post('/generate/stream', async (req, res) => {
+  const { prompt, context } = req.body || {};
+  const userId = req.user.id;
+
+  if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'Field "prompt" is required and must be a non-empty string.'
+    });
+  }
+
+  const settings = parseDraftSettings(req.body);
+  if (!settings.error && settings.variants.length > 1) {
+    settings.error = 'Streaming generates a single draft; use /api/chat/generate for variants.';
+  }
+  if (settings.error) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: settings.error
+    });
+  }
+
+  let llm;
+  try {
+    llm = getLLMClient();
+  } catch (configError) {
+    return res.status(500).json({
+      error: 'LLM not configured',
+      message: configError.message
+    });
+  }
+
+  const userProfile = await fetchUserProfile(userId);
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Stop generating (and paying for) tokens nobody will read
+  const disconnected = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) disconnected.abort();
+  });
+
+  try {
+    const completion = await llm.stream(
+      buildDraftRequest(prompt, context, userProfile, settings.variants[0]),
+      text => sendEvent(res, 'token', { text }),
+      { signal: disconnected.signal }
+    );
+    const { subject, body } = parseDraft(completion.content, userProfile);
+    sendEvent(res, 'done', {
+      subject,
+      body,
+      draft: body,
+      provider: completion.provider,
+      model: completion.model,
+      usage: completion.usage
+    });
+  } catch (error) {
+    if (disconnected.signal.aborted) return;
+    if (error instanceof LLMError) {
+      const { payload } = describeLLMError(error);
+      sendEvent(res, 'error', { error: payload.error, message: payload.message });
+    } else {
+      console.error('Error streaming draft:', error);
+      sendEvent(res, 'error', {
+        error: 'Internal Server Error',
+        message: 'Unexpected error while generating draft.'
+      });
+    }
+  }
+  res.end();
+});
+
+// Preset edits for /rewrite, as they are described to the model
+const REWRITE_OPERATIONS = {
+  shorten: 'Make it noticeably shorter while keeping the key points and the call-to-action.',
+  expand: 'Make it somewhat longer and more specific, without padding or repetition.',
+  fix_grammar: 'Fix spelling, grammar and punctuation only. Do not change the wording otherwise.',
+  more_formal: 'Make the tone more formal and polished.',
+  more_casual: 'Make the tone more relaxed and conversational.',
+  less_salesy: 'Make it less salesy: drop hype, pressure and marketing language, and keep it genuine.'
+};
+const MAX_REWRITE_BODY_LENGTH = 20000;
+const MAX_INSTRUCTION_LENGTH = 1000;
+
+// POST /api/chat/rewrite
+// Body: { body: string, subject?: string, operation?: 'shorten'|'expand'|'fix_grammar'|'more_formal'|'more_casual'|'less_salesy',
+//         instruction?: string, context?: object | array }
+// At least one of operation and instruction is required; when both are given the instruction refines the operation.
+// Returns the revised draft and a short summary of what changed.
+router.post('/rewrite', async (req, res) => {
+  try {
+    const { subject = '', body, operation, instruction, context } = req.body || {};
+    const userId = req.user.id;
+
+    if (!body || typeof body !== 'string' || !body.trim() || body.length > MAX_REWRITE_BODY_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `Field "body" is required and must be a non-empty string of at most ${MAX_REWRITE_BODY_LENGTH} characters.`
+      });
+    }
+    if (typeof subject !== 'string' || subject.length > 998) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Field "subject" must be a string of at most 998 characters.'
+      });
+    }
+    if (operation !== undefined && operation !== null && !Object.hasOwn(REWRITE_OPERATIONS, operation)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `Field "operation" must be one of ${Object.keys(REWRITE_OPERATIONS).join(', ')}.`
+      });
+    }
+    if (instruction !== undefined && instruction !== null && (typeof instruction !== 'string' || instruction.length > MAX_INSTRUCTION_LENGTH)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: `Field "instruction" must be a string of at most ${MAX_INSTRUCTION_LENGTH} characters.`
+      });
+    }
+    const request = [operation && REWRITE_OPERATIONS[operation], instruction && instruction.trim()].filter(Boolean).join('\n');
+    if (!request) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Provide an "operation" or an "instruction".'
+      });
+    }
+
+    let llm;
+    try {
+      llm = getLLMClient();
+    } catch (configError) {
+      return res.status(500).json({
+        error: 'LLM not configured',
+        message: configError.message
+      });
+    }
+
+    const userProfile = await fetchUserProfile(userId);
+
     const systemPrompt = [
-      'You are LinkMail, an expert assistant that drafts concise, high-converting outreach emails and DMs.',
-      'Given a user purpose and optional context, write a clear, friendly draft that:',
-      '- Matches a professional, human tone',
-      '- Is concise (5-8 sentences max)',
-      '- Personalizes with provided context when helpful',
-      '- Uses the sender\'s background and experience to add credibility',
-      '- Avoids exaggerated claims and buzzwords',
-      '- Ends with a single, specific call-to-action',
+      'You are LinkMail, an expert assistant that edits outreach emails and DMs.',
+      'You are given the current draft and an edit request. Apply the request and nothing else:',
+      '- Keep everything the request does not ask to change, including facts, names and links',
+      '- Use the sender\'s background only when the request asks for it or it clearly helps',
+      '- Never invent experience, numbers or details the sender did not provide',
+      '- Keep the subject line unless the request concerns it or the body\'s new content makes it wrong',
       '',
-      'Format your response as JSON with exactly two fields:',
-      '{ "subject": "Your subject line here", "body": "Your email body here" }',
-      '',
-      'The subject line should be:',
-      '- Attention-grabbing and personalized',
-      '- Short (5-8 words)',
-      '- Professional and relevant to the purpose',
+      'Format your response as JSON with exactly three fields:',
+      '{ "subject": "Subject line", "body": "Revised email body", "summary": "One sentence describing what changed" }',
       '',
       'If a Sender name is provided in the context, use that exact name in any self-introduction and in the sign-off. Do not invent or alter it.',
-      'Never output placeholders like "[Not specified]" or "[Not Specified]". If a piece of information is missing, omit it rather than writing a placeholder.',
+      'Never output placeholders like "[Not specified]" or "[Not Specified]".',
       '',
       'Return ONLY valid JSON without any additional text, markdown formatting, or code blocks.'
     ].join('\n');
 
-    const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-
-    // Build messages array for Chat Completions
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: buildUserContent(prompt, context, userProfile) }
-    ];
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model,
-        messages,
-        temperature: clampNumber(process.env.OPENAI_TEMPERATURE, 0.2, 0.9, 0.4),
-        max_tokens: clampInt(process.env.OPENAI_MAX_TOKENS, 128, 1024, 512)
-      })
+    const userContent = [
+      buildUserContent(request, context, userProfile),
+      'Current Draft:',
+      `Subject: ${subject.trim()}`,
+      'Body:',
+      body.trim()
+    ].join('\n');
+
+    let completion;
+    try {
+      completion = await llm.complete({
+        purpose: 'rewrite',
+        system: systemPrompt,
+        messages: [{ role: 'user', content: userContent }],
+        // Grammar fixes should not wander
+        temperature: operation === 'fix_grammar' ? 0.1 : clampNumber(process.env.LLM_TEMPERATURE ?? process.env.OPENAI_TEMPERATURE, 0.2, 0.9, 0.4),
+        maxTokens: clampInt(process.env.LLM_MAX_TOKENS ?? process.env.OPENAI_MAX_TOKENS, 128, 1024, 512)
+      });
+    } catch (llmError) {
+      if (!(llmError instanceof LLMError)) throw llmError;
+      return sendLLMError(res, llmError);
+    }
+
+    const revised = parseDraft(completion.content, userProfile, subject.trim() || 'Quick Question');
+    let summary = null;
+    try {
+      const parsed = JSON.parse(completion.content);
+      summary = typeof parsed?.summary === 'string' && parsed.summary.trim() ? parsed.summary.trim() : null;
+    } catch (_) {
+      // parseDraft has already reported the reply
+    }
+
+    return res.json({
+      subject: revised.subject,
+      body: revised.body,
+      draft: revised.body,
+      summary,
+      operation: operation || null,
+      instruction: instruction ? instruction.trim() : null,
+      provider: completion.provider,
+      model: completion.model,
+      usage: completion.usage
     });
+  } catch (error) {
+    console.error('Error rewriting draft:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Unexpected error while rewriting draft.'
+    });
+  }
+});
+
+// POST /api/chat/template
+// Body: { templateTitle?: string, template?: { subject, body, strict_template }, to?: string,
+//         contactInfo?: object, prompt?: string, context?: object | array }
+// Drafts from one of the user's templates (by title) or an unsaved one. Known placeholders such as
+// [Recipient First Name] are filled from the profile and contact as on send; the remaining bracket
+// groups are instruction slots for the model. With strict_template only those slots are written and
+// the rest of the template is kept word for word; otherwise the model may rework the template.
+// `slots` reports each instruction slot and what it was filled with.
+router.post('/template', async (req, res) => {
+  try {
+    const { templateTitle, template: inlineTemplate, to = null, contactInfo = null, prompt, context } = req.body || {};
+    const userId = req.user.id;
+
+    if (prompt !== undefined && prompt !== null && typeof prompt !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Field "prompt" must be a string.'
+      });
+    }
+    if ((to !== null && typeof to !== 'string') || (contactInfo !== null && typeof contactInfo !== 'object')) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Field "to" must be an email address and "contactInfo" an object.'
+      });
+    }
+
+    const senderProfile = await loadSenderProfile(userId);
+    let template;
+    if (typeof templateTitle === 'string' && templateTitle.trim()) {
+      template = (senderProfile?.templates || []).find(t => t.title === templateTitle.trim());
+      if (!template) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: `No template titled "${templateTitle.trim()}"`
+        });
+      }
+    } else if (inlineTemplate && typeof inlineTemplate === 'object' && typeof inlineTemplate.body === 'string' && inlineTemplate.body.trim()) {
+      template = inlineTemplate;
+    } else {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Provide a "templateTitle" or a "template" with a non-empty body.'
+      });
+    }
+    const strict = template.strict_template === true;
 
-    if (!response.ok) {
-      const errText = await safeText(response);
-      return res.status(502).json({
-        error: 'LLM upstream error',
-        message: 'Failed to generate draft from LLM provider.',
-        details: truncate(errText, 800)
+    // Fill what is known before the model sees the template, as /send would
+    const variables = to
+      ? await loadTemplateVariables(userId, { to, contactInfo })
+      : buildTemplateVariables({ profile: senderProfile, contactInfo });
+    const rendered = renderEmail({ subject: template.subject || '', body: template.body }, variables);
+    const slots = findInstructionSlots(`${rendered.subject}\n${rendered.body}`);
+
+    // Nothing for the model to write
+    if (strict && !slots.length) {
+      return res.json(buildTemplateResult(rendered.subject, rendered.body, { strict, slots, fills: [] }));
+    }
+
+    let llm;
+    try {
+      llm = getLLMClient();
+    } catch (configError) {
+      return res.status(500).json({
+        error: 'LLM not configured',
+        message: configError.message
       });
     }
 
-    const data = await response.json();
-    const content = data?.choices?.[0]?.message?.content?.trim();
+    const userProfile = await fetchUserProfile(userId);
+    const recipient = Object.fromEntries(
+      ['Recipient Full Name', 'Recipient Job Title', 'Recipient Company', 'Recipient City']
+        .filter(name => variables[name])
+        .map(name => [name.replace('Recipient ', ''), variables[name]])
+    );
+    const userContent = [
+      buildUserContent(prompt && prompt.trim() ? prompt : 'Complete this email template for the recipient.', context, userProfile),
+      ...(Object.keys(recipient).length ? ['Recipient:', JSON.stringify(recipient, null, 2)] : []),
+      'Template Subject:',
+      rendered.subject,
+      'Template Body:',
+      rendered.body,
+      ...(slots.length ? ['Instruction Slots:', ...slots.map((slot, i) => `${i + 1}. ${slot}`)] : [])
+    ].join('\n');
+
+    const systemPrompt = strict
+      ? [
+        'You are LinkMail, an expert assistant that completes outreach email templates.',
+        'The template contains instruction slots in square brackets, listed under "Instruction Slots".',
+        'Write the text that replaces each slot, following the instruction inside it. Your text is pasted',
+        'in place of the brackets, so it must fit the surrounding sentence grammatically and match its tone.',
+        '- Write only the replacement text: no brackets, no quotes, no text outside the slot',
+        '- Use the recipient and sender details provided; never invent facts you were not given',
+        '- Keep each replacement short unless its instruction asks for more',
+        '- If a slot cannot be filled from what you were given, use an empty string for it',
+        '',
+        'Format your response as JSON with exactly one field, one string per slot in the listed order:',
+        '{ "fills": ["text for slot 1", "text for slot 2"] }',
+        '',
+        'Return ONLY valid JSON without any additional text, markdown formatting, or code blocks.'
+      ].join('\n')
+      : [
+        'You are LinkMail, an expert assistant that drafts outreach emails from the user\'s templates.',
+        'Use the template as the starting point. You may reword, reorder, shorten or extend it so the',
+        'email reads naturally and suits the recipient, while keeping its purpose and call-to-action.',
+        '- Follow the instruction in each bracketed slot listed under "Instruction Slots" and replace it with real text',
+        '- Keep any other square-bracket placeholder, such as [Recipient Company], exactly as written',
+        '- Use the recipient and sender details provided; never invent facts you were not given',
+        '',
+        'Format your response as JSON with exactly three fields, with one "fills" string per slot in the listed order',
+        'giving the text you wrote for it:',
+        '{ "subject": "Subject line", "body": "Email body", "fills": ["text for slot 1", "text for slot 2"] }',
+        '',
+        'If a Sender name is provided in the context, use that exact name in any self-introduction and in the sign-off. Do not invent or alter it.',
+        'Never output placeholders like "[Not specified]" or "[Not Specified]".',
+        '',
+        'Return ONLY valid JSON without any additional text, markdown formatting, or code blocks.'
+      ].join('\n');
 
-    if (!content) {
-      return res.status(502).json({
-        error: 'Empty response',
-        message: 'The LLM returned no content.'
+    let completion;
+    try {
+      completion = await llm.complete({
+        purpose: strict ? 'template-slots' : 'template-draft',
+        system: systemPrompt,
+        messages: [{ role: 'user', content: userContent }],
+        temperature: clampNumber(process.env.LLM_TEMPERATURE ?? process.env.OPENAI_TEMPERATURE, 0.2, 0.9, 0.4),
+        maxTokens: clampInt(process.env.LLM_MAX_TOKENS ?? process.env.OPENAI_MAX_TOKENS, 128, 1024, 512)
       });
+    } catch (llmError) {
+      if (!(llmError instanceof LLMError)) throw llmError;
+      return sendLLMError(res, llmError);
     }
 
-    // Parse JSON response to extract subject and body
-    let parsedContent;
+    let reply = null;
     try {
-      parsedContent = JSON.parse(content);
+      reply = JSON.parse(completion.content);
     } catch (parseError) {
-      // If JSON parsing fails, treat the content as body with a default subject
       console.error('Failed to parse LLM response as JSON:', parseError);
-      parsedContent = {
-        subject: 'Quick Question',
-        body: content
-      };
     }
+    const fills = slots.map((_, i) => {
+      const fill = Array.isArray(reply?.fills) ? reply.fills[i] : null;
+      // A fill that is itself a placeholder has not filled anything
+      return typeof fill === 'string' && fill.trim() && !/^\[.*\]$/s.test(fill.trim()) ? fill.trim() : null;
+    });
 
-    // Validate that we have both subject and body
-    let subject = parsedContent?.subject?.trim() || 'Quick Question';
-    let body = parsedContent?.body?.trim() || content;
-
-    // If user profile has a name, ensure placeholders are replaced with their real name
-    const senderName = `${userProfile?.first_name || ''} ${userProfile?.last_name || ''}`.trim();
-    if (senderName) {
-      body = body.replace(/\[Not specified\]|\[Not Specified\]/gi, senderName);
+    let subject;
+    let body;
+    if (strict) {
+      if (!Array.isArray(reply?.fills)) {
+        return res.status(502).json({
+          error: 'LLM upstream error',
+          message: 'The LLM reply did not contain the slot fills.',
+          details: truncate(completion.content, 800)
+        });
+      }
+      // Only the slots change; everything else stays exactly as the user wrote it
+      subject = rendered.subject;
+      body = rendered.body;
+      slots.forEach((slot, i) => {
+        if (fills[i] === null) return;
+        subject = subject.split(slot).join(fills[i].replace(/\s*\n\s*/g, ' '));
+        body = body.split(slot).join(fills[i]);
+      });
+    } else {
+      ({ subject, body } = parseDraft(completion.content, userProfile, rendered.subject || 'Quick Question'));
     }
 
     return res.json({
-      subject,
-      body,
-      draft: body, // Keep for backward compatibility
-      model,
-      usage: data?.usage || null
+      ...buildTemplateResult(subject, body, { strict, slots, fills }),
+      provider: completion.provider,
+      model: completion.model,
+      usage: completion.usage
     });
   } catch (error) {
-    console.error('Error generating draft:', error);
+    console.error('Error generating draft from template:', error);
     return res.status(500).json({
       error: 'Internal Server Error',
       message: 'Unexpected error while generating draft.'
@@ -134,6 +597,138 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+/**
+ * Response body for /template
+ * @param {string} subject - Final subject
+ * @param {string} body - Final body
+ * @param {Object} details - { strict, slots: instruction slots, fills: text per slot or null }
+ * @returns {Object} { subject, body, draft, strict, slots: [{ slot, value, filled }], unresolved }
+ */
+function buildTemplateResult(subject, body, { strict, slots, fills }) {
+  return {
+    subject,
+    body,
+    draft: body,
+    strict,
+    slots: slots.map((slot, i) => ({ slot, value: fills[i] ?? null, filled: fills[i] != null })),
+    // Placeholders still in the draft: unknown recipient details, unfilled slots, malformed brackets
+    unresolved: [...new Set([...renderTemplate(subject, {}).unresolved, ...renderTemplate(body, {}).unresolved])]
+  };
+}
+
+/**
+ * Write one Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * LLM request for drafting an outreach message
+ * @param {string} prompt - User's purpose
+ * @param {*} context - Optional extra context from the client
+ * @param {Object|null} userProfile - fetchUserProfile() result
+ * @param {Object} settings - { tone, length, language } from parseDraftSettings
+ * @returns {Object} Request for llm.complete / llm.stream
+ */
+function buildDraftRequest(prompt, context, userProfile, settings = {}) {
+  const maxTokens = clampInt(process.env.LLM_MAX_TOKENS ?? process.env.OPENAI_MAX_TOKENS, 128, 1024, 512);
+  return {
+    purpose: 'draft',
+    system: buildDraftSystemPrompt(settings),
+    messages: [{ role: 'user', content: buildUserContent(prompt, context, userProfile) }],
+    temperature: clampNumber(process.env.LLM_TEMPERATURE ?? process.env.OPENAI_TEMPERATURE, 0.2, 0.9, 0.4),
+    // Long drafts need room to finish their JSON
+    maxTokens: settings.length === 'long' ? Math.max(maxTokens, 900) : maxTokens
+  };
+}
+
+/**
+ * Add up token usage across LLM calls
+ * @param {Array<Object>} usages - usage objects from the LLM client
+ * @returns {{inputTokens: number|null, outputTokens: number|null, totalTokens: number|null}}
+ */
+function sumUsage(usages) {
+  const sum = key => (usages.every(usage => usage[key] !== null) ? usages.reduce((total, usage) => total + usage[key], 0) : null);
+  return { inputTokens: sum('inputTokens'), outputTokens: sum('outputTokens'), totalTokens: sum('totalTokens') };
+}
+
+/**
+ * Subject and body from the LLM's reply
+ * @param {string} content - Raw reply, expected to be { "subject", "body" } JSON
+ * @param {Object|null} userProfile - Used to replace "[Not specified]" with the sender's name
+ * @param {string} fallbackSubject - Subject to use when the reply has none
+ * @returns {{subject: string, body: string}}
+ */
+function parseDraft(content, userProfile, fallbackSubject = 'Quick Question') {
+  // Parse JSON response to extract subject and body
+  let parsedContent;
+  try {
+    parsedContent = JSON.parse(content);
+  } catch (parseError) {
+    // If JSON parsing fails, treat the content as body with a default subject
+    console.error('Failed to parse LLM response as JSON:', parseError);
+    parsedContent = {
+      subject: fallbackSubject,
+      body: content
+    };
+  }
+
+  // Validate that we have both subject and body
+  const subject = parsedContent?.subject?.trim() || fallbackSubject;
+  let body = parsedContent?.body?.trim() || content;
+
+  // If user profile has a name, ensure placeholders are replaced with their real name
+  const senderName = `${userProfile?.first_name || ''} ${userProfile?.last_name || ''}`.trim();
+  if (senderName) {
+    body = body.replace(/\[Not specified\]|\[Not Specified\]/gi, senderName);
+  }
+
+  return { subject, body };
+}
+
+/**
+ * HTTP status and error body matching a failed LLM call
+ * @param {LLMError} error - Error from the LLM client
+ * @returns {{status: number, payload: Object}}
+ */
+function describeLLMError(error) {
+  if (error.code === 'timeout') {
+    return {
+      status: 504,
+      payload: { error: 'LLM timeout', message: 'The LLM provider did not answer in time.' }
+    };
+  }
+  if (error.code === 'empty_response') {
+    return {
+      status: 502,
+      payload: { error: 'Empty response', message: 'The LLM returned no content.' }
+    };
+  }
+  return {
+    status: 502,
+    payload: {
+      error: 'LLM upstream error',
+      message: 'Failed to generate draft from LLM provider.',
+      details: truncate(error.body || error.message, 800)
+    }
+  };
+}
+
+/**
+ * Respond with the HTTP error matching a failed LLM call
+ * @param {Object} res - Express response
+ * @param {LLMError} error - Error from the LLM client
+ */
+function sendLLMError(res, error) {
+  const { status, payload } = describeLLMError(error);
+  return res.status(status).json(payload);
+}
+
 async function fetchUserProfile(userId) {
   try {
     const sql = `
@@ -219,14 +814,6 @@ function clampInt(value, min, max, fallback) {
   return fallback;
 }
 
-async function safeText(resp) {
-  try {
-    return await resp.text();
-  } catch (_) {
-    return '';
-  }
-}
-
 function truncate(str, max) {
   if (typeof str !== 'string') return '';
   return str.length > max ? `${str.slice(0, max)}…` : str;
@@ -4,6 +4,8 @@
 const express = require('express');
 const { body, validationResult, param } = require('express-validator');
 const { getClient, query } = require('../db');
+const { resolveTimeZone, describeLocalTime } = require('../utils/time-zones');
+const { getConnectionTracking } = require('../utils/tracking');
 
 const router = express.Router();
 
@@ -114,6 +116,79 @@ async function addMessageToConnection(userId, contactId, message) {
   }
 }
 
+/**
+ * Update the first message (across the user's connections) containing the given fields
+ * @param {string} userId - User ID
+ * @param {Object} match - Fields the message must have, e.g. { gmail_draft_id: 'r-123' }
+ * @param {Object} changes - Fields to set on the message
+ * @returns {Object|null} { connection, message } after the update, or null if no message matches
+ */
+async function updateConnectionMessage(userId, match, changes) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const findSql = `
+      SELECT * FROM connections
+      WHERE user_id = $1 AND messages @> jsonb_build_array($2::jsonb)
+      ORDER BY updated_at DESC
+      LIMIT 1
+      FOR UPDATE
+    `;
+    const { rows: connections } = await client.query(findSql, [userId, JSON.stringify(match)]);
+
+    if (connections.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const connection = connections[0];
+    const isMatch = message => Object.entries(match).every(([key, value]) => message[key] === value);
+    const index = (connection.messages || []).findIndex(isMatch);
+    const updatedMessages = [...connection.messages];
+    updatedMessages[index] = { ...updatedMessages[index], ...changes };
+
+    const updateSql = `
+      UPDATE connections
+      SET messages = $1, updated_at = NOW()
+      WHERE user_id = $2 AND contact_id = $3
+      RETURNING *
+    `;
+    const { rows: updatedConnections } = await client.query(
+      updateSql,
+      [JSON.stringify(updatedMessages), userId, connection.contact_id]
+    );
+
+    await client.query('COMMIT');
+    return { connection: updatedConnections[0], message: updatedMessages[index] };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Update the status of a connection
+ * @param {string} userId - User ID
+ * @param {number} contactId - Contact ID
+ * @param {string} status - New status
+ * @returns {Object|null} Updated connection, or null if it does not exist
+ */
+async function updateConnectionStatus(userId, contactId, status) {
+  const sql = `
+    UPDATE connections 
+    SET status = $1, updated_at = NOW()
+    WHERE user_id = $2 AND contact_id = $3
+    RETURNING *
+  `;
+  const { rows } = await query(sql, [status, userId, contactId]);
+  return rows[0] || null;
+}
+
 /**
  * GET /api/connections
  * Get all connections for the authenticated user
@@ -158,7 +233,9 @@ router.get('/', async (req, res) => {
 
 /**
  * GET /api/connections/:contactId
- * Get specific connection with full message history
+ * Get specific connection with full message history, plus the recipient's
+ * current local time when their location resolves to a time zone.
+ * Tracked messages carry their opens and clicks; tracking sums them up.
  */
 router.get('/:contactId', [
   param('contactId').isInt().withMessage('Contact ID must be a valid integer')
@@ -183,6 +260,9 @@ router.get('/:contactId', [
         co.job_title,
         co.company,
         co.linkedin_url,
+        co.city,
+        co.state,
+        co.country,
         ce.email as primary_email,
         c.profile_picture_url
       FROM connections c
@@ -200,9 +280,33 @@ router.get('/:contactId', [
       });
     }
     
+    const zone = resolveTimeZone(rows[0]);
+
+    // Tracking is extra detail; the connection is still shown without it
+    let tracking = {};
+    try {
+      tracking = await getConnectionTracking(userId, contactId);
+    } catch (trackingError) {
+      console.error('Error loading email tracking for connection:', trackingError);
+    }
+    const connection = {
+      ...rows[0],
+      messages: (rows[0].messages || []).map(message => {
+        const events = message.rfc_message_id && tracking[message.rfc_message_id];
+        if (!events && !message.tracked) return message;
+        return { ...message, tracking: events || { opens: 0, firstOpenedAt: null, lastOpenedAt: null, clicks: [] } };
+      })
+    };
+    const summary = Object.values(tracking);
+    
     res.json({
       success: true,
-      connection: rows[0]
+      connection,
+      tracking: {
+        opens: summary.reduce((total, entry) => total + entry.opens, 0),
+        clicks: summary.reduce((total, entry) => total + entry.clicks.reduce((sum, click) => sum + click.count, 0), 0)
+      },
+      recipientTime: zone ? { ...describeLocalTime(zone.timeZone), source: zone.source } : null
     });
     
   } catch (error) {
@@ -236,16 +340,9 @@ router.put('/:contactId/status', [
   const { status } = req.body;
   
   try {
-    const sql = `
-      UPDATE connections 
-      SET status = $1, updated_at = NOW()
-      WHERE user_id = $2 AND contact_id = $3
-      RETURNING *
-    `;
+    const connection = await updateConnectionStatus(userId, contactId, status);
     
-    const { rows } = await query(sql, [status, userId, contactId]);
-    
-    if (rows.length === 0) {
+    if (!connection) {
       return res.status(404).json({
         error: 'Connection not found',
         message: 'No connection found for this contact'
@@ -254,7 +351,7 @@ router.put('/:contactId/status', [
     
     res.json({
       success: true,
-      connection: rows[0],
+      connection,
       message: 'Status updated successfully'
     });
     
@@ -323,5 +420,7 @@ router.put('/:contactId/notes', [
 module.exports = {
   router,
   findOrCreateConnection,
-  addMessageToConnection
+  addMessageToConnection,
+  updateConnectionMessage,
+  updateConnectionStatus
 };
@@ -5,6 +5,7 @@ const { body, validationResult, query: vquery } = require('express-validator');
 const { getClient, query } = require('../db');
 const { cleanContactData } = require('../utils/contact-cleaner');
 const { canonicalizeLinkedInProfile, buildLinkedInUrlVariants } = require('../utils/linkedin-utils');
+const { notSuppressedContactSql } = require('../utils/suppressions');
 
 const router = express.Router();
 
@@ -176,7 +177,7 @@ router.get('/facets', async (req, res) => {
  * 2) Same company only (if < 3 results)
  * 3) Same category only (if < 3 results)
  * 4) Return whatever found (up to 3 total)
- * Excludes contacts that the user has already contacted
+ * Excludes contacts that the user has already contacted or that are on a do-not-contact list
  */
 router.get('/search-similar', async (req, res) => {
   // Prevent caching to ensure fresh results every time
@@ -260,6 +261,11 @@ router.get('/search-similar', async (req, res) => {
       ? `AND (linkedin_url IS NULL OR LOWER(linkedin_url) <> ALL($3))`
       : '';
     
+    const categoryCompanyParams = contactedLinkedins.length > 0 
+      ? [category, company, contactedLinkedins] 
+      : [category, company];
+    categoryCompanyParams.push(userId);
+
     const categoryCompanySql = `
       SELECT id,
              first_name,
@@ -272,15 +278,12 @@ router.get('/search-similar', async (req, res) => {
       WHERE LOWER(category) = LOWER($1)
         AND LOWER(company) = LOWER($2)
         ${contactedExcludeClause}
+        AND ${notSuppressedContactSql('contacts.id', categoryCompanyParams.length)}
       ORDER BY (linkedin_url IS NOT NULL AND length(trim(linkedin_url)) > 0) DESC,
                is_verified DESC,
                updated_at DESC
       LIMIT 3
     `;
-
-    const categoryCompanyParams = contactedLinkedins.length > 0 
-      ? [category, company, contactedLinkedins] 
-      : [category, company];
     const categoryCompanyRows = await query(categoryCompanySql, categoryCompanyParams);
     results = categoryCompanyRows.rows.map(r => ({
       id: r.id,
@@ -314,9 +317,13 @@ router.get('/search-similar', async (req, res) => {
       
       // Exclude contacted LinkedIn URLs
       if (contactedLinkedins.length > 0) {
-        whereClause += ` AND (linkedin_url IS NULL OR LOWER(linkedin_url) <> ALL($${paramIndex}))`;
+        whereClause += ` AND (linkedin_url IS NULL OR LOWER(linkedin_url) <> ALL($${paramIndex++}))`;
         params.push(contactedLinkedins);
       }
+
+      // Exclude contacts on the do-not-contact lists
+      whereClause += ` AND ${notSuppressedContactSql('contacts.id', paramIndex)}`;
+      params.push(userId);
       
       const companySql = `
         SELECT id,
@@ -370,9 +377,13 @@ router.get('/search-similar', async (req, res) => {
       
       // Exclude contacted LinkedIn URLs
       if (contactedLinkedins.length > 0) {
-        whereClause += ` AND (linkedin_url IS NULL OR LOWER(linkedin_url) <> ALL($${paramIndex}))`;
+        whereClause += ` AND (linkedin_url IS NULL OR LOWER(linkedin_url) <> ALL($${paramIndex++}))`;
         params.push(contactedLinkedins);
       }
+
+      // Exclude contacts on the do-not-contact lists
+      whereClause += ` AND ${notSuppressedContactSql('contacts.id', paramIndex)}`;
+      params.push(userId);
       
       const categorySql = `
         SELECT id,
@@ -424,7 +435,7 @@ router.get('/search-similar', async (req, res) => {
  * Search logic: 
  * 1) If jobTitle matches a predefined category, search by category + company
  * 2) Otherwise, use job_title substring matching + company
- * Excludes contacts that the user has already contacted
+ * Excludes contacts that the user has already contacted or that are on a do-not-contact list
  */
 router.get('/search', async (req, res) => {
   // Prevent caching to ensure fresh results every time
@@ -511,6 +522,11 @@ router.get('/search', async (req, res) => {
       // Search by category + company
       console.log(`Searching by category: ${jobTitle} + company: ${company}`);
       
+      const categoryParams = contactedLinkedins.length > 0 
+        ? [jobTitle, `%${company}%`, contactedLinkedins] 
+        : [jobTitle, `%${company}%`];
+      categoryParams.push(userId);
+
       const categorySearchSql = `
         SELECT id,
                first_name,
@@ -523,15 +539,12 @@ router.get('/search', async (req, res) => {
         WHERE LOWER(category) = LOWER($1)
           AND LOWER(company) LIKE LOWER($2)
           ${contactedExcludeClause}
+          AND ${notSuppressedContactSql('contacts.id', categoryParams.length)}
         ORDER BY (linkedin_url IS NOT NULL AND length(trim(linkedin_url)) > 0) DESC,
                  is_verified DESC,
                  updated_at DESC
         LIMIT 3
       `;
-
-      const categoryParams = contactedLinkedins.length > 0 
-        ? [jobTitle, `%${company}%`, contactedLinkedins] 
-        : [jobTitle, `%${company}%`];
       const categoryRows = await query(categorySearchSql, categoryParams);
       results = categoryRows.rows.map(r => ({
         id: r.id,
@@ -548,6 +561,11 @@ router.get('/search', async (req, res) => {
       console.log(`Searching by job_title substring: ${jobTitle} + company: ${company}`);
       
       // Step 1: Look for exact matches (case-insensitive)
+      const exactParams = contactedLinkedins.length > 0 
+        ? [jobTitle, company, contactedLinkedins] 
+        : [jobTitle, company];
+      exactParams.push(userId);
+
       const exactMatchSql = `
         SELECT id,
                first_name,
@@ -560,15 +578,12 @@ router.get('/search', async (req, res) => {
         WHERE LOWER(job_title) = LOWER($1)
           AND LOWER(company) = LOWER($2)
           ${contactedExcludeClause}
+          AND ${notSuppressedContactSql('contacts.id', exactParams.length)}
         ORDER BY (linkedin_url IS NOT NULL AND length(trim(linkedin_url)) > 0) DESC,
                  is_verified DESC,
                  updated_at DESC
         LIMIT 3
       `;
-
-      const exactParams = contactedLinkedins.length > 0 
-        ? [jobTitle, company, contactedLinkedins] 
-        : [jobTitle, company];
       const exactRows = await query(exactMatchSql, exactParams);
       results = exactRows.rows.map(r => ({
         id: r.id,
@@ -602,9 +617,13 @@ router.get('/search', async (req, res) => {
         
         // Exclude contacted LinkedIn URLs
         if (contactedLinkedins.length > 0) {
-          whereClause += ` AND (linkedin_url IS NULL OR LOWER(linkedin_url) <> ALL($${paramIndex}))`;
+          whereClause += ` AND (linkedin_url IS NULL OR LOWER(linkedin_url) <> ALL($${paramIndex++}))`;
           params.push(contactedLinkedins);
         }
+
+        // Exclude contacts on the do-not-contact lists
+        whereClause += ` AND ${notSuppressedContactSql('contacts.id', paramIndex)}`;
+        params.push(userId);
         
         const substringMatchSql = `
           SELECT id,
@@ -1075,7 +1094,7 @@ router.post('/apollo-email-search', [
  * GET /api/contacts/search-by-category
  * Query: category, limit (optional, default 3)
  * Returns random contacts from the specified category
- * Excludes contacts that the user has already contacted
+ * Excludes contacts that the user has already contacted or that are on a do-not-contact list
  */
 router.get('/search-by-category', async (req, res) => {
   // Prevent caching to ensure fresh results every time
@@ -1177,13 +1196,14 @@ router.get('/search-by-category', async (req, res) => {
         FROM contacts
         WHERE LOWER(category) = LOWER($1)
           AND (linkedin_url IS NULL OR LOWER(linkedin_url) <> ALL($2))
+          AND ${notSuppressedContactSql('contacts.id', 4)}
         ORDER BY RANDOM(),
                  (linkedin_url IS NOT NULL AND length(trim(linkedin_url)) > 0) DESC,
                  is_verified DESC,
                  updated_at DESC
         LIMIT $3
       `;
-      categoryParams = [category, contactedLinkedins, limit];
+      categoryParams = [category, contactedLinkedins, limit, userId];
     } else {
       categorySearchSql = `
         SELECT id,
@@ -1195,13 +1215,14 @@ router.get('/search-by-category', async (req, res) => {
                linkedin_url
         FROM contacts
         WHERE LOWER(category) = LOWER($1)
+          AND ${notSuppressedContactSql('contacts.id', 3)}
         ORDER BY RANDOM(),
                  (linkedin_url IS NOT NULL AND length(trim(linkedin_url)) > 0) DESC,
                  is_verified DESC,
                  updated_at DESC
         LIMIT $2
       `;
-      categoryParams = [category, limit];
+      categoryParams = [category, limit, userId];
     }
     const categoryRows = await query(categorySearchSql, categoryParams);
     
@@ -0,0 +1,90 @@
+// Cron routes for LinkMail backend
+// Invoked by Vercel Cron (see vercel.json) to drain background queues
+
+const express = require('express');
+const { processDueEmails } = require('../utils/scheduled-emails');
+const { processDueSequences } = require('../utils/follow-up-sequences');
+const { processReplyDetection } = require('../utils/reply-sync');
+const { purgeExpiredIdempotencyKeys } = require('../utils/idempotency');
+
+const router = express.Router();
+
+/**
+ * Middleware to check the shared cron secret.
+ * Vercel Cron sends it as "Authorization: Bearer <CRON_SECRET>".
+ */
+function authenticateCron(req, res, next) {
+  const secret = (process.env.CRON_SECRET || '').trim();
+  if (!secret) {
+    return res.status(500).json({
+      error: 'Cron not configured',
+      message: 'CRON_SECRET is not set on the server.'
+    });
+  }
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (token !== secret) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid cron secret'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Run one job, so a failure in it does not stop the jobs after it
+ * @param {string} name - Job name, for logs
+ * @param {Function} job - Async job
+ * @returns {Promise<Object>} The job's summary, or { error } when it threw
+ */
+async function runJob(name, job) {
+  try {
+    return await job();
+  } catch (error) {
+    console.error(`[cron] ${name} failed:`, error);
+    return { error: error?.message || String(error) };
+  }
+}
+
+/**
+ * Run one pass of every background job
+ * @returns {Promise<Object>} Per-job summaries; a job that failed has { error } instead
+ */
+async function runScheduledJobs() {
+  const limit = parseInt(process.env.SCHEDULED_EMAILS_BATCH_SIZE || '10', 10);
+  // Replies first so a follow-up is not sent to someone who just answered
+  const replies = await runJob('replies', () => processReplyDetection({
+    limit: parseInt(process.env.REPLY_SYNC_BATCH_SIZE || '5', 10)
+  }));
+  const scheduledEmails = await runJob('scheduledEmails', () => processDueEmails({ limit }));
+  const followUps = await runJob('followUps', () => processDueSequences({ limit }));
+  const expiredIdempotencyKeys = await runJob('expiredIdempotencyKeys', () => purgeExpiredIdempotencyKeys());
+  return { replies, scheduledEmails, followUps, expiredIdempotencyKeys };
+}
+
+/**
+ * GET /api/cron/dispatch
+ * Sync replies, then send due scheduled emails and follow-up steps
+ */
+router.get('/dispatch', authenticateCron, async (req, res) => {
+  try {
+    const results = await runScheduledJobs();
+    console.log('[cron] dispatch results:', results);
+    const failedJobs = Object.keys(results).filter(name => results[name]?.error);
+    res.json({ success: failedJobs.length === 0, failedJobs, results });
+  } catch (error) {
+    console.error('[cron] dispatch failed:', error);
+    res.status(500).json({
+      error: 'Dispatch failed',
+      message: 'An error occurred while processing scheduled jobs'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  runScheduledJobs
+};
@@ -1,278 +1,364 @@
 // Email routes for LinkMail backend
 
 const express = require('express');
-const { google } = require('googleapis');
-const { body, validationResult } = require('express-validator');
-const { getUserSession, setUserSession } = require('../store');
-const { getClient, query } = require('../db');
-const { findOrCreateConnection, addMessageToConnection } = require('./connections');
-const { cleanContactInfo } = require('../utils/contact-cleaner');
+const { body, param, query: vquery, validationResult } = require('express-validator');
+const { getUserSession } = require('../store');
+const { idempotencyKey } = require('../middleware/idempotency');
+const {
+  sendEmail,
+  previewEmail,
+  assertNotSuppressed,
+  assertSendQuota,
+  SendEmailError,
+  SendQuotaError,
+  SuppressedRecipientError,
+  DeliveryWindowError
+} = require('../utils/email-sender');
+const { isRateLimitError } = require('../utils/mail-transports');
+const { getSendQuota } = require('../utils/send-quota');
+const { assertAllowedUrl } = require('../utils/attachments');
+const { createDraft, sendDraft } = require('../utils/drafts');
+const { findReplyContext } = require('../utils/threading');
+const { resolveSignature } = require('../utils/signatures');
+const { findSuppressedRecipients } = require('../utils/suppressions');
+const { getDeliveryHold } = require('../utils/delivery-windows');
+const { listHeaders } = require('../utils/mime');
+const { BODY_FORMATS } = require('../utils/email-body');
+const { shouldTrack } = require('../utils/tracking');
+const { MAX_HISTORY_LIMIT, listSentEmails } = require('../utils/sent-emails');
+const {
+  scheduleEmail,
+  getUndoSendSeconds,
+  holdEmailForUndo,
+  listScheduledEmails,
+  getScheduledEmail,
+  rescheduleEmail,
+  cancelScheduledEmail,
+  isFutureSendAt
+} = require('../utils/scheduled-emails');
+const { TEMPLATE_VARIABLES, renderEmail, loadTemplateVariables } = require('../utils/template-renderer');
 
 const router = express.Router();
 
+// Where the client sends the user to grant gmail.compose
+const DRAFTS_AUTH_PATH = '/api/auth/google?drafts=true';
+
+// Cc + Bcc limit per field
+const MAX_EXTRA_RECIPIENTS = 20;
+
+const TRANSPORT_LABELS = { smtp: 'SMTP', graph: 'Microsoft', capture: 'Capture' };
+
+// Gmail rejects messages over 25MB; previews warn from 80% of that
+const GMAIL_MAX_MESSAGE_BYTES = 25 * 1024 * 1024;
+const SIZE_WARNING_RATIO = 0.8;
+
 /**
- * Fetch file from URL and convert to base64
- * @param {string} url - File URL
- * @returns {Promise<{data: string, name: string, type: string, size: number}>}
+ * Format a scheduled_emails row for API responses
+ * @param {Object} row - scheduled_emails row
+ * @returns {Object}
  */
-async function fetchFileFromUrl(url) {
-  try {
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch file: ${response.statusText}`);
-    }
+function formatScheduledEmail(row) {
+  return {
+    id: row.id,
+    to: row.to_email,
+    subject: row.subject,
+    body: row.body,
+    format: row.body_format,
+    cc: row.cc || [],
+    bcc: row.bcc || [],
+    replyTo: row.reply_to || null,
+    attachments: (row.attachments || []).map(a => ({ name: a.name, url: a.url, size: a.size, type: a.type })),
+    contactInfo: row.contact_info,
+    templateTitle: row.template_title || null,
+    kind: row.kind,
+    sendAt: row.send_at,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    messageId: row.gmail_message_id,
+    threadId: row.gmail_thread_id,
+    sentAt: row.sent_at,
+    createdAt: row.created_at
+  };
+}
 
-    // Get file info from headers
-    const contentType = response.headers.get('content-type') || 'application/octet-stream';
-    const contentLength = parseInt(response.headers.get('content-length') || '0');
-    
-    // Extract filename from URL or Content-Disposition header
-    const contentDisposition = response.headers.get('content-disposition');
-    let filename = 'attachment';
-    
-    if (contentDisposition && contentDisposition.includes('filename=')) {
-      const matches = contentDisposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
-      if (matches && matches[1]) {
-        filename = matches[1].replace(/['"]/g, '');
-      }
-    } else {
-      // Extract from URL
-      const urlParts = new URL(url).pathname.split('/');
-      filename = urlParts[urlParts.length - 1] || 'attachment';
-    }
+/**
+ * Format a sent_emails row for API responses
+ * @param {Object} row - sent_emails row
+ * @returns {Object}
+ */
+function formatSentEmail(row) {
+  return {
+    id: row.id,
+    to: row.to_email,
+    cc: row.cc || [],
+    bcc: row.bcc || [],
+    subject: row.subject,
+    body: row.body,
+    attachments: row.attachments || [],
+    templateTitle: row.template_title,
+    transport: row.transport,
+    messageId: row.message_id,
+    threadId: row.thread_id,
+    contactId: row.contact_id,
+    isFollowUp: row.is_follow_up,
+    sequenceId: row.sequence_id,
+    campaignId: row.campaign_id,
+    sentAt: row.sent_at
+  };
+}
 
-    // Get file buffer and convert to base64
-    const buffer = await response.arrayBuffer();
-    const base64Data = Buffer.from(buffer).toString('base64');
+/**
+ * Format a delivery window hold for API responses
+ * @param {Object} hold - getDeliveryHold() result
+ * @returns {Object}
+ */
+function formatDeliveryHold(hold) {
+  return {
+    start: hold.window.start,
+    end: hold.window.end,
+    weekdaysOnly: hold.window.weekdaysOnly,
+    timeZone: hold.timeZone,
+    opensAt: hold.holdUntil.toISOString()
+  };
+}
 
-    return {
-      data: base64Data,
-      name: filename,
-      type: contentType,
-      size: contentLength || buffer.byteLength
-    };
-  } catch (error) {
-    console.error('Error fetching file from URL:', error);
-    throw new Error(`Failed to fetch file: ${error.message}`);
+/**
+ * Respond with the HTTP error matching a failed Gmail send
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the send pipeline
+ */
+function sendErrorResponse(res, error) {
+  if (error instanceof SendQuotaError) {
+    const retryAfterSeconds = Math.max(1, Math.ceil((new Date(error.quota.retryAt) - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({
+      error: error.error,
+      message: error.message,
+      quota: error.quota
+    });
+  }
+
+  if (error instanceof SuppressedRecipientError) {
+    return res.status(422).json({
+      error: error.error,
+      message: error.message,
+      suppressed: error.suppressed.map(entry => entry.email)
+    });
+  }
+
+  if (error instanceof DeliveryWindowError) {
+    return res.status(409).json({
+      error: error.error,
+      message: error.message,
+      deliveryWindow: formatDeliveryHold(error.hold)
+    });
+  }
+
+  if (error instanceof SendEmailError) {
+    return res.status(error.status).json({
+      error: error.error,
+      message: error.message
+    });
+  }
+
+  console.error('Email sending error:', error);
+  console.error('Error details:', {
+    message: error.message,
+    stack: error.stack,
+    code: error.code
+  });
+
+  // SMTP and Microsoft Graph failures describe themselves
+  if (error.transport && error.transport !== 'gmail' && [400, 401, 403].includes(error.code)) {
+    return res.status(error.code).json({
+      error: `${TRANSPORT_LABELS[error.transport] || 'Mail transport'} send failed`,
+      message: error.message
+    });
+  }
+  
+  // Still rate limited after the transport's own retries
+  if (isRateLimitError(error)) {
+    res.set('Retry-After', '60');
+    return res.status(429).json({
+      error: 'Gmail rate limit exceeded',
+      message: 'Gmail is temporarily limiting sends from your account. Please try again in a few minutes.'
+    });
+  }
+
+  // Handle specific Gmail API errors
+  if (error.code === 401) {
+    return res.status(401).json({
+      error: 'Gmail authentication failed',
+      message: 'Please reconnect your Google account'
+    });
+  }
+  
+  if (error.code === 403) {
+    return res.status(403).json({
+      error: 'Gmail permission denied',
+      message: 'Insufficient permissions to send email'
+    });
+  }
+  
+  if (error.code === 400) {
+    return res.status(400).json({
+      error: 'Invalid email data',
+      message: error.message || 'The email data is invalid'
+    });
   }
+
+  res.status(500).json({
+    error: 'Email sending failed',
+    message: error.message || 'An error occurred while sending the email',
+    details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
 }
 
 /**
- * Find or create contact by email address
- * @param {string} email - Email address
- * @param {Object} contactInfo - Additional contact information
- * @returns {Object} Contact object
+ * Send quota to report after a successful send
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Quota, or null if it could not be loaded (the email was still sent)
  */
-async function findOrCreateContactByEmail(email, contactInfo = {}) {
-  const client = await getClient();
-  
+async function quotaAfterSend(userId) {
   try {
-    // First, try to find existing contact by email
-    const findContactSql = `
-      SELECT c.* FROM contacts c
-      JOIN contact_emails ce ON c.id = ce.contact_id
-      WHERE ce.email = $1
-      ORDER BY c.updated_at DESC
-      LIMIT 1
-    `;
-    const { rows: existingContacts } = await client.query(findContactSql, [email]);
-    
-    if (existingContacts.length > 0) {
-      return existingContacts[0];
-    }
-    
-    // Clean contact info using LLM before creating (make this non-blocking)
-    let cleanedContactInfo = contactInfo;
-    try {
-      cleanedContactInfo = await cleanContactInfo(contactInfo);
-    } catch (cleanError) {
-      console.warn('LLM cleaning failed, using raw contact info:', cleanError);
-      // Fallback to raw contact info if cleaning fails
-      cleanedContactInfo = {
-        firstName: contactInfo.firstName || null,
-        lastName: contactInfo.lastName || null,
-        jobTitle: contactInfo.jobTitle || null,
-        company: contactInfo.company || null,
-        city: contactInfo.city || null,
-        state: contactInfo.state || null,
-        country: contactInfo.country || null,
-        linkedinUrl: contactInfo.linkedinUrl || null,
-        category: null
-      };
-    }
-    
-    // Create new contact if not found
-    await client.query('BEGIN');
-    
-    const insertContactSql = `
-      INSERT INTO contacts (first_name, last_name, job_title, company, city, state, country, is_verified, linkedin_url, category)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      RETURNING *
-    `;
-    
-    const { rows: newContacts } = await client.query(insertContactSql, [
-      cleanedContactInfo.firstName || null,
-      cleanedContactInfo.lastName || null,
-      cleanedContactInfo.jobTitle || null,
-      cleanedContactInfo.company || null,
-      cleanedContactInfo.city || null,
-      cleanedContactInfo.state || null,
-      cleanedContactInfo.country || null,
-      false, // not verified by default
-      cleanedContactInfo.linkedinUrl || null,
-      cleanedContactInfo.category || null
-    ]);
-    
-    const newContact = newContacts[0];
-    
-    // Add email to contact
-    const insertEmailSql = `
-      INSERT INTO contact_emails (contact_id, email, is_primary, is_verified)
-      VALUES ($1, $2, $3, $4)
-      RETURNING *
-    `;
-    
-    await client.query(insertEmailSql, [newContact.id, email, true, false]);
-    
-    await client.query('COMMIT');
-    return newContact;
-    
+    return await getSendQuota(userId);
   } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
-  } finally {
-    client.release();
+    console.error('Error loading send quota (email was sent successfully):', error);
+    return null;
   }
 }
 
 /**
- * Get authenticated Gmail client for user
+ * Fill template placeholders in an outgoing email
  * @param {string} userId - User ID
- * @returns {Object} Gmail client
+ * @param {Object} email - { to, subject, body, format, contactInfo }
+ * @returns {Promise<{subject: string, body: string, unresolved: string[]}>}
  */
-async function getGmailClient(userId) {
-  // Retrieve session from KV/memory
-  const userSession = await getUserSession(userId);
-  if (!userSession || !userSession.googleTokens) {
-    throw new Error('User session not found or no Google tokens available');
+async function renderOutgoingEmail(userId, { to, subject, body, format, contactInfo }) {
+  if (!/[[\]]/.test(`${subject}${body}`)) {
+    return { subject, body, unresolved: [] };
   }
-
-  // Use environment variable or default to localhost for development
-  const redirectUri = (process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/api/auth/google/callback').trim();
-  
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    redirectUri
-  );
-
-  oauth2Client.setCredentials(userSession.googleTokens);
-
-  return google.gmail({ version: 'v1', auth: oauth2Client });
+  const variables = await loadTemplateVariables(userId, { to, contactInfo });
+  return renderEmail({ subject, body, format }, variables);
 }
 
 /**
- * Create email in Gmail format
- * @param {Object} emailData - Email data
- * @returns {string} Base64 encoded email
+ * GET /api/email/quota
+ * Get the user's remaining send quota for their plan
  */
-function createEmailMessage({ to, subject, body, from, attachments = [] }) {
-  // Process the message to ensure proper line breaks
-  const processedMessage = body
-    .replace(/\r\n/g, '\n')
-    .replace(/\r/g, '\n')
-    .replace(/\n/g, '<br>\n');
-
-  // Wrap in basic HTML structure
-  const htmlBody = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <style>
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; line-height: 1.6; color: #333; }
-  </style>
-</head>
-<body>
-  ${processedMessage}
-</body>
-</html>`.trim();
-
-  // Generate a random boundary string for multipart message
-  const boundary = 'LinkMail_' + Math.random().toString(36).substring(2);
-
-  // Create email headers with properly quoted sender name
-  const fromHeader = (from?.name && from.name.trim()) 
-    ? `From: "${from.name}" <${from.email}>`
-    : `From: ${from?.email || 'me'}`;
-  
-  const headers = [
-    'MIME-Version: 1.0',
-    fromHeader,
-    `To: ${to}`,
-    `Subject: ${subject}`,
-    `Content-Type: multipart/mixed; boundary="${boundary}"`,
-    '',  // Empty line separates headers from body
-    `--${boundary}`,
-    'Content-Type: text/html; charset=UTF-8',
-    'Content-Transfer-Encoding: 8bit',
-    '',  // Empty line separates headers from content
-    htmlBody
-  ];
-
-  // Add attachments if any
-  if (attachments && attachments.length > 0) {
-    attachments.forEach(attachment => {
-      if (attachment.data) {
-        headers.push(`--${boundary}`);
-        headers.push(`Content-Type: ${attachment.type || 'application/pdf'}`);
-        headers.push('Content-Transfer-Encoding: base64');
-        headers.push(`Content-Disposition: attachment; filename="${attachment.name}"`);
-        headers.push('');  // Empty line separates headers from content
-
-        // Add the attachment data - split into chunks to avoid line length issues
-        const chunkSize = 76;
-        let remainingData = attachment.data;
-        while (remainingData.length > 0) {
-          headers.push(remainingData.substring(0, chunkSize));
-          remainingData = remainingData.substring(chunkSize);
-        }
-      }
+router.get('/quota', async (req, res) => {
+  try {
+    const quota = await getSendQuota(req.user.id);
+    res.json({
+      success: true,
+      quota
+    });
+  } catch (error) {
+    console.error('Error fetching send quota:', error);
+    res.status(500).json({
+      error: 'Failed to fetch send quota',
+      message: 'An error occurred while retrieving your send quota'
     });
   }
+});
 
-  // Add closing boundary
-  headers.push(`--${boundary}--`);
-
-  // Join all parts with CRLF
-  const email = headers.join('\r\n');
+/**
+ * GET /api/email/template-variables
+ * List the placeholders the server fills in when sending
+ */
+router.get('/template-variables', (req, res) => {
+  res.json({
+    success: true,
+    variables: TEMPLATE_VARIABLES,
+    defaultSyntax: '[Recipient First Name|there]'
+  });
+});
 
-  // Encode the email for Gmail API
-  return Buffer.from(email)
-    .toString('base64')
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=+$/, '');
+/**
+ * Validators for an outgoing email, shared by /send and /preview
+ * @param {Object} options - { requireSubject } - preview only warns about a missing subject
+ * @returns {Array}
+ */
+function outgoingEmailValidators({ requireSubject = true } = {}) {
+  return [
+    body('to').isEmail().withMessage('Valid recipient email is required'),
+    body('cc').optional().isArray({ max: MAX_EXTRA_RECIPIENTS }).withMessage(`cc must be an array of at most ${MAX_EXTRA_RECIPIENTS} emails`),
+    body('cc.*').isEmail().withMessage('Each cc entry must be a valid email'),
+    body('bcc').optional().isArray({ max: MAX_EXTRA_RECIPIENTS }).withMessage(`bcc must be an array of at most ${MAX_EXTRA_RECIPIENTS} emails`),
+    body('bcc.*').isEmail().withMessage('Each bcc entry must be a valid email'),
+    body('replyTo').optional({ nullable: true }).isEmail().withMessage('replyTo must be a valid email'),
+    // Replies take their subject from the conversation
+    requireSubject
+      ? body('subject').if((subject, { req }) => req.body.replyToLast !== true)
+        .notEmpty().withMessage('Subject is required')
+        .bail().not().matches(/[\r\n]/).withMessage('Subject must be a single line')
+      : body('subject').optional({ nullable: true }).isString().withMessage('Subject must be a string')
+        .bail().not().matches(/[\r\n]/).withMessage('Subject must be a single line'),
+    body('body').notEmpty().withMessage('Email body is required'),
+    body('format').optional().isIn(BODY_FORMATS).withMessage(`format must be one of: ${BODY_FORMATS.join(', ')}`),
+    body('track').optional({ nullable: true }).isBoolean({ strict: true }).withMessage('track must be a boolean'),
+    body('attachments').optional().isArray().withMessage('Attachments must be an array'),
+    body('attachments.*.url').optional().custom(url => {
+      assertAllowedUrl(url);
+      return true;
+    }),
+    body('sendAt').optional({ nullable: true }).isISO8601().withMessage('sendAt must be an ISO 8601 date')
+      .bail().custom(isFutureSendAt),
+    body('mode').optional().isIn(['send', 'draft']).withMessage("mode must be 'send' or 'draft'")
+      .bail().custom((mode, { req }) => {
+        if (mode === 'draft' && req.body.sendAt) {
+          throw new Error('Drafts cannot be scheduled');
+        }
+        return true;
+      }),
+    body('strictPlaceholders').optional().isBoolean({ strict: true }).withMessage('strictPlaceholders must be a boolean'),
+    body('templateTitle').optional({ nullable: true }).isString().trim(),
+    body('signatureId').optional().custom(signatureId => {
+      if (signatureId !== 'none' && !(Number.isInteger(signatureId) && signatureId > 0)) {
+        throw new Error("signatureId must be a signature ID or 'none'");
+      }
+      return true;
+    }),
+    body('replyToLast').optional().isBoolean({ strict: true }).withMessage('replyToLast must be a boolean')
+      .bail().custom((replyToLast, { req }) => {
+        if (replyToLast && req.body.sendAt) {
+          throw new Error('Replies cannot be scheduled');
+        }
+        return true;
+      }),
+    // Optional contact information
+    body('contactInfo.firstName').optional().isString().trim(),
+    body('contactInfo.lastName').optional().isString().trim(),
+    body('contactInfo.jobTitle').optional().isString().trim(),
+    body('contactInfo.company').optional().isString().trim(),
+    body('contactInfo.linkedinUrl').optional().isString().trim()
+    // Note: profilePictureUrl validation omitted - can be null, undefined, or string
+  ];
 }
 
 /**
  * POST /api/email/send
- * Send email via Gmail API
+ * Send email via Gmail API, or queue it when sendAt is provided.
+ * With mode 'draft' the email is saved to the user's Gmail drafts instead.
+ * format says how to read the body: 'text' (default, HTML is escaped), 'markdown'
+ * or 'html'. Markdown and HTML are cleaned against an allowlist and a plain-text
+ * part is generated from the result.
+ * track turns open/click tracking on or off for this email; without it,
+ * preferences.trackEmails decides. Drafts are never tracked.
+ * Placeholders such as [Recipient First Name] are filled in first; with
+ * strictPlaceholders the send is refused while any remain unfilled.
+ * With replyToLast the email is sent as a reply to the last message exchanged
+ * with the recipient: same Gmail thread, In-Reply-To/References and a "Re:" subject.
+ * The user's default signature is appended unless signatureId picks another one or is 'none'.
+ * With preferences.undoSendSeconds set, the email is held for that long and a
+ * pending send is returned that POST /api/email/send/:id/cancel can stop.
+ * With preferences.deliveryWindow set and the recipient's local time outside it,
+ * the email is scheduled for when the window opens instead of sent.
+ * A retry carrying the same Idempotency-Key header gets the original response
+ * instead of sending again.
  */
-router.post('/send', [
-  body('to').isEmail().withMessage('Valid recipient email is required'),
-  body('subject').notEmpty().withMessage('Subject is required'),
-  body('body').notEmpty().withMessage('Email body is required'),
-  body('attachments').optional().isArray().withMessage('Attachments must be an array'),
-  // Optional contact information
-  body('contactInfo.firstName').optional().isString().trim(),
-  body('contactInfo.lastName').optional().isString().trim(),
-  body('contactInfo.jobTitle').optional().isString().trim(),
-  body('contactInfo.company').optional().isString().trim(),
-  body('contactInfo.linkedinUrl').optional().isString().trim()
-  // Note: profilePictureUrl validation omitted - can be null, undefined, or string
-], async (req, res) => {
+router.post('/send', idempotencyKey, outgoingEmailValidators(), async (req, res) => {
   // Validate request
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -282,195 +368,608 @@ router.post('/send', [
     });
   }
 
-  const { to, subject, body, attachments = [], contactInfo = {} } = req.body;
+  const { to, cc = [], bcc = [], replyTo = null, attachments = [], contactInfo = {}, sendAt, mode = 'send', format = 'text', track = null, strictPlaceholders = false, replyToLast = false } = req.body;
+  const templateTitle = req.body.templateTitle || null;
   const userId = req.user.id;
 
+  // Checked up front so scheduled emails and drafts are refused right away too
   try {
-    // Get user session
-    const userSession = await getUserSession(userId);
-    if (!userSession) {
-      return res.status(401).json({
-        error: 'Session not found',
-        message: 'Please sign in again'
+    await assertNotSuppressed(userId, [to, ...cc, ...bcc]);
+  } catch (error) {
+    return sendErrorResponse(res, error);
+  }
+
+  let reply = null;
+  if (replyToLast) {
+    try {
+      reply = await findReplyContext(userId, to);
+    } catch (error) {
+      console.error('Error loading reply context:', error);
+      return res.status(500).json({
+        error: 'Reply lookup failed',
+        message: 'An error occurred while finding the conversation to reply to'
+      });
+    }
+    if (!reply) {
+      return res.status(409).json({
+        error: 'Nothing to reply to',
+        message: 'There is no earlier sent or received email with this recipient'
       });
     }
+  }
 
-    // Get Gmail client (send-only scope is sufficient)
-    const gmail = await getGmailClient(userId);
-    // Use email from session; avoid Gmail read APIs when only gmail.send scope is granted
-    const userEmail = userSession.email;
-
-    // Process attachments - fetch files from URLs if needed
-    const processedAttachments = [];
-    if (attachments && attachments.length > 0) {
-      console.log(`Processing ${attachments.length} attachments...`);
-      
-      for (const attachment of attachments) {
-        try {
-          if (attachment.url && !attachment.data) {
-            // Fetch file from URL and convert to base64
-            console.log(`Fetching attachment from URL: ${attachment.url}`);
-            const fileData = await fetchFileFromUrl(attachment.url);
-            processedAttachments.push(fileData);
-            console.log(`Successfully fetched: ${fileData.name} (${fileData.size} bytes)`);
-          } else if (attachment.data) {
-            // Already has base64 data
-            processedAttachments.push({
-              data: attachment.data,
-              name: attachment.name,
-              type: attachment.type || 'application/octet-stream',
-              size: attachment.size || 0
-            });
-          }
-        } catch (error) {
-          console.error(`Failed to process attachment:`, error);
-          // Continue with other attachments even if one fails
-        }
-      }
+  let rendered;
+  try {
+    rendered = await renderOutgoingEmail(userId, { to, subject: reply ? reply.subject : req.body.subject, body: req.body.body, format, contactInfo });
+  } catch (error) {
+    console.error('Error rendering email template:', error);
+    return res.status(500).json({
+      error: 'Template rendering failed',
+      message: 'An error occurred while filling in the email template'
+    });
+  }
+
+  if (strictPlaceholders && rendered.unresolved.length > 0) {
+    return res.status(422).json({
+      error: 'Unfilled placeholders',
+      message: `The email still contains unfilled placeholders: ${rendered.unresolved.join(', ')}`,
+      unresolved: rendered.unresolved
+    });
+  }
+  const { subject, body, unresolved } = rendered;
+
+  let signature;
+  try {
+    const resolved = await resolveSignature(userId, req.body.signatureId);
+    if (!resolved.found) {
+      return res.status(404).json({
+        error: 'Signature not found',
+        message: 'No signature found with this ID'
+      });
     }
+    signature = resolved.signature;
+  } catch (error) {
+    console.error('Error loading signature:', error);
+    return res.status(500).json({
+      error: 'Signature lookup failed',
+      message: 'An error occurred while loading your signature'
+    });
+  }
 
-    console.log(`Processed ${processedAttachments.length} attachments successfully`);
+  if (sendAt) {
+    try {
+      const scheduled = await scheduleEmail(userId, { to, cc, bcc, replyTo, subject, body, format, signature, track, attachments, contactInfo, sendAt, templateTitle });
+      return res.status(202).json({
+        success: true,
+        scheduled: formatScheduledEmail(scheduled),
+        unresolvedPlaceholders: unresolved,
+        message: 'Email scheduled successfully'
+      });
+    } catch (error) {
+      console.error('Error scheduling email:', error);
+      return res.status(500).json({
+        error: 'Email scheduling failed',
+        message: 'An error occurred while scheduling the email'
+      });
+    }
+  }
 
-    // Create the email message
-    const rawMessage = createEmailMessage({
-      to,
-      subject,
-      body,
-      from: {
-        email: userEmail,
-        name: userSession.name
-      },
-      attachments: processedAttachments
-    });
-
-    // Send the email
-    const sendResponse = await gmail.users.messages.send({
-      userId: 'me',
-      requestBody: {
-        raw: rawMessage
+  if (mode === 'draft') {
+    try {
+      const draft = await createDraft(userId, {
+        to, cc, bcc, replyTo, subject, body, format, signature, attachments, contactInfo, templateTitle,
+        thread: reply?.thread
+      });
+      return res.status(201).json({
+        success: true,
+        draftId: draft.draftId,
+        messageId: draft.messageId,
+        threadId: draft.threadId,
+        unresolvedPlaceholders: unresolved,
+        message: 'Draft created in Gmail'
+      });
+    } catch (error) {
+      if (error instanceof SendEmailError && error.status === 403) {
+        return res.status(403).json({
+          error: error.error,
+          message: error.message,
+          authPath: DRAFTS_AUTH_PATH
+        });
       }
+      return sendErrorResponse(res, error);
+    }
+  }
+
+  let hold;
+  try {
+    hold = await getDeliveryHold(userId, to);
+  } catch (error) {
+    console.error('Error checking delivery window:', error);
+    return res.status(500).json({
+      error: 'Email sending failed',
+      message: 'An error occurred while loading your send preferences'
     });
+  }
 
-    // Find or create contact and connection (non-blocking - if this fails, email was still sent)
-    let contactId = null;
+  if (hold) {
     try {
-      const contact = await findOrCreateContactByEmail(to, contactInfo);
-      contactId = contact.id;
-      
-      const connection = await findOrCreateConnection(userId, contact.id, subject, contactInfo?.profilePictureUrl);
-      
-      // Create message object for the connection
-      const message = {
-        direction: 'sent',
-        subject,
-        body,
-        attachments: processedAttachments.map(a => ({ name: a.name, size: a.size, type: a.type })),
-        sent_at: new Date().toISOString(),
-        gmail_message_id: sendResponse.data.id,
-        gmail_thread_id: sendResponse.data.threadId,
-        is_follow_up: false
-      };
-      
-      // Add message to connection
-      await addMessageToConnection(userId, contact.id, message);
-    } catch (contactError) {
-      console.error('Error creating contact/connection (email was sent successfully):', contactError);
-      // Don't fail the request - email was sent successfully
+      const scheduled = await scheduleEmail(userId, {
+        to, cc, bcc, replyTo, subject, body, format, signature, track, attachments, contactInfo, templateTitle,
+        sendAt: hold.holdUntil,
+        thread: reply?.thread,
+        isFollowUp: Boolean(reply)
+      });
+      return res.status(202).json({
+        success: true,
+        scheduled: formatScheduledEmail(scheduled),
+        deliveryWindow: formatDeliveryHold(hold),
+        unresolvedPlaceholders: unresolved,
+        message: `Outside your delivery window in ${hold.timeZone}; email scheduled for ${hold.holdUntil.toISOString()}`
+      });
+    } catch (error) {
+      console.error('Error scheduling email:', error);
+      return res.status(500).json({
+        error: 'Email scheduling failed',
+        message: 'An error occurred while scheduling the email'
+      });
     }
+  }
 
-    // Save email to user's history (keeping existing functionality)
-    if (!userSession.emailHistory) {
-      userSession.emailHistory = [];
-    }
+  let undoSeconds;
+  try {
+    undoSeconds = await getUndoSendSeconds(userId);
+  } catch (error) {
+    console.error('Error loading undo send preference:', error);
+    return res.status(500).json({
+      error: 'Email sending failed',
+      message: 'An error occurred while loading your send preferences'
+    });
+  }
 
-    const emailRecord = {
-      id: sendResponse.data.id,
-      threadId: sendResponse.data.threadId,
-      to,
-      subject,
-      body,
-      attachments: processedAttachments.map(a => ({ name: a.name, size: a.size, type: a.type })),
-      sentAt: new Date().toISOString(),
-      gmailMessageId: sendResponse.data.id,
-      contactId: contactId,
-      connectionId: contactId ? `${userId}_${contactId}` : null
-    };
+  if (undoSeconds > 0) {
+    try {
+      // Checked now so the user hears about it while they can still act
+      await assertSendQuota(userId);
+      const held = await holdEmailForUndo(userId, {
+        to, cc, bcc, replyTo, subject, body, format, signature, track, attachments, contactInfo, templateTitle,
+        thread: reply?.thread,
+        isFollowUp: Boolean(reply)
+      }, undoSeconds);
+      return res.status(202).json({
+        success: true,
+        pendingSend: {
+          id: held.id,
+          sendAt: held.send_at,
+          undoSeconds,
+          cancelPath: `/api/email/send/${held.id}/cancel`
+        },
+        unresolvedPlaceholders: unresolved,
+        message: `Email will be sent in ${undoSeconds} second${undoSeconds === 1 ? '' : 's'}`
+      });
+    } catch (error) {
+      return sendErrorResponse(res, error);
+    }
+  }
 
-    userSession.emailHistory.push(emailRecord);
-    await setUserSession(userId, userSession);
+  try {
+    const result = await sendEmail(userId, {
+      to, cc, bcc, replyTo, subject, body, format, signature, track, attachments, contactInfo, templateTitle,
+      isFollowUp: Boolean(reply),
+      thread: reply?.thread
+    });
 
     res.json({
       success: true,
-      messageId: sendResponse.data.id,
-      threadId: sendResponse.data.threadId,
+      messageId: result.messageId,
+      threadId: result.threadId,
+      tracked: result.tracked,
+      unresolvedPlaceholders: unresolved,
+      quota: await quotaAfterSend(userId),
       message: 'Email sent successfully'
     });
 
   } catch (error) {
-    console.error('Email sending error:', error);
-    console.error('Error details:', {
-      message: error.message,
-      stack: error.stack,
-      code: error.code
+    sendErrorResponse(res, error);
+  }
+});
+
+/**
+ * POST /api/email/send/:id/cancel
+ * Stop an email held for the undo-send window
+ */
+router.post('/send/:id/cancel', [
+  param('id').isInt({ min: 1 }).withMessage('Pending send ID must be a valid integer').toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
     });
-    
-    // Handle specific Gmail API errors
-    if (error.code === 401) {
-      return res.status(401).json({
-        error: 'Gmail authentication failed',
-        message: 'Please reconnect your Google account'
+  }
+
+  const userId = req.user.id;
+
+  try {
+    const cancelled = await cancelScheduledEmail(userId, req.params.id);
+    if (!cancelled) {
+      const existing = await getScheduledEmail(userId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Pending send not found',
+          message: 'No pending send found with this ID'
+        });
+      }
+      return res.status(409).json({
+        error: 'Too late to undo',
+        message: existing.status === 'cancelled'
+          ? 'This email was already cancelled'
+          : `This email can no longer be cancelled (status: ${existing.status})`
       });
     }
-    
-    if (error.code === 403) {
+
+    res.json({
+      success: true,
+      scheduled: formatScheduledEmail(cancelled),
+      message: 'Send cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling pending send:', error);
+    res.status(500).json({
+      error: 'Failed to cancel send',
+      message: 'An error occurred while cancelling the email'
+    });
+  }
+});
+
+/**
+ * POST /api/email/preview
+ * Build the email /send would send for the same request body, without sending it:
+ * placeholders filled in, signature appended, attachments resolved.
+ * Returns the HTML and text parts, the headers, attachment metadata and the
+ * message size, plus warnings for anything the user should look at first.
+ */
+router.post('/preview', outgoingEmailValidators({ requireSubject: false }), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { to, cc = [], bcc = [], replyTo = null, attachments = [], contactInfo = {}, format = 'text', track = null, replyToLast = false } = req.body;
+  const userId = req.user.id;
+  const warnings = [];
+
+  let reply = null;
+  if (replyToLast) {
+    try {
+      reply = await findReplyContext(userId, to);
+    } catch (error) {
+      console.error('Error loading reply context:', error);
+      return res.status(500).json({
+        error: 'Reply lookup failed',
+        message: 'An error occurred while finding the conversation to reply to'
+      });
+    }
+    if (!reply) {
+      warnings.push({
+        code: 'no_conversation',
+        message: 'There is no earlier email with this recipient to reply to; sending would fail'
+      });
+    }
+  }
+
+  let rendered;
+  try {
+    rendered = await renderOutgoingEmail(userId, { to, subject: reply ? reply.subject : (req.body.subject || ''), body: req.body.body, format, contactInfo });
+  } catch (error) {
+    console.error('Error rendering email template:', error);
+    return res.status(500).json({
+      error: 'Template rendering failed',
+      message: 'An error occurred while filling in the email template'
+    });
+  }
+  const { subject, body, unresolved } = rendered;
+
+  let signature;
+  try {
+    const resolved = await resolveSignature(userId, req.body.signatureId);
+    if (!resolved.found) {
+      return res.status(404).json({
+        error: 'Signature not found',
+        message: 'No signature found with this ID'
+      });
+    }
+    signature = resolved.signature;
+  } catch (error) {
+    console.error('Error loading signature:', error);
+    return res.status(500).json({
+      error: 'Signature lookup failed',
+      message: 'An error occurred while loading your signature'
+    });
+  }
+
+  let preview;
+  let tracked;
+  try {
+    preview = await previewEmail(userId, {
+      to, cc, bcc, replyTo, subject, body, format, signature, attachments,
+      thread: reply?.thread
+    });
+    // The pixel and link redirects are added per send, so the preview shows the links as written
+    tracked = await shouldTrack(userId, track);
+  } catch (error) {
+    return sendErrorResponse(res, error);
+  }
+
+  if (!subject.trim()) {
+    warnings.push({ code: 'missing_subject', message: 'The email has no subject' });
+  }
+  if (unresolved.length > 0) {
+    warnings.push({
+      code: 'unfilled_placeholders',
+      message: `The email still contains unfilled placeholders: ${unresolved.join(', ')}`,
+      unresolved
+    });
+  }
+
+  const size = Buffer.byteLength(preview.mime);
+  if (size >= GMAIL_MAX_MESSAGE_BYTES * SIZE_WARNING_RATIO) {
+    warnings.push({
+      code: 'message_size',
+      message: `The message is ${(size / (1024 * 1024)).toFixed(1)}MB; Gmail rejects messages over ${GMAIL_MAX_MESSAGE_BYTES / (1024 * 1024)}MB`
+    });
+  }
+
+  // Things /send would refuse or hold; reported here instead of failing the preview
+  try {
+    const suppressed = await findSuppressedRecipients(userId, [to, ...cc, ...bcc]);
+    if (suppressed.length > 0) {
+      warnings.push({
+        code: 'suppressed_recipient',
+        message: `These recipients are on a do-not-contact list: ${suppressed.map(entry => entry.email).join(', ')}`,
+        suppressed: suppressed.map(entry => entry.email)
+      });
+    }
+    const quota = await getSendQuota(userId);
+    if (quota.remaining === 0) {
+      warnings.push({
+        code: 'quota_exhausted',
+        message: `Send limit reached for your plan; sending is possible again at ${quota.retryAt}`
+      });
+    }
+    const hold = await getDeliveryHold(userId, to);
+    if (hold) {
+      warnings.push({
+        code: 'outside_delivery_window',
+        message: `It is outside your delivery window in ${hold.timeZone}; sending now would hold the email until ${hold.holdUntil.toISOString()}`,
+        deliveryWindow: formatDeliveryHold(hold)
+      });
+    }
+  } catch (error) {
+    console.error('Error checking recipients for preview:', error);
+  }
+
+  res.json({
+    success: true,
+    preview: {
+      from: preview.from,
+      transport: preview.transport,
+      subject,
+      format,
+      html: preview.html,
+      text: preview.text,
+      headers: listHeaders(preview.mime),
+      attachments: preview.attachments.map(a => ({ name: a.name, type: a.type, size: a.size })),
+      signatureId: signature ? signature.id : null,
+      tracked,
+      size,
+      maxSize: GMAIL_MAX_MESSAGE_BYTES
+    },
+    unresolvedPlaceholders: unresolved,
+    warnings
+  });
+});
+
+/**
+ * POST /api/email/drafts/:draftId/send
+ * Send a draft created with mode 'draft'
+ */
+router.post('/drafts/:draftId/send', [
+  param('draftId').isString().trim().notEmpty().withMessage('Draft ID is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const result = await sendDraft(req.user.id, req.params.draftId);
+    res.json({
+      success: true,
+      messageId: result.messageId,
+      threadId: result.threadId,
+      quota: await quotaAfterSend(req.user.id),
+      message: 'Draft sent successfully'
+    });
+  } catch (error) {
+    if (error instanceof SendEmailError && error.status === 403) {
       return res.status(403).json({
-        error: 'Gmail permission denied',
-        message: 'Insufficient permissions to send email'
+        error: error.error,
+        message: error.message,
+        authPath: DRAFTS_AUTH_PATH
       });
     }
-    
-    if (error.code === 400) {
-      return res.status(400).json({
-        error: 'Invalid email data',
-        message: error.message || 'The email data is invalid'
+    sendErrorResponse(res, error);
+  }
+});
+
+/**
+ * GET /api/email/scheduled
+ * List the user's scheduled emails (optionally filtered by status)
+ */
+router.get('/scheduled', [
+  vquery('status').optional().isIn(['pending', 'sending', 'sent', 'failed', 'cancelled']).withMessage('Invalid status')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const rows = await listScheduledEmails(req.user.id, req.query.status || null);
+    res.json({
+      success: true,
+      emails: rows.map(formatScheduledEmail),
+      total: rows.length
+    });
+  } catch (error) {
+    console.error('Error fetching scheduled emails:', error);
+    res.status(500).json({
+      error: 'Failed to fetch scheduled emails',
+      message: 'An error occurred while retrieving your scheduled emails'
+    });
+  }
+});
+
+/**
+ * PUT /api/email/scheduled/:id
+ * Reschedule a pending email
+ */
+router.put('/scheduled/:id', [
+  param('id').isInt().withMessage('Scheduled email ID must be a valid integer'),
+  body('sendAt').isISO8601().withMessage('sendAt must be an ISO 8601 date').bail().custom(isFutureSendAt)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const userId = req.user.id;
+  const id = parseInt(req.params.id);
+
+  try {
+    const updated = await rescheduleEmail(userId, id, req.body.sendAt);
+    if (!updated) {
+      const existing = await getScheduledEmail(userId, id);
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Scheduled email not found',
+          message: 'No scheduled email found with this ID'
+        });
+      }
+      return res.status(409).json({
+        error: 'Scheduled email not pending',
+        message: `This email can no longer be rescheduled (status: ${existing.status})`
       });
     }
 
+    res.json({
+      success: true,
+      scheduled: formatScheduledEmail(updated),
+      message: 'Email rescheduled successfully'
+    });
+  } catch (error) {
+    console.error('Error rescheduling email:', error);
     res.status(500).json({
-      error: 'Email sending failed',
-      message: error.message || 'An error occurred while sending the email',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      error: 'Failed to reschedule email',
+      message: 'An error occurred while rescheduling the email'
     });
   }
 });
 
 /**
- * GET /api/email/history
- * Get user's email history
+ * DELETE /api/email/scheduled/:id
+ * Cancel a pending email
  */
-router.get('/history', (req, res) => {
+router.delete('/scheduled/:id', [
+  param('id').isInt().withMessage('Scheduled email ID must be a valid integer')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
   const userId = req.user.id;
-  
+  const id = parseInt(req.params.id);
+
   try {
-    const userSession = userSessions.get(userId);
-    if (!userSession) {
-      return res.status(401).json({
-        error: 'Session not found',
-        message: 'Please sign in again'
+    const cancelled = await cancelScheduledEmail(userId, id);
+    if (!cancelled) {
+      const existing = await getScheduledEmail(userId, id);
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Scheduled email not found',
+          message: 'No scheduled email found with this ID'
+        });
+      }
+      return res.status(409).json({
+        error: 'Scheduled email not pending',
+        message: `This email can no longer be cancelled (status: ${existing.status})`
       });
     }
 
-    const emailHistory = userSession.emailHistory || [];
-    
-    // Sort by sent date (newest first)
-    const sortedHistory = emailHistory.sort((a, b) => 
-      new Date(b.sentAt) - new Date(a.sentAt)
-    );
+    res.json({
+      success: true,
+      scheduled: formatScheduledEmail(cancelled),
+      message: 'Scheduled email cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling scheduled email:', error);
+    res.status(500).json({
+      error: 'Failed to cancel scheduled email',
+      message: 'An error occurred while cancelling the scheduled email'
+    });
+  }
+});
+
+/**
+ * GET /api/email/history
+ * Get user's sent email history, newest first
+ * Query: since, until (ISO dates), recipient, contactId, template, limit (max 100), offset
+ */
+router.get('/history', [
+  vquery('since').optional().isISO8601().withMessage('since must be an ISO 8601 date'),
+  vquery('until').optional().isISO8601().withMessage('until must be an ISO 8601 date'),
+  vquery('recipient').optional().isEmail().withMessage('recipient must be a valid email'),
+  vquery('contactId').optional().isInt({ min: 1 }).withMessage('contactId must be a positive integer').toInt(),
+  vquery('template').optional().isString().trim().notEmpty().withMessage('template must not be empty'),
+  vquery('limit').optional().isInt({ min: 1, max: MAX_HISTORY_LIMIT }).withMessage(`limit must be between 1 and ${MAX_HISTORY_LIMIT}`).toInt(),
+  vquery('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer').toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { since, until, recipient, contactId, template, limit, offset = 0 } = req.query;
+
+  try {
+    const { emails, total } = await listSentEmails(req.user.id, { since, until, recipient, contactId, template, limit, offset });
 
     res.json({
       success: true,
-      emails: sortedHistory,
-      total: sortedHistory.length
+      emails: emails.map(formatSentEmail),
+      total,
+      offset,
+      hasMore: offset + emails.length < total
     });
 
   } catch (error) {
@@ -0,0 +1,160 @@
+// Reply detection routes for LinkMail backend
+// Opt-in syncing of Gmail replies into connections
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../db');
+const { getUserSession } = require('../store');
+const { hasReadScope, getUserMailbox } = require('../utils/mailbox');
+const { syncConnectionReplies } = require('../utils/reply-sync');
+
+const router = express.Router();
+
+// Where the client sends the user to grant gmail.readonly
+const READ_ACCESS_AUTH_PATH = '/api/auth/google?replyDetection=true';
+
+/**
+ * GET /api/replies/settings
+ * Get the user's reply detection opt-in and whether Gmail read access is granted
+ */
+router.get('/settings', async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const { rows } = await query('SELECT preferences, reply_sync_at FROM user_profiles WHERE user_id = $1', [userId]);
+    const userSession = await getUserSession(userId);
+
+    res.json({
+      success: true,
+      settings: {
+        enabled: rows[0]?.preferences?.replyDetection === true,
+        hasReadAccess: hasReadScope(userSession),
+        lastSyncedAt: rows[0]?.reply_sync_at || null,
+        authPath: READ_ACCESS_AUTH_PATH
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching reply detection settings:', error);
+    res.status(500).json({
+      error: 'Failed to fetch settings',
+      message: 'An error occurred while retrieving your reply detection settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/replies/settings
+ * Opt in to (or out of) automatic reply detection
+ * Body: { enabled: boolean }
+ */
+router.put('/settings', [
+  body('enabled').isBoolean({ strict: true }).withMessage('enabled must be a boolean')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const userId = req.user.id;
+  const { enabled } = req.body;
+
+  try {
+    const sql = `
+      INSERT INTO user_profiles (user_id, preferences)
+      VALUES ($1, jsonb_build_object('replyDetection', $2::boolean))
+      ON CONFLICT (user_id)
+      DO UPDATE SET
+        preferences = COALESCE(user_profiles.preferences, '{}'::jsonb) || jsonb_build_object('replyDetection', $2::boolean),
+        updated_at = NOW()
+      RETURNING preferences
+    `;
+    const { rows } = await query(sql, [userId, enabled]);
+    const userSession = await getUserSession(userId);
+    const hasReadAccess = hasReadScope(userSession);
+
+    res.json({
+      success: true,
+      settings: {
+        enabled: rows[0].preferences.replyDetection === true,
+        hasReadAccess,
+        authPath: READ_ACCESS_AUTH_PATH
+      },
+      message: enabled && !hasReadAccess
+        ? 'Reply detection enabled. Reconnect Google to grant read access before replies can be detected.'
+        : 'Reply detection settings updated'
+    });
+  } catch (error) {
+    console.error('Error updating reply detection settings:', error);
+    res.status(500).json({
+      error: 'Failed to update settings',
+      message: 'An error occurred while updating your reply detection settings'
+    });
+  }
+});
+
+/**
+ * POST /api/replies/sync
+ * Check Gmail threads for replies right now
+ * Body: { contactId?: number } - limit the sync to one connection
+ */
+router.post('/sync', [
+  body('contactId').optional().isInt().withMessage('Contact ID must be a valid integer')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const userId = req.user.id;
+
+  try {
+    const userSession = await getUserSession(userId);
+    if (!userSession) {
+      return res.status(401).json({
+        error: 'Session not found',
+        message: 'Please sign in again'
+      });
+    }
+
+    const mailbox = await getUserMailbox(userId);
+    if (!mailbox) {
+      return res.status(403).json({
+        error: 'Gmail read access required',
+        message: 'Reconnect your Google account with reply detection enabled',
+        authPath: READ_ACCESS_AUTH_PATH
+      });
+    }
+
+    const summary = await syncConnectionReplies(userId, mailbox, {
+      userEmail: userSession.email,
+      contactId: req.body.contactId ? parseInt(req.body.contactId) : null
+    });
+
+    res.json({
+      success: true,
+      summary
+    });
+  } catch (error) {
+    console.error('Error syncing replies:', error);
+
+    if (error.code === 401 || error.code === 403) {
+      return res.status(error.code).json({
+        error: 'Gmail access failed',
+        message: 'Please reconnect your Google account'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Reply sync failed',
+      message: 'An error occurred while checking for replies'
+    });
+  }
+});
+
+module.exports = router;
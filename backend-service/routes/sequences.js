@@ -0,0 +1,211 @@
+// Follow-up sequence routes for LinkMail backend
+// Attach multi-step follow-up sequences to a connection
+
+const express = require('express');
+const { body, param, query: vquery, validationResult } = require('express-validator');
+const { query } = require('../db');
+const { STOP_STATUSES, createSequence, listSequences, stopSequence } = require('../utils/follow-up-sequences');
+
+const router = express.Router();
+
+const MAX_STEPS = 10;
+const MAX_DELAY_DAYS = 60;
+
+/**
+ * Format a follow_up_sequences row for API responses
+ * @param {Object} row - follow_up_sequences row
+ * @returns {Object}
+ */
+function formatSequence(row) {
+  return {
+    id: row.id,
+    contactId: row.contact_id,
+    steps: row.steps,
+    currentStep: row.current_step,
+    status: row.status,
+    nextRunAt: row.next_run_at,
+    lastError: row.last_error,
+    stopReason: row.stop_reason,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * GET /api/sequences
+ * List the user's follow-up sequences
+ */
+router.get('/', [
+  vquery('status').optional().isIn(['active', 'completed', 'stopped', 'failed']).withMessage('Invalid status')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const rows = await listSequences(req.user.id, { status: req.query.status || null });
+    res.json({
+      success: true,
+      sequences: rows.map(formatSequence),
+      total: rows.length
+    });
+  } catch (error) {
+    console.error('Error fetching sequences:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sequences',
+      message: 'An error occurred while retrieving your follow-up sequences'
+    });
+  }
+});
+
+/**
+ * GET /api/sequences/:contactId
+ * Get the follow-up sequences attached to a connection (newest first)
+ */
+router.get('/:contactId', [
+  param('contactId').isInt().withMessage('Contact ID must be a valid integer')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const rows = await listSequences(req.user.id, { contactId: parseInt(req.params.contactId) });
+    const active = rows.find(r => r.status === 'active');
+    res.json({
+      success: true,
+      sequences: rows.map(formatSequence),
+      active: active ? formatSequence(active) : null
+    });
+  } catch (error) {
+    console.error('Error fetching sequence:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sequence',
+      message: 'An error occurred while retrieving the follow-up sequence'
+    });
+  }
+});
+
+/**
+ * POST /api/sequences/:contactId
+ * Start a follow-up sequence on a connection
+ * Body: { steps: [{ templateTitle: string, delayDays: number }] }
+ */
+router.post('/:contactId', [
+  param('contactId').isInt().withMessage('Contact ID must be a valid integer'),
+  body('steps').isArray({ min: 1, max: MAX_STEPS }).withMessage(`Steps must be an array of 1-${MAX_STEPS} items`),
+  body('steps.*.templateTitle').isString().trim().notEmpty().withMessage('Each step needs a templateTitle'),
+  body('steps.*.delayDays').isFloat({ min: 1, max: MAX_DELAY_DAYS })
+    .withMessage(`Each step needs a delayDays between 1 and ${MAX_DELAY_DAYS}`)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const userId = req.user.id;
+  const contactId = parseInt(req.params.contactId);
+  const { steps } = req.body;
+
+  try {
+    const { rows: connections } = await query(
+      'SELECT * FROM connections WHERE user_id = $1 AND contact_id = $2',
+      [userId, contactId]
+    );
+    if (connections.length === 0) {
+      return res.status(404).json({
+        error: 'Connection not found',
+        message: 'No connection found for this contact'
+      });
+    }
+
+    const connection = connections[0];
+    if (STOP_STATUSES.includes(connection.status)) {
+      return res.status(409).json({
+        error: 'Connection closed for follow-ups',
+        message: `Follow-ups cannot start on a connection with status '${connection.status}'`
+      });
+    }
+
+    // Check templates up front so the user finds out now rather than in 4 days
+    const { rows: profiles } = await query('SELECT templates FROM user_profiles WHERE user_id = $1', [userId]);
+    const templateTitles = new Set((profiles[0]?.templates || []).map(t => t.title));
+    const missing = steps.map(s => s.templateTitle.trim()).filter(title => !templateTitles.has(title));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: 'Template not found',
+        message: `Unknown template(s): ${[...new Set(missing)].join(', ')}`
+      });
+    }
+
+    const sequence = await createSequence(connection, steps);
+    res.status(201).json({
+      success: true,
+      sequence: formatSequence(sequence),
+      message: 'Follow-up sequence started'
+    });
+  } catch (error) {
+    // uniq_follow_up_sequences_active
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Sequence already active',
+        message: 'This connection already has an active follow-up sequence'
+      });
+    }
+    console.error('Error creating sequence:', error);
+    res.status(500).json({
+      error: 'Failed to create sequence',
+      message: 'An error occurred while starting the follow-up sequence'
+    });
+  }
+});
+
+/**
+ * DELETE /api/sequences/:contactId
+ * Stop the active follow-up sequence on a connection
+ */
+router.delete('/:contactId', [
+  param('contactId').isInt().withMessage('Contact ID must be a valid integer')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const stopped = await stopSequence(req.user.id, parseInt(req.params.contactId));
+    if (!stopped) {
+      return res.status(404).json({
+        error: 'Sequence not found',
+        message: 'No active follow-up sequence for this connection'
+      });
+    }
+    res.json({
+      success: true,
+      sequence: formatSequence(stopped),
+      message: 'Follow-up sequence stopped'
+    });
+  } catch (error) {
+    console.error('Error stopping sequence:', error);
+    res.status(500).json({
+      error: 'Failed to stop sequence',
+      message: 'An error occurred while stopping the follow-up sequence'
+    });
+  }
+});
+
+module.exports = router;
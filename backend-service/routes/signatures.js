@@ -0,0 +1,216 @@
+// Signature routes for LinkMail backend
+// Manage the signatures appended to outgoing emails
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { assertAllowedUrl } = require('../utils/attachments');
+const {
+  MAX_SIGNATURES_PER_USER,
+  MAX_SIGNATURE_LENGTH,
+  renderSignature,
+  listSignatures,
+  createSignature,
+  updateSignature,
+  deleteSignature
+} = require('../utils/signatures');
+
+const router = express.Router();
+
+/**
+ * Format an email_signatures row for API responses
+ * @param {Object} row - email_signatures row
+ * @returns {Object}
+ */
+function formatSignature(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    text: row.text_body,
+    html: row.html_body,
+    logoUrl: row.logo_url,
+    isDefault: row.is_default,
+    // What gets appended to the HTML part, including the logo
+    preview: renderSignature(row).html,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Validators shared by create and update
+ * @param {boolean} optionalName - Whether name may be left out (updates)
+ * @returns {Array}
+ */
+function signatureValidators(optionalName) {
+  const name = body('name').isString().trim().isLength({ min: 1, max: 100 })
+    .withMessage('name must be 1-100 characters');
+  return [
+    optionalName ? name.optional() : name,
+    body('text').optional({ nullable: true }).isString().isLength({ max: MAX_SIGNATURE_LENGTH })
+      .withMessage(`text must be at most ${MAX_SIGNATURE_LENGTH} characters`),
+    body('html').optional({ nullable: true }).isString().isLength({ max: MAX_SIGNATURE_LENGTH })
+      .withMessage(`html must be at most ${MAX_SIGNATURE_LENGTH} characters`),
+    // The logo is uploaded through /api/upload first
+    body('logoUrl').optional({ nullable: true }).custom(url => {
+      assertAllowedUrl(url);
+      return true;
+    }),
+    body('isDefault').optional().isBoolean({ strict: true }).withMessage('isDefault must be a boolean')
+  ];
+}
+
+/**
+ * GET /api/email/signatures
+ * List the user's signatures, default first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rows = await listSignatures(req.user.id);
+    res.json({
+      success: true,
+      signatures: rows.map(formatSignature),
+      total: rows.length
+    });
+  } catch (error) {
+    console.error('Error fetching signatures:', error);
+    res.status(500).json({
+      error: 'Failed to fetch signatures',
+      message: 'An error occurred while retrieving your signatures'
+    });
+  }
+});
+
+/**
+ * POST /api/email/signatures
+ * Create a signature. The first one becomes the default.
+ * Body: { name, text?, html?, logoUrl?, isDefault? } - text or html is required;
+ * without text, the plain-text version is derived from the HTML
+ */
+router.post('/', [
+  ...signatureValidators(false),
+  body().custom(value => {
+    if (!value.text && !value.html) {
+      throw new Error('Provide text or html');
+    }
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const created = await createSignature(req.user.id, req.body);
+    if (!created) {
+      return res.status(409).json({
+        error: 'Too many signatures',
+        message: `You can keep at most ${MAX_SIGNATURES_PER_USER} signatures`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      signature: formatSignature(created),
+      message: 'Signature created'
+    });
+  } catch (error) {
+    console.error('Error creating signature:', error);
+    res.status(500).json({
+      error: 'Failed to create signature',
+      message: 'An error occurred while saving your signature'
+    });
+  }
+});
+
+/**
+ * PUT /api/email/signatures/:id
+ * Update a signature; only the fields sent are changed.
+ * isDefault: true makes it the default, false leaves the user without one.
+ */
+router.put('/:id', [
+  param('id').isInt({ min: 1 }).withMessage('Invalid signature ID').toInt(),
+  ...signatureValidators(true),
+  // Clearing the text is only allowed together with new html to derive it from
+  body().custom(value => {
+    if (('text' in value || 'html' in value) && !value.text && !value.html) {
+      throw new Error('A signature needs text or html');
+    }
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const updated = await updateSignature(req.user.id, req.params.id, req.body);
+    if (!updated) {
+      return res.status(404).json({
+        error: 'Signature not found',
+        message: 'No signature found with this ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      signature: formatSignature(updated),
+      message: 'Signature updated'
+    });
+  } catch (error) {
+    console.error('Error updating signature:', error);
+    res.status(500).json({
+      error: 'Failed to update signature',
+      message: 'An error occurred while saving your signature'
+    });
+  }
+});
+
+/**
+ * DELETE /api/email/signatures/:id
+ * Delete a signature
+ */
+router.delete('/:id', [
+  param('id').isInt({ min: 1 }).withMessage('Invalid signature ID').toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const removed = await deleteSignature(req.user.id, req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Signature not found',
+        message: 'No signature found with this ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      signature: formatSignature(removed),
+      message: removed.is_default
+        ? 'Signature deleted; you no longer have a default signature'
+        : 'Signature deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting signature:', error);
+    res.status(500).json({
+      error: 'Failed to delete signature',
+      message: 'An error occurred while deleting your signature'
+    });
+  }
+});
+
+module.exports = router;
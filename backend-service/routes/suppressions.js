@@ -0,0 +1,193 @@
+// Suppression list routes for LinkMail backend
+// Manage the user's do-not-contact list (email addresses and domains)
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const {
+  MAX_IMPORT_ENTRIES,
+  normalizeSuppression,
+  parseSuppressionText,
+  addSuppressions,
+  listSuppressions,
+  removeSuppression
+} = require('../utils/suppressions');
+
+const router = express.Router();
+
+/**
+ * Format an email_suppressions row for API responses
+ * @param {Object} row - email_suppressions row
+ * @returns {Object}
+ */
+function formatSuppression(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    value: row.value,
+    reason: row.reason,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * GET /api/email/suppressions
+ * List the user's do-not-contact entries
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rows = await listSuppressions(req.user.id);
+    res.json({
+      success: true,
+      suppressions: rows.map(formatSuppression),
+      total: rows.length
+    });
+  } catch (error) {
+    console.error('Error fetching suppressions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch suppressions',
+      message: 'An error occurred while retrieving your do-not-contact list'
+    });
+  }
+});
+
+/**
+ * POST /api/email/suppressions
+ * Add an email address or domain to the user's do-not-contact list
+ * Body: { value: "person@company.com" | "company.com", reason?: string }
+ */
+router.post('/', [
+  body('value').isString().withMessage('value is required')
+    .bail().custom(value => {
+      if (!normalizeSuppression(value)) {
+        throw new Error('value must be an email address or a domain');
+      }
+      return true;
+    }),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 })
+    .withMessage('reason must be at most 500 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const { added } = await addSuppressions(req.user.id, [{ value: req.body.value, reason: req.body.reason }]);
+    if (added.length === 0) {
+      return res.status(409).json({
+        error: 'Already suppressed',
+        message: 'This entry is already on your do-not-contact list'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      suppression: formatSuppression(added[0]),
+      message: 'Added to your do-not-contact list'
+    });
+  } catch (error) {
+    console.error('Error adding suppression:', error);
+    res.status(500).json({
+      error: 'Failed to add suppression',
+      message: 'An error occurred while updating your do-not-contact list'
+    });
+  }
+});
+
+/**
+ * POST /api/email/suppressions/import
+ * Add many entries at once
+ * Body: { entries: [string | { value, reason }] } or { text: "one entry per line, optional ,reason" }
+ */
+router.post('/import', [
+  body('entries').optional().isArray({ min: 1, max: MAX_IMPORT_ENTRIES })
+    .withMessage(`entries must be an array of 1-${MAX_IMPORT_ENTRIES} items`),
+  body('text').optional().isString().withMessage('text must be a string'),
+  body().custom(value => {
+    if (!value.entries && !value.text) {
+      throw new Error('Provide entries or text');
+    }
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const entries = req.body.entries
+    ? req.body.entries.map(entry => (typeof entry === 'object' && entry !== null
+      ? { value: entry.value, reason: typeof entry.reason === 'string' ? entry.reason.trim() : null }
+      : { value: entry, reason: null }))
+    : parseSuppressionText(req.body.text);
+
+  if (entries.length > MAX_IMPORT_ENTRIES) {
+    return res.status(400).json({
+      error: 'Too many entries',
+      message: `Import at most ${MAX_IMPORT_ENTRIES} entries at a time`
+    });
+  }
+
+  try {
+    const { added, existing, invalid } = await addSuppressions(req.user.id, entries);
+    res.json({
+      success: true,
+      added: added.length,
+      existing,
+      invalid,
+      message: `Added ${added.length} entries to your do-not-contact list`
+    });
+  } catch (error) {
+    console.error('Error importing suppressions:', error);
+    res.status(500).json({
+      error: 'Failed to import suppressions',
+      message: 'An error occurred while importing your do-not-contact list'
+    });
+  }
+});
+
+/**
+ * DELETE /api/email/suppressions/:id
+ * Remove an entry from the user's do-not-contact list
+ */
+router.delete('/:id', [
+  param('id').isInt({ min: 1 }).withMessage('Invalid suppression ID').toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  try {
+    const removed = await removeSuppression(req.user.id, req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Suppression not found',
+        message: 'No entry with this ID on your do-not-contact list'
+      });
+    }
+
+    res.json({
+      success: true,
+      suppression: formatSuppression(removed),
+      message: 'Removed from your do-not-contact list'
+    });
+  } catch (error) {
+    console.error('Error removing suppression:', error);
+    res.status(500).json({
+      error: 'Failed to remove suppression',
+      message: 'An error occurred while updating your do-not-contact list'
+    });
+  }
+});
+
+module.exports = router;
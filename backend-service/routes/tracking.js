@@ -0,0 +1,58 @@
+// Tracking routes for LinkMail backend
+// Public endpoints hit by recipients' mail clients: the open pixel and the click redirect
+
+const express = require('express');
+const { verifyTrackingToken, recordTrackingEvent } = require('../utils/tracking');
+
+const router = express.Router();
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * GET /api/track/open/:token.gif
+ * Record an open and return the pixel. The pixel is returned for bad tokens too,
+ * so a broken image never shows in the recipient's mail client.
+ */
+router.get('/open/:token', async (req, res) => {
+  const payload = verifyTrackingToken(req.params.token.replace(/\.gif$/, ''));
+  if (payload) {
+    try {
+      await recordTrackingEvent(payload, 'open', req.get('user-agent'));
+    } catch (error) {
+      console.error('Error recording email open:', error);
+    }
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    // Mail clients load the pixel from their own origin
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.send(PIXEL);
+});
+
+/**
+ * GET /api/track/click/:token
+ * Record a click and redirect to the link's original URL
+ */
+router.get('/click/:token', async (req, res) => {
+  const payload = verifyTrackingToken(req.params.token);
+  if (!payload || !/^https?:\/\//i.test(payload.l || '')) {
+    return res.status(404).json({
+      error: 'Link not found',
+      message: 'This link is invalid or has been altered'
+    });
+  }
+
+  try {
+    await recordTrackingEvent(payload, 'click', req.get('user-agent'));
+  } catch (error) {
+    console.error('Error recording email click:', error);
+  }
+
+  res.redirect(302, payload.l);
+});
+
+module.exports = router;
@@ -0,0 +1,200 @@
+// Mail transport routes for LinkMail backend
+// Lets users send through SMTP or Microsoft Graph instead of the Gmail API
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const {
+  TRANSPORTS,
+  SMTP_PORTS,
+  isCaptureAllowed,
+  resolveSmtpServer,
+  getTransportConfig,
+  saveTransportConfig,
+  deleteTransportConfig
+} = require('../utils/mail-transports');
+
+const router = express.Router();
+
+/**
+ * Format a mail_transports row for API responses (never includes credentials)
+ * @param {Object|null} row - mail_transports row
+ * @returns {Object}
+ */
+function formatTransport(row) {
+  return {
+    transport: row?.transport || 'gmail',
+    settings: row?.settings || {},
+    hasCredentials: Boolean(row?.credentials),
+    updatedAt: row?.updated_at || null
+  };
+}
+
+/**
+ * Check the settings and credentials a transport needs
+ * @param {string} transport - Transport name
+ * @param {Object} settings - Non-secret settings
+ * @param {Object|undefined} credentials - New credentials, if any
+ * @param {Object|null} existing - Stored configuration
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateTransportConfig(transport, settings, credentials, existing) {
+  const keepsCredentials = credentials === undefined && existing?.transport === transport && existing?.credentials;
+
+  if (transport === 'smtp') {
+    if (!settings.host || !settings.port || !settings.username || !settings.fromEmail) {
+      return 'SMTP needs settings.host, settings.port, settings.username and settings.fromEmail';
+    }
+    if (!credentials?.password && !keepsCredentials) {
+      return 'SMTP needs credentials.password';
+    }
+  }
+
+  if (transport === 'graph') {
+    if (!process.env.MICROSOFT_CLIENT_ID || !process.env.MICROSOFT_CLIENT_SECRET) {
+      return 'Microsoft sending is not configured on this server';
+    }
+    if (!settings.fromEmail) {
+      return 'Microsoft Graph needs settings.fromEmail';
+    }
+    if (!credentials?.refreshToken && !keepsCredentials) {
+      return 'Microsoft Graph needs credentials.refreshToken';
+    }
+  }
+
+  if (transport === 'capture' && !isCaptureAllowed()) {
+    return 'The capture transport is not available in production';
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/email/transport
+ * Get the user's outbound mail transport
+ */
+router.get('/', async (req, res) => {
+  try {
+    const row = await getTransportConfig(req.user.id);
+    res.json({
+      success: true,
+      transport: formatTransport(row),
+      available: TRANSPORTS.filter(name => name !== 'capture' || isCaptureAllowed())
+    });
+  } catch (error) {
+    console.error('Error fetching mail transport:', error);
+    res.status(500).json({
+      error: 'Failed to fetch mail transport',
+      message: 'An error occurred while retrieving your mail transport'
+    });
+  }
+});
+
+/**
+ * PUT /api/email/transport
+ * Choose the user's outbound mail transport
+ * Body: {
+ *   transport: 'gmail' | 'smtp' | 'graph' | 'capture',
+ *   settings?: { host, port, secure, username, fromEmail, fromName },
+ *   credentials?: { password } (smtp) | { refreshToken } (graph) - omit to keep the stored ones
+ * }
+ */
+router.put('/', [
+  body('transport').isIn(TRANSPORTS).withMessage(`transport must be one of: ${TRANSPORTS.join(', ')}`),
+  body('settings').optional().isObject().withMessage('settings must be an object'),
+  body('settings.host').optional().isString().trim(),
+  body('settings.port').optional().isInt().toInt().isIn(SMTP_PORTS).withMessage(`settings.port must be one of ${SMTP_PORTS.join(', ')}`),
+  body('settings.secure').optional().isBoolean({ strict: true }).withMessage('settings.secure must be a boolean'),
+  body('settings.username').optional().isString().trim(),
+  body('settings.fromEmail').optional().isEmail().withMessage('settings.fromEmail must be a valid email'),
+  body('settings.fromName').optional().isString().trim(),
+  body('credentials').optional().isObject().withMessage('credentials must be an object'),
+  body('credentials.password').optional().isString(),
+  body('credentials.refreshToken').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const userId = req.user.id;
+  const { transport, credentials } = req.body;
+  const { host, port, secure, username, fromEmail, fromName } = req.body.settings || {};
+  const settings = transport === 'smtp'
+    ? { host, port, secure: secure === true, username, fromEmail, fromName }
+    : transport === 'graph' ? { fromEmail, fromName } : {};
+
+  try {
+    const existing = await getTransportConfig(userId);
+    const problem = validateTransportConfig(transport, settings, credentials, existing);
+    if (problem) {
+      return res.status(400).json({
+        error: 'Invalid transport configuration',
+        message: problem
+      });
+    }
+
+    if (transport === 'smtp') {
+      try {
+        await resolveSmtpServer(settings);
+      } catch (smtpError) {
+        return res.status(400).json({
+          error: 'Invalid transport configuration',
+          message: smtpError.message
+        });
+      }
+    }
+
+    if (credentials && !process.env.MAIL_TRANSPORT_SECRET) {
+      return res.status(503).json({
+        error: 'Transport credentials unavailable',
+        message: 'Credential storage is not configured on this server'
+      });
+    }
+
+    // Credentials only carry over while the transport stays the same
+    const keepCredentials = credentials === undefined && existing?.transport === transport;
+    const row = await saveTransportConfig(userId, {
+      transport,
+      settings,
+      credentials: keepCredentials ? undefined : (credentials || null)
+    });
+
+    res.json({
+      success: true,
+      transport: formatTransport(row),
+      message: 'Mail transport updated'
+    });
+  } catch (error) {
+    console.error('Error updating mail transport:', error);
+    res.status(500).json({
+      error: 'Failed to update mail transport',
+      message: 'An error occurred while updating your mail transport'
+    });
+  }
+});
+
+/**
+ * DELETE /api/email/transport
+ * Go back to sending through Gmail
+ */
+router.delete('/', async (req, res) => {
+  try {
+    await deleteTransportConfig(req.user.id);
+    res.json({
+      success: true,
+      transport: formatTransport(null),
+      message: 'Mail transport reset to Gmail'
+    });
+  } catch (error) {
+    console.error('Error resetting mail transport:', error);
+    res.status(500).json({
+      error: 'Failed to reset mail transport',
+      message: 'An error occurred while resetting your mail transport'
+    });
+  }
+});
+
+module.exports = router;
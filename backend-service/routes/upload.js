@@ -2,6 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const { put, del } = require('@vercel/blob');
 const { authenticateToken } = require('../middleware/auth');
+const { ALLOWED_ATTACHMENT_TYPES, MAX_ATTACHMENT_BYTES } = require('../utils/attachments');
 
 const router = express.Router();
 
@@ -9,21 +10,11 @@ const router = express.Router();
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: MAX_ATTACHMENT_BYTES,
   },
   fileFilter: (req, file, cb) => {
-    // Allow common file types
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain',
-      'image/jpeg',
-      'image/png',
-      'image/gif'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    // Same types the email attachment resolver accepts
+    if (ALLOWED_ATTACHMENT_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('File type not allowed'), false);
@@ -5,9 +5,16 @@ const { getUserSession, setUserSession, deleteUserSession } = require('../store'
 const { query } = require('../db');
 const { body, validationResult } = require('express-validator');
 const { canonicalizeLinkedInProfile } = require('../utils/linkedin-utils');
+const { countSentEmails, getSentEmailStats } = require('../utils/sent-emails');
+const { MAX_UNDO_SEND_SECONDS } = require('../utils/scheduled-emails');
+const { normalizeDeliveryWindow } = require('../utils/time-zones');
 
 const router = express.Router();
 
+// Preferences saved from other screens (send settings, reply detection).
+// PUT /bio keeps their stored values when the body leaves them out.
+const KEPT_PREFERENCE_KEYS = ['undoSendSeconds', 'deliveryWindow', 'trackEmails', 'replyDetection'];
+
 /**
  * GET /api/user/profile
  * Get user profile information (merges session + database data)
@@ -47,6 +54,13 @@ router.get('/profile', async (req, res) => {
       console.error('[UserRoute] Database query error:', dbError?.message || dbError);
     }
 
+    let emailsSent = 0;
+    try {
+      emailsSent = await countSentEmails(userId);
+    } catch (countError) {
+      console.error('[UserRoute] Failed to count sent emails:', countError?.message || countError);
+    }
+
     // Construct full name from first/last if session name is missing
     let fullName = userSession.name;
     if (!fullName && (firstName || lastName)) {
@@ -65,7 +79,7 @@ router.get('/profile', async (req, res) => {
         picture: userSession.picture,
         createdAt: userSession.createdAt,
         lastAccessed: userSession.lastAccessed,
-        emailsSent: userSession.emailHistory ? userSession.emailHistory.length : 0
+        emailsSent
       }
     };
     console.log('[UserRoute] Returning user profile response:', JSON.stringify(userResponse.user, null, 2));
@@ -145,31 +159,10 @@ router.get('/stats', async (req, res) => {
       });
     }
 
-    const emailHistory = userSession.emailHistory || [];
-    
-    // Calculate statistics
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const thisWeek = new Date(today.getTime() - (7 * 24 * 60 * 60 * 1000));
-    const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-
+    const sentStats = await getSentEmailStats(userId);
     const stats = {
-      totalEmails: emailHistory.length,
-      emailsToday: emailHistory.filter(email => 
-        new Date(email.sentAt) >= today
-      ).length,
-      emailsThisWeek: emailHistory.filter(email => 
-        new Date(email.sentAt) >= thisWeek
-      ).length,
-      emailsThisMonth: emailHistory.filter(email => 
-        new Date(email.sentAt) >= thisMonth
-      ).length,
-      accountCreated: userSession.createdAt,
-      lastEmailSent: emailHistory.length > 0 
-        ? emailHistory.reduce((latest, email) => 
-            new Date(email.sentAt) > new Date(latest.sentAt) ? email : latest
-          ).sentAt 
-        : null
+      ...sentStats,
+      accountCreated: userSession.createdAt
     };
 
     res.json({
@@ -260,7 +253,9 @@ router.get('/bio', async (req, res) => {
 
 /**
  * PUT /api/user/bio
- * Create or update persisted user bio/profile data
+ * Create or update persisted user bio/profile data.
+ * preferences replaces the stored object, except that keys in
+ * KEPT_PREFERENCE_KEYS the body leaves out keep their stored values.
  */
 router.put('/bio', [
   body('firstName').optional().isString().trim(),
@@ -272,8 +267,16 @@ router.put('/bio', [
   body('school').optional().isString().trim(),
   body('preferences').optional().custom((value) => {
     if (value === null || value === undefined) return true;
-    return typeof value === 'object' && value !== null;
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
   }),
+  body('preferences.undoSendSeconds').optional({ nullable: true })
+    .isInt({ min: 0, max: MAX_UNDO_SEND_SECONDS }).withMessage(`undoSendSeconds must be between 0 and ${MAX_UNDO_SEND_SECONDS}`),
+  // Recipient-local hours sends are held to, e.g. { start: '08:00', end: '10:00', weekdaysOnly: true }
+  body('preferences.deliveryWindow').optional({ nullable: true })
+    .custom(value => normalizeDeliveryWindow(value) !== null)
+    .withMessage('deliveryWindow must be { start: "HH:MM", end: "HH:MM", weekdaysOnly?: boolean } with start before end'),
+  // Open/click tracking for sends that don't choose (track on /api/email/send)
+  body('preferences.trackEmails').optional({ nullable: true }).isBoolean({ strict: true }).withMessage('trackEmails must be a boolean'),
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -340,11 +343,15 @@ router.put('/bio', [
 
   if (typeof preferences === 'object' && preferences !== null) {
     const value = JSON.stringify(preferences);
-    updateFields.push(`preferences = $${paramIndex}::jsonb`);
+    updateFields.push(`preferences = (
+      SELECT COALESCE(jsonb_object_agg(key, value), '{}'::jsonb)
+      FROM jsonb_each(COALESCE(user_profiles.preferences, '{}'::jsonb))
+      WHERE key = ANY($${paramIndex + 1}::text[])
+    ) || $${paramIndex}::jsonb`);
     insertFields.push('preferences');
-    insertValues.push(value);
+    insertValues.push(value, KEPT_PREFERENCE_KEYS);
     insertPlaceholders.push(`$${paramIndex}::jsonb`);
-    paramIndex++;
+    paramIndex += 2;
   }
 
   // Handle array/object fields
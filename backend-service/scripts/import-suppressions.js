@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Import entries into the global do-not-contact list (applies to every user)
+ *
+ * Usage: node scripts/import-suppressions.js <path-to-file>
+ *
+ * The file has one email address or domain per line, optionally followed by
+ * ",reason". Blank lines and lines starting with # are ignored.
+ */
+
+const fs = require('fs');
+
+// Load environment variables
+require('dotenv').config();
+
+const { parseSuppressionText, addSuppressions } = require('../utils/suppressions');
+
+async function importGlobalSuppressions(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    console.error(`Error: file not found at ${filePath}`);
+    process.exit(1);
+  }
+
+  const entries = parseSuppressionText(fs.readFileSync(filePath, 'utf8'));
+  console.log(`Read ${entries.length} entries from ${filePath}`);
+
+  const { added, existing, invalid } = await addSuppressions(null, entries);
+  console.log(`Added ${added.length} entries (${existing} already on the global list)`);
+  if (invalid.length > 0) {
+    console.warn(`Skipped ${invalid.length} invalid entries:`, invalid);
+  }
+}
+
+importGlobalSuppressions(process.argv[2])
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Import failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,86 @@
+// test/connections.test.js
+// GET /api/connections/:contactId with and without tracking data
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { useTestDatabase } = require('./helpers/database');
+
+const USER_ID = 'user-1';
+
+let db;
+let server;
+let baseUrl;
+let contactId;
+
+test.before(async () => {
+  db = await useTestDatabase();
+  const connections = require('../routes/connections');
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: USER_ID };
+    next();
+  });
+  app.use('/api/connections', connections.router);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const { rows } = await db.query(
+    "INSERT INTO contacts (first_name, last_name, company) VALUES ('Jane', 'Doe', 'Acme') RETURNING id"
+  );
+  contactId = Number(rows[0].id);
+  await connections.findOrCreateConnection(USER_ID, contactId, 'Hello');
+  await connections.addMessageToConnection(USER_ID, contactId, {
+    direction: 'sent',
+    subject: 'Hello',
+    rfc_message_id: '<m1@example.com>',
+    tracked: true
+  });
+});
+
+test.after(() => {
+  server.close();
+});
+
+/**
+ * Fetch the test connection
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function getConnection() {
+  const response = await fetch(`${baseUrl}/api/connections/${contactId}`);
+  return { status: response.status, body: await response.json() };
+}
+
+test('includes open and click counts per message', async () => {
+  await db.query(
+    `INSERT INTO email_tracking_events (user_id, contact_id, message_id, event_type, url) VALUES
+       ($1, $2, '<m1@example.com>', 'open', NULL),
+       ($1, $2, '<m1@example.com>', 'open', NULL),
+       ($1, $2, '<m1@example.com>', 'click', 'https://x.dev')`,
+    [USER_ID, contactId]
+  );
+
+  const { status, body } = await getConnection();
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.tracking, { opens: 2, clicks: 1 });
+  const [message] = body.connection.messages;
+  assert.equal(message.tracking.opens, 2);
+  assert.equal(message.tracking.clicks[0].url, 'https://x.dev');
+});
+
+test('still shows the connection when tracking cannot be loaded', async () => {
+  await db.query('ALTER TABLE email_tracking_events RENAME TO email_tracking_events_moved');
+  try {
+    const { status, body } = await getConnection();
+
+    assert.equal(status, 200);
+    assert.equal(body.connection.first_name, 'Jane');
+    assert.deepEqual(body.tracking, { opens: 0, clicks: 0 });
+    assert.equal(body.connection.messages[0].tracking.opens, 0);
+  } finally {
+    await db.query('ALTER TABLE email_tracking_events_moved RENAME TO email_tracking_events');
+  }
+});
@@ -0,0 +1,80 @@
+// test/contact-cleaner.test.js
+// cleanContactData with the fake LLM provider
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanContactData } = require('../utils/contact-cleaner');
+
+test.beforeEach(() => {
+  process.env.LLM_PROVIDER = 'fake';
+  delete process.env.LLM_FAKE_RESPONSES;
+});
+
+/**
+ * Set the fake provider's contact-cleaning reply
+ * @param {string|Object} reply
+ */
+function replyWith(reply) {
+  process.env.LLM_FAKE_RESPONSES = JSON.stringify({ 'contact-cleaning': reply });
+}
+
+test('returns the cleaned title, company and category', async () => {
+  replyWith({ jobTitle: 'Recruiter', company: 'Notion', category: 'Recruiter' });
+
+  const cleaned = await cleanContactData("Recruiting at Notion - We're Hiring! Notion.so/careers", 'Notion · Contract');
+
+  assert.deepEqual(cleaned, { jobTitle: 'Recruiter', company: 'Notion', category: 'Recruiter' });
+});
+
+test('string "null" values become null', async () => {
+  replyWith({ jobTitle: 'null', company: 'Acme', category: null });
+
+  const cleaned = await cleanContactData(null, 'Acme · Full-time');
+
+  assert.deepEqual(cleaned, { jobTitle: null, company: 'Acme', category: null });
+});
+
+test('vague job titles are dropped', async () => {
+  for (const title of ['Other', 'unknown', 'N/A']) {
+    replyWith({ jobTitle: title, company: 'Acme', category: 'Other' });
+    const cleaned = await cleanContactData('Doing things', 'Acme');
+    assert.equal(cleaned.jobTitle, null, title);
+    assert.equal(cleaned.company, 'Acme');
+    assert.equal(cleaned.category, 'Other');
+  }
+});
+
+test('JSON wrapped in a markdown code block is accepted', async () => {
+  replyWith('```json\n{"jobTitle": "Software Engineer", "company": "Stripe", "category": "Software Engineer"}\n```');
+
+  const cleaned = await cleanContactData('SWE @ Stripe', 'Stripe');
+
+  assert.deepEqual(cleaned, { jobTitle: 'Software Engineer', company: 'Stripe', category: 'Software Engineer' });
+});
+
+test('an unparseable reply keeps the raw values', async () => {
+  replyWith('I think this person is a recruiter');
+
+  const cleaned = await cleanContactData('Recruiter at Acme', 'Acme · Contract');
+
+  assert.deepEqual(cleaned, { jobTitle: 'Recruiter at Acme', company: 'Acme · Contract', category: null });
+});
+
+test('an unconfigured provider keeps the raw values', async () => {
+  process.env.LLM_PROVIDER = 'openai';
+  const apiKey = process.env.OPENAI_API_KEY;
+  delete process.env.OPENAI_API_KEY;
+
+  try {
+    const cleaned = await cleanContactData('Recruiter at Acme', null);
+    assert.deepEqual(cleaned, { jobTitle: 'Recruiter at Acme', company: null, category: null });
+  } finally {
+    if (apiKey !== undefined) process.env.OPENAI_API_KEY = apiKey;
+  }
+});
+
+test('empty input cleans to nulls', async () => {
+  const cleaned = await cleanContactData('', null);
+
+  assert.deepEqual(cleaned, { jobTitle: null, company: null, category: null });
+});
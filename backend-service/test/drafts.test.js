@@ -0,0 +1,177 @@
+// test/drafts.test.js
+// Draft mode with the in-memory drafts client and database
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simpleParser } = require('mailparser');
+const { useTestDatabase } = require('./helpers/database');
+
+const USER_ID = 'user-1';
+const RECIPIENT = 'jane@acme.com';
+
+let db;
+let store;
+let createMemoryDrafts;
+let createDraft;
+let sendDraft;
+let SendQuotaError;
+let SuppressedRecipientError;
+
+test.before(async () => {
+  db = await useTestDatabase();
+  store = require('../store');
+  ({ createMemoryDrafts, createDraft, sendDraft } = require('../utils/drafts'));
+  ({ SendQuotaError, SuppressedRecipientError } = require('../utils/email-sender'));
+});
+
+test.beforeEach(async () => {
+  await db.reset('connections', 'contacts', 'sent_emails', 'email_suppressions', 'user_profiles');
+  await store.setUserSession(USER_ID, {
+    email: 'me@example.com',
+    name: 'Me Myself',
+    googleTokens: { scope: 'https://www.googleapis.com/auth/gmail.send' }
+  });
+  const { rows } = await db.query(
+    "INSERT INTO contacts (first_name, last_name, company) VALUES ('Jane', 'Doe', 'Acme') RETURNING id"
+  );
+  await db.query('INSERT INTO contact_emails (contact_id, email, is_primary) VALUES ($1, $2, true)', [rows[0].id, RECIPIENT]);
+});
+
+/**
+ * The connection messages for the test contact
+ * @returns {Promise<Array>}
+ */
+async function getMessages() {
+  const { rows } = await db.query('SELECT messages FROM connections WHERE user_id = $1', [USER_ID]);
+  return rows[0]?.messages || [];
+}
+
+test('createDraft stores the MIME message and records a drafted connection message', async () => {
+  const drafts = createMemoryDrafts();
+
+  const result = await createDraft(USER_ID, {
+    to: RECIPIENT,
+    cc: ['cc@acme.com'],
+    subject: 'Coffee next week?',
+    body: 'Hi Jane,\n\nWould you be up for a coffee?',
+    templateTitle: 'Coffee Chat'
+  }, drafts);
+
+  assert.equal(result.draftId, 'draft-1');
+  assert.equal(result.threadId, 'thread-1');
+  assert.equal(drafts.drafts.size, 1);
+
+  const parsed = await simpleParser(Buffer.from(drafts.drafts.get('draft-1').raw, 'base64url'));
+  assert.equal(parsed.subject, 'Coffee next week?');
+  assert.equal(parsed.from.value[0].address, 'me@example.com');
+  assert.equal(parsed.to.value[0].address, RECIPIENT);
+  assert.equal(parsed.cc.value[0].address, 'cc@acme.com');
+  assert.match(parsed.text, /Would you be up for a coffee\?/);
+
+  const [message] = await getMessages();
+  assert.equal(message.direction, 'drafted');
+  assert.equal(message.gmail_draft_id, 'draft-1');
+  assert.equal(message.gmail_message_id, 'draft-msg-1');
+  assert.equal(message.gmail_thread_id, 'thread-1');
+  assert.equal(message.rfc_message_id, parsed.messageId);
+  assert.equal(message.template_title, 'Coffee Chat');
+  assert.deepEqual(message.cc, ['cc@acme.com']);
+
+  const { rows } = await db.query('SELECT COUNT(*)::int AS count FROM sent_emails');
+  assert.equal(rows[0].count, 0);
+});
+
+test('createDraft in a thread adds reply headers and keeps the thread', async () => {
+  const drafts = createMemoryDrafts();
+
+  const result = await createDraft(USER_ID, {
+    to: RECIPIENT,
+    subject: 'Re: Hello',
+    body: 'Following up',
+    thread: { threadId: 'existing-thread', inReplyTo: '<first@example.com>' }
+  }, drafts);
+
+  assert.equal(result.threadId, 'existing-thread');
+  const parsed = await simpleParser(Buffer.from(drafts.drafts.get(result.draftId).raw, 'base64url'));
+  assert.equal(parsed.inReplyTo, '<first@example.com>');
+  assert.equal(parsed.references, '<first@example.com>');
+});
+
+test('sendDraft turns the drafted message into a sent one and logs it', async () => {
+  const drafts = createMemoryDrafts();
+  const { draftId, contactId } = await createDraft(USER_ID, { to: RECIPIENT, subject: 'Hello', body: 'Hi' }, drafts);
+
+  const sent = await sendDraft(USER_ID, draftId, drafts);
+
+  assert.deepEqual(sent, { messageId: 'sent-draft-msg-1', threadId: 'thread-1', contactId });
+  assert.equal(drafts.drafts.size, 0);
+
+  const [message] = await getMessages();
+  assert.equal(message.direction, 'sent');
+  assert.equal(message.gmail_message_id, 'sent-draft-msg-1');
+  assert.equal(message.gmail_thread_id, 'thread-1');
+  assert.ok(message.sent_at);
+
+  const { rows } = await db.query('SELECT to_email, subject, message_id, thread_id FROM sent_emails WHERE user_id = $1', [USER_ID]);
+  assert.deepEqual(rows, [{ to_email: RECIPIENT, subject: 'Hello', message_id: 'sent-draft-msg-1', thread_id: 'thread-1' }]);
+});
+
+test('a draft can only be sent once', async () => {
+  const drafts = createMemoryDrafts();
+  const { draftId } = await createDraft(USER_ID, { to: RECIPIENT, subject: 'Hello', body: 'Hi' }, drafts);
+  await sendDraft(USER_ID, draftId, drafts);
+
+  await assert.rejects(sendDraft(USER_ID, draftId, drafts), { status: 404, error: 'Draft not found' });
+});
+
+test('a draft deleted in Gmail is reported as not found and stays drafted', async () => {
+  const drafts = createMemoryDrafts();
+  const { draftId } = await createDraft(USER_ID, { to: RECIPIENT, subject: 'Hello', body: 'Hi' }, drafts);
+  drafts.drafts.delete(draftId);
+
+  await assert.rejects(sendDraft(USER_ID, draftId, drafts), { status: 404, message: 'The draft no longer exists in Gmail' });
+  assert.equal((await getMessages())[0].direction, 'drafted');
+});
+
+test('suppressed recipients are refused when drafting and when sending', async () => {
+  const drafts = createMemoryDrafts();
+  await db.query("INSERT INTO email_suppressions (user_id, kind, value) VALUES ($1, 'domain', 'blocked.com')", [USER_ID]);
+
+  await assert.rejects(
+    createDraft(USER_ID, { to: 'someone@blocked.com', subject: 'Hello', body: 'Hi' }, drafts),
+    SuppressedRecipientError
+  );
+  assert.equal(drafts.drafts.size, 0);
+
+  const { draftId } = await createDraft(USER_ID, { to: RECIPIENT, subject: 'Hello', body: 'Hi' }, drafts);
+  await db.query("INSERT INTO email_suppressions (user_id, kind, value) VALUES ($1, 'email', $2)", [USER_ID, RECIPIENT]);
+
+  await assert.rejects(sendDraft(USER_ID, draftId, drafts), SuppressedRecipientError);
+  assert.equal(drafts.drafts.size, 1);
+});
+
+test('sending a draft counts against the send quota', async () => {
+  const drafts = createMemoryDrafts();
+  const { draftId } = await createDraft(USER_ID, { to: RECIPIENT, subject: 'Hello', body: 'Hi' }, drafts);
+  await db.query(
+    "INSERT INTO sent_emails (user_id, to_email, subject, body) SELECT $1, 'x@example.com', 's', 'b' FROM generate_series(1, 20)",
+    [USER_ID]
+  );
+
+  await assert.rejects(sendDraft(USER_ID, draftId, drafts), SendQuotaError);
+  assert.equal(drafts.drafts.size, 1);
+  assert.equal((await getMessages())[0].direction, 'drafted');
+});
+
+test('drafting without compose access or a session is refused', async () => {
+  await assert.rejects(
+    createDraft(USER_ID, { to: RECIPIENT, subject: 'Hello', body: 'Hi' }),
+    { status: 403, error: 'Gmail compose access required' }
+  );
+
+  await assert.rejects(
+    createDraft('signed-out', { to: RECIPIENT, subject: 'Hello', body: 'Hi' }, createMemoryDrafts()),
+    { status: 401, error: 'Session not found' }
+  );
+  assert.deepEqual(await getMessages(), []);
+});
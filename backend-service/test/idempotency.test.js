@@ -0,0 +1,130 @@
+// test/idempotency.test.js
+// Idempotency-Key claims and the middleware around them
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { useTestDatabase } = require('./helpers/database');
+
+const USER_ID = 'user-1';
+
+let db;
+let idempotency;
+
+test.before(async () => {
+  db = await useTestDatabase();
+  idempotency = require('../utils/idempotency');
+});
+
+test.beforeEach(async () => {
+  await db.reset('idempotency_keys');
+});
+
+/**
+ * Move a key's creation time into the past
+ * @param {string} key - Idempotency key
+ * @param {string} by - Postgres interval, e.g. '3 minutes'
+ */
+async function age(key, by) {
+  await db.query(
+    "UPDATE idempotency_keys SET created_at = NOW() - $2::interval WHERE idempotency_key = $1",
+    [key, by]
+  );
+}
+
+test('claim, in progress, replay and mismatch', async () => {
+  const { claimIdempotencyKey, completeIdempotencyKey, hashRequest } = idempotency;
+  const hash = hashRequest('POST', '/api/email/send', { to: 'a@example.com' });
+  const otherHash = hashRequest('POST', '/api/email/send', { to: 'b@example.com' });
+
+  assert.deepEqual(await claimIdempotencyKey(USER_ID, 'key-1', hash), { state: 'claimed' });
+  assert.deepEqual(await claimIdempotencyKey(USER_ID, 'key-1', hash), { state: 'in_progress' });
+
+  await completeIdempotencyKey(USER_ID, 'key-1', 200, { success: true, messageId: 'm-1' });
+  assert.deepEqual(await claimIdempotencyKey(USER_ID, 'key-1', hash), {
+    state: 'completed',
+    responseStatus: 200,
+    responseBody: { success: true, messageId: 'm-1' }
+  });
+  assert.deepEqual(await claimIdempotencyKey(USER_ID, 'key-1', otherHash), { state: 'mismatch' });
+
+  // Keys belong to one user
+  assert.deepEqual(await claimIdempotencyKey('user-2', 'key-1', otherHash), { state: 'claimed' });
+});
+
+test('a key left in progress is reclaimed once the lease runs out', async () => {
+  const { claimIdempotencyKey, IDEMPOTENCY_LEASE_MINUTES } = idempotency;
+  await claimIdempotencyKey(USER_ID, 'key-1', 'hash');
+
+  await age('key-1', `${IDEMPOTENCY_LEASE_MINUTES * 60 - 10} seconds`);
+  assert.deepEqual(await claimIdempotencyKey(USER_ID, 'key-1', 'hash'), { state: 'in_progress' });
+
+  await age('key-1', `${IDEMPOTENCY_LEASE_MINUTES + 1} minutes`);
+  assert.deepEqual(await claimIdempotencyKey(USER_ID, 'key-1', 'hash'), { state: 'claimed' });
+  // The new claim starts a fresh lease
+  assert.deepEqual(await claimIdempotencyKey(USER_ID, 'key-1', 'hash'), { state: 'in_progress' });
+});
+
+test('a completed key is kept for the whole window', async () => {
+  const { claimIdempotencyKey, completeIdempotencyKey, purgeExpiredIdempotencyKeys } = idempotency;
+  await claimIdempotencyKey(USER_ID, 'key-1', 'hash');
+  await completeIdempotencyKey(USER_ID, 'key-1', 200, { ok: true });
+
+  await age('key-1', '23 hours');
+  assert.equal((await claimIdempotencyKey(USER_ID, 'key-1', 'hash')).state, 'completed');
+  assert.equal(await purgeExpiredIdempotencyKeys(), 0);
+
+  await age('key-1', '25 hours');
+  assert.equal(await purgeExpiredIdempotencyKeys(), 1);
+  assert.deepEqual(await claimIdempotencyKey(USER_ID, 'key-1', 'hash'), { state: 'claimed' });
+});
+
+test('a released key can be claimed right away', async () => {
+  const { claimIdempotencyKey, releaseIdempotencyKey } = idempotency;
+  await claimIdempotencyKey(USER_ID, 'key-1', 'hash');
+
+  await releaseIdempotencyKey(USER_ID, 'key-1');
+
+  assert.deepEqual(await claimIdempotencyKey(USER_ID, 'key-1', 'other-hash'), { state: 'claimed' });
+});
+
+test('middleware replays successes and frees the key after failures', async () => {
+  const { idempotencyKey } = require('../middleware/idempotency');
+  let calls = 0;
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: USER_ID };
+    next();
+  });
+  app.post('/send', idempotencyKey, (req, res) => {
+    calls++;
+    if (req.body.fail) {
+      return res.status(503).json({ error: 'Unavailable' });
+    }
+    return res.status(201).json({ call: calls });
+  });
+  const server = app.listen(0);
+  const post = async (key, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, replayed: response.headers.get('Idempotent-Replayed'), body: await response.json() };
+  };
+
+  try {
+    assert.deepEqual(await post('key-1', { to: 'a' }), { status: 201, replayed: null, body: { call: 1 } });
+    assert.deepEqual(await post('key-1', { to: 'a' }), { status: 201, replayed: 'true', body: { call: 1 } });
+    assert.equal((await post('key-1', { to: 'b' })).status, 422);
+
+    assert.equal((await post('key-2', { fail: true })).status, 503);
+    assert.deepEqual(await post('key-2', { fail: false }), { status: 201, replayed: null, body: { call: 3 } });
+
+    assert.equal((await post(' ', {})).status, 400);
+    assert.equal(calls, 3);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,75 @@
+// test/mail-transports.test.js
+// The capture transport's process-wide store
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+let db;
+let transports;
+
+test.before(async () => {
+  db = await useTestDatabase();
+  transports = require('../utils/mail-transports');
+});
+
+test.beforeEach(() => {
+  delete process.env.MAIL_TRANSPORT;
+  delete process.env.MAIL_CAPTURE_DIR;
+  transports.clearCapturedMessages();
+});
+
+/**
+ * Send one message through a transport
+ * @param {Object} transport
+ * @param {string} to - Recipient
+ * @returns {Promise<Object>} Send result
+ */
+function sendTo(transport, to) {
+  return transport.send({ mime: `To: ${to}\r\n\r\nHi`, from: { email: 'me@example.com' }, to, recipients: [to] });
+}
+
+test('captures outlive the transport that made them', async () => {
+  process.env.MAIL_TRANSPORT = 'capture';
+
+  const first = await sendTo(await transports.getUserTransport('user-1'), 'a@example.com');
+  await sendTo(await transports.getUserTransport('user-2'), 'b@example.com');
+
+  const captured = transports.getCapturedMessages();
+  assert.deepEqual(captured.map(message => message.to), ['a@example.com', 'b@example.com']);
+  assert.equal(captured[0].messageId, first.messageId);
+  assert.equal(captured[0].mime, 'To: a@example.com\r\n\r\nHi');
+  assert.deepEqual(captured[0].recipients, ['a@example.com']);
+});
+
+test('a user configured for capture records into the same store', async () => {
+  await db.query("INSERT INTO mail_transports (user_id, transport, settings) VALUES ('user-3', 'capture', '{}')");
+
+  const transport = await transports.getUserTransport('user-3');
+  await sendTo(transport, 'c@example.com');
+
+  assert.equal(transport.name, 'capture');
+  assert.deepEqual(transports.getCapturedMessages().map(message => message.to), ['c@example.com']);
+});
+
+test('the store keeps only the newest 50 messages', async () => {
+  const transport = transports.createCaptureTransport();
+  for (let i = 0; i < 55; i++) {
+    await sendTo(transport, `user${i}@example.com`);
+  }
+
+  const captured = transports.getCapturedMessages();
+  assert.equal(captured.length, 50);
+  assert.equal(captured[0].to, 'user5@example.com');
+  assert.equal(captured[49].to, 'user54@example.com');
+});
+
+test('the reader returns a copy and clearing empties the store', async () => {
+  await sendTo(transports.createCaptureTransport(), 'a@example.com');
+
+  transports.getCapturedMessages().pop();
+  assert.equal(transports.getCapturedMessages().length, 1);
+
+  transports.clearCapturedMessages();
+  assert.deepEqual(transports.getCapturedMessages(), []);
+});
@@ -0,0 +1,174 @@
+// test/mime.test.js
+// Round-trip tests for the MIME composer: every message is parsed back with
+// mailparser and compared against what went in.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simpleParser } = require('mailparser');
+const { MimeError, composeMimeMessage, listHeaders, htmlToText } = require('../utils/mime');
+
+const BASE = {
+  from: { email: 'sender@example.com', name: 'Sender' },
+  to: 'recipient@example.com',
+  subject: 'Hello',
+  text: 'Hi there'
+};
+
+/**
+ * Compose a message and parse it back
+ * @param {Object} overrides - Fields merged over BASE
+ * @returns {Promise<{raw: string, parsed: Object}>}
+ */
+async function roundTrip(overrides = {}) {
+  const raw = composeMimeMessage({ ...BASE, ...overrides });
+  return { raw, parsed: await simpleParser(raw) };
+}
+
+test('plain text message round-trips with CRLF line endings', async () => {
+  const { raw, parsed } = await roundTrip({ messageId: '<fixed@example.com>' });
+
+  assert.equal(parsed.from.value[0].address, 'sender@example.com');
+  assert.equal(parsed.from.value[0].name, 'Sender');
+  assert.equal(parsed.to.value[0].address, 'recipient@example.com');
+  assert.equal(parsed.subject, 'Hello');
+  assert.equal(parsed.messageId, '<fixed@example.com>');
+  assert.equal(parsed.text.trim(), 'Hi there');
+  assert.equal(parsed.html, false);
+  assert.doesNotMatch(raw, /[^\r]\n/);
+});
+
+test('HTML message carries both parts and derives the text part', async () => {
+  const html = '<p>Hello <a href="https://example.com">site</a></p><p>Bye &amp; thanks</p>';
+  const { parsed } = await roundTrip({ text: null, html });
+
+  assert.equal(parsed.html.trim(), html);
+  assert.equal(parsed.text.trim(), htmlToText(html));
+  assert.match(parsed.text, /site \(https:\/\/example\.com\)/);
+});
+
+test('long and non-ASCII body lines survive quoted-printable encoding', async () => {
+  const text = `${'Grüße aus München = '.repeat(12)}\nline two ends with space \n日本語のテキスト`;
+  const { raw, parsed } = await roundTrip({ text });
+
+  assert.equal(parsed.text.replace(/\n$/, ''), text);
+  raw.split('\r\n').forEach(line => assert.ok(line.length <= 78, `line too long: ${line}`));
+});
+
+test('RFC 2047 encodes non-ASCII subjects and display names', async () => {
+  const subject = 'Café meeting — 会議の件について、来週の予定を確認させてください 🎉';
+  const { raw, parsed } = await roundTrip({
+    subject,
+    from: { email: 'sender@example.com', name: 'Zoë Müller' },
+    to: [{ email: 'recipient@example.com', name: '山田 太郎' }]
+  });
+
+  const header = listHeaders(raw).find(({ name }) => name === 'Subject');
+  assert.match(header.value, /^=\?UTF-8\?B\?/);
+  assert.ok(/^[\x20-\x7e\r\n\t]*$/.test(raw.slice(0, raw.indexOf('\r\n\r\n'))), 'headers must be 7-bit');
+  assert.equal(parsed.subject, subject);
+  assert.equal(parsed.from.value[0].name, 'Zoë Müller');
+  assert.equal(parsed.to.value[0].name, '山田 太郎');
+});
+
+test('ASCII display names with quotes and commas are quoted', async () => {
+  const { parsed } = await roundTrip({
+    to: [
+      { email: 'a@example.com', name: 'Doe, Jane "JD"' },
+      { email: 'b@example.com', name: 'Back\\slash' }
+    ]
+  });
+
+  assert.deepEqual(parsed.to.value.map(({ name, address }) => ({ name, address })), [
+    { name: 'Doe, Jane "JD"', address: 'a@example.com' },
+    { name: 'Back\\slash', address: 'b@example.com' }
+  ]);
+});
+
+test('RFC 2231 encodes non-ASCII attachment filenames', async () => {
+  const data = Buffer.from('report contents').toString('base64');
+  const { raw, parsed } = await roundTrip({
+    attachments: [
+      { name: 'Bericht für Q3 (final).pdf', type: 'application/pdf', data },
+      { name: 'plain.txt', type: 'not a type', data }
+    ]
+  });
+
+  assert.match(raw, /filename\*=UTF-8''Bericht%20f%C3%BCr%20Q3%20%28final%29\.pdf/);
+  assert.equal(parsed.attachments.length, 2);
+  assert.equal(parsed.attachments[0].filename, 'Bericht für Q3 (final).pdf');
+  assert.equal(parsed.attachments[0].contentType, 'application/pdf');
+  assert.equal(parsed.attachments[0].content.toString(), 'report contents');
+  assert.equal(parsed.attachments[1].filename, 'plain.txt');
+  assert.match(raw, /Content-Type: application\/octet-stream; name="plain\.txt"/);
+  assert.equal(parsed.text.trim(), 'Hi there');
+});
+
+test('Bcc header is kept by default and dropped with includeBcc: false', async () => {
+  const message = { cc: 'cc@example.com', bcc: ['hidden1@example.com', { email: 'hidden2@example.com', name: 'Hidden' }] };
+
+  const kept = await roundTrip(message);
+  assert.equal(kept.parsed.cc.value[0].address, 'cc@example.com');
+  assert.deepEqual(kept.parsed.bcc.value.map(({ address }) => address), ['hidden1@example.com', 'hidden2@example.com']);
+
+  const dropped = await roundTrip({ ...message, includeBcc: false });
+  assert.equal(dropped.parsed.cc.value[0].address, 'cc@example.com');
+  assert.equal(dropped.parsed.bcc, undefined);
+  assert.doesNotMatch(dropped.raw, /hidden/i);
+});
+
+test('comma-separated recipient strings become separate addresses', async () => {
+  const { parsed } = await roundTrip({ to: 'one@example.com, two@example.com' });
+  assert.deepEqual(parsed.to.value.map(({ address }) => address), ['one@example.com', 'two@example.com']);
+});
+
+test('extra headers round-trip and long ones are folded', async () => {
+  const references = Array.from({ length: 6 }, (_, i) => `<thread-${i}-message@mail.example.com>`).join(' ');
+  const { raw, parsed } = await roundTrip({
+    headers: { 'In-Reply-To': '<parent@example.com>', References: references, 'X-Empty': '' }
+  });
+
+  assert.equal(parsed.inReplyTo, '<parent@example.com>');
+  assert.equal(parsed.references.length, 6);
+  assert.equal(listHeaders(raw).find(({ name }) => name === 'References').value, references);
+  assert.equal(parsed.headers.has('x-empty'), false);
+});
+
+test('header injection through CR/LF is rejected', async (t) => {
+  const cases = {
+    subject: { subject: 'Hi\r\nBcc: victim@example.com' },
+    'bare LF subject': { subject: 'Hi\nX-Injected: yes' },
+    'display name': { to: [{ email: 'recipient@example.com', name: 'Eve\r\nBcc: victim@example.com' }] },
+    address: { to: 'recipient@example.com\r\nBcc: victim@example.com' },
+    cc: { cc: 'cc@example.com\nBcc: victim@example.com' },
+    'extra header value': { headers: { 'In-Reply-To': '<a@example.com>\r\nBcc: victim@example.com' } },
+    'extra header name': { headers: { 'X-Test\r\nBcc': 'victim@example.com' } },
+    'message id': { messageId: '<a@example.com>\r\nBcc: victim@example.com' },
+    'attachment name': { attachments: [{ name: 'a.txt"\r\nBcc: victim@example.com', data: 'YQ==' }] }
+  };
+
+  for (const [label, overrides] of Object.entries(cases)) {
+    await t.test(label, () => {
+      assert.throws(() => composeMimeMessage({ ...BASE, ...overrides }), MimeError);
+    });
+  }
+});
+
+test('invalid or missing recipients are rejected', () => {
+  assert.throws(() => composeMimeMessage({ ...BASE, to: null }), /At least one recipient/);
+  assert.throws(() => composeMimeMessage({ ...BASE, to: 'not-an-address' }), MimeError);
+  assert.throws(() => composeMimeMessage({ ...BASE, to: 'a@example.com <b@example.com>' }), MimeError);
+  assert.throws(() => composeMimeMessage({ ...BASE, from: 'nobody' }), MimeError);
+});
+
+test('each message gets distinct boundaries that do not appear in the content', async () => {
+  const { raw, parsed } = await roundTrip({
+    html: '<p>--LinkMail_ is just text here</p>',
+    attachments: [{ name: 'a.txt', type: 'text/plain', data: Buffer.from('a').toString('base64') }]
+  });
+  const boundaries = [...raw.matchAll(/boundary="([^"]+)"/g)].map(match => match[1]);
+
+  assert.equal(boundaries.length, 2);
+  assert.notEqual(boundaries[0], boundaries[1]);
+  assert.equal(parsed.html.trim(), '<p>--LinkMail_ is just text here</p>');
+  assert.equal(parsed.attachments[0].content.toString(), 'a');
+});
@@ -0,0 +1,175 @@
+// test/reply-sync.test.js
+// Reply detection against an in-memory mailbox and database
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+const USER_ID = 'user-1';
+const USER_EMAIL = 'me@example.com';
+
+let db;
+let connections;
+let createMemoryMailbox;
+let syncConnectionReplies;
+let processReplyDetection;
+
+test.before(async () => {
+  db = await useTestDatabase();
+  connections = require('../routes/connections');
+  ({ createMemoryMailbox } = require('../utils/mailbox'));
+  ({ syncConnectionReplies, processReplyDetection } = require('../utils/reply-sync'));
+});
+
+test.beforeEach(async () => {
+  await db.reset('connections', 'contacts', 'user_profiles');
+});
+
+/**
+ * Create a contact with a connection holding one sent message
+ * @param {Object} options - { threadId, messageId, status }
+ * @returns {Promise<number>} Contact ID
+ */
+async function createSentConnection({ threadId = 'thread-1', messageId = 'sent-1', status = 'active' } = {}) {
+  const { rows } = await db.query(
+    "INSERT INTO contacts (first_name, last_name, company) VALUES ('Jane', 'Doe', 'Acme') RETURNING id"
+  );
+  const contactId = Number(rows[0].id);
+  await connections.findOrCreateConnection(USER_ID, contactId, 'Hello');
+  await connections.addMessageToConnection(USER_ID, contactId, {
+    direction: 'sent',
+    subject: 'Hello',
+    gmail_message_id: messageId,
+    gmail_thread_id: threadId
+  });
+  if (status !== 'active') {
+    await connections.updateConnectionStatus(USER_ID, contactId, status);
+  }
+  return contactId;
+}
+
+/**
+ * Load a connection row
+ * @param {number} contactId
+ * @returns {Promise<Object>}
+ */
+async function getConnection(contactId) {
+  const { rows } = await db.query('SELECT * FROM connections WHERE user_id = $1 AND contact_id = $2', [USER_ID, contactId]);
+  return rows[0];
+}
+
+test('records replies in date order and marks the connection responded', async () => {
+  const contactId = await createSentConnection();
+  const mailbox = createMemoryMailbox({
+    'thread-1': [
+      { id: 'sent-1', from: `Me <${USER_EMAIL}>`, subject: 'Hello' },
+      { id: 'reply-2', from: 'Jane Doe <jane@acme.com>', subject: 'Re: Hello', body: 'One more thing', date: '2026-03-02T10:00:00.000Z' },
+      { id: 'reply-1', from: 'Jane Doe <jane@acme.com>', subject: 'Re: Hello', body: 'Sounds good', date: '2026-03-01T10:00:00.000Z', messageIdHeader: '<r1@acme.com>' },
+      { id: 'own-followup', from: 'someone-else@example.com', labelIds: ['SENT'], subject: 'Re: Hello' }
+    ]
+  });
+
+  const summary = await syncConnectionReplies(USER_ID, mailbox, { userEmail: USER_EMAIL });
+
+  assert.deepEqual(summary, { connectionsChecked: 1, threadsChecked: 1, repliesAdded: 2, connectionsResponded: 1 });
+  const connection = await getConnection(contactId);
+  assert.equal(connection.status, 'responded');
+  const received = connection.messages.filter(message => message.direction === 'received');
+  assert.deepEqual(received.map(message => message.gmail_message_id), ['reply-1', 'reply-2']);
+  assert.equal(received[0].body, 'Sounds good');
+  assert.equal(received[0].rfc_message_id, '<r1@acme.com>');
+  assert.equal(received[0].gmail_thread_id, 'thread-1');
+  assert.equal(received[0].received_at, '2026-03-01T10:00:00.000Z');
+});
+
+test('a second sync does not duplicate replies', async () => {
+  const contactId = await createSentConnection();
+  const mailbox = createMemoryMailbox({
+    'thread-1': [
+      { id: 'sent-1', from: USER_EMAIL },
+      { id: 'reply-1', from: 'jane@acme.com', snippet: 'Sounds good', date: '2026-03-01T10:00:00.000Z' }
+    ]
+  });
+
+  await syncConnectionReplies(USER_ID, mailbox, { userEmail: USER_EMAIL });
+  const again = await syncConnectionReplies(USER_ID, mailbox, { userEmail: USER_EMAIL });
+
+  assert.equal(again.repliesAdded, 0);
+  assert.equal(again.connectionsResponded, 0);
+  const connection = await getConnection(contactId);
+  assert.equal(connection.messages.length, 2);
+  assert.equal(connection.messages[1].body, 'Sounds good');
+});
+
+test('later pipeline stages keep their status when a reply arrives', async () => {
+  const contactId = await createSentConnection({ status: 'meeting_scheduled' });
+  const mailbox = createMemoryMailbox({
+    'thread-1': [{ id: 'reply-1', from: 'jane@acme.com', body: 'See you then' }]
+  });
+
+  const summary = await syncConnectionReplies(USER_ID, mailbox, { userEmail: USER_EMAIL });
+
+  assert.equal(summary.repliesAdded, 1);
+  assert.equal(summary.connectionsResponded, 0);
+  assert.equal((await getConnection(contactId)).status, 'meeting_scheduled');
+});
+
+test('threads missing from the mailbox and threads without replies are skipped', async () => {
+  const missing = await createSentConnection({ threadId: 'gone', messageId: 'sent-a' });
+  const quiet = await createSentConnection({ threadId: 'thread-2', messageId: 'sent-b' });
+  const mailbox = createMemoryMailbox({ 'thread-2': [{ id: 'sent-b', from: USER_EMAIL }] });
+
+  const summary = await syncConnectionReplies(USER_ID, mailbox, { userEmail: USER_EMAIL });
+
+  assert.deepEqual(summary, { connectionsChecked: 2, threadsChecked: 2, repliesAdded: 0, connectionsResponded: 0 });
+  assert.equal((await getConnection(missing)).status, 'active');
+  assert.equal((await getConnection(quiet)).status, 'active');
+});
+
+test('contactId limits the sync to one connection', async () => {
+  const first = await createSentConnection({ threadId: 'thread-1', messageId: 'sent-1' });
+  const second = await createSentConnection({ threadId: 'thread-2', messageId: 'sent-2' });
+  const mailbox = createMemoryMailbox({
+    'thread-1': [{ id: 'reply-1', from: 'jane@acme.com' }],
+    'thread-2': [{ id: 'reply-2', from: 'jane@acme.com' }]
+  });
+
+  const summary = await syncConnectionReplies(USER_ID, mailbox, { userEmail: USER_EMAIL, contactId: second });
+
+  assert.equal(summary.connectionsChecked, 1);
+  assert.equal((await getConnection(first)).status, 'active');
+  assert.equal((await getConnection(second)).status, 'responded');
+});
+
+test('closed connections and connections without sent messages are not checked', async () => {
+  await createSentConnection({ status: 'closed' });
+  const { rows } = await db.query(
+    "INSERT INTO contacts (first_name, last_name) VALUES ('No', 'Sent') RETURNING id"
+  );
+  await connections.findOrCreateConnection(USER_ID, Number(rows[0].id), 'Draft only');
+  let requested = 0;
+  const mailbox = { async getThread() { requested++; return null; } };
+
+  const summary = await syncConnectionReplies(USER_ID, mailbox, { userEmail: USER_EMAIL });
+
+  assert.equal(summary.connectionsChecked, 0);
+  assert.equal(requested, 0);
+});
+
+test('the worker only claims opted-in users, once per interval, and skips users without a mailbox', async () => {
+  await db.query(
+    `INSERT INTO user_profiles (user_id, preferences) VALUES
+       ('opted-in', '{"replyDetection": true}'),
+       ('opted-out', '{"replyDetection": false}'),
+       ('no-preference', '{}')`
+  );
+
+  const first = await processReplyDetection({ limit: 10, intervalMinutes: 15 });
+  assert.deepEqual(first, { users: 0, skipped: 1, repliesAdded: 0, failed: 0 });
+
+  const second = await processReplyDetection({ limit: 10, intervalMinutes: 15 });
+  assert.deepEqual(second, { users: 0, skipped: 0, repliesAdded: 0, failed: 0 });
+
+  const { rows } = await db.query('SELECT user_id FROM user_profiles WHERE reply_sync_at IS NOT NULL');
+  assert.deepEqual(rows.map(row => row.user_id), ['opted-in']);
+});
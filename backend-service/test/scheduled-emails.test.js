@@ -0,0 +1,302 @@
+// test/scheduled-emails.test.js
+// The scheduled email worker, sending through the capture transport: claiming,
+// retries, stale locks and deferrals
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+const USER_ID = 'user-1';
+const MINUTE_MS = 60 * 1000;
+
+let db;
+let scheduled;
+let createCampaign;
+let mailTransports;
+
+test.before(async () => {
+  process.env.JWT_SECRET = 'test-secret';
+  process.env.MAIL_TRANSPORT = 'capture';
+  db = await useTestDatabase();
+  scheduled = require('../utils/scheduled-emails');
+  ({ createCampaign } = require('../utils/campaigns'));
+  mailTransports = require('../utils/mail-transports');
+
+  await require('../store').setUserSession(USER_ID, { email: 'me@example.com', name: 'Me', googleTokens: {} });
+});
+
+test.beforeEach(async () => {
+  await db.reset('scheduled_emails', 'email_campaigns', 'sent_emails', 'send_credentials', 'user_profiles');
+  await db.query("INSERT INTO user_profiles (user_id, first_name, last_name) VALUES ($1, 'Me', 'Myself')", [USER_ID]);
+  delete process.env.MAIL_CAPTURE_DIR;
+  mailTransports.clearCapturedMessages();
+});
+
+/**
+ * Queue one email for the given time
+ * @param {Object} options - { userId, sendAt }
+ * @returns {Promise<number>} Scheduled email ID
+ */
+async function queueEmail({ userId = USER_ID, sendAt = new Date(Date.now() - MINUTE_MS) } = {}) {
+  const row = await scheduled.scheduleEmail(userId, {
+    to: 'jane@example.com',
+    subject: 'Hello',
+    body: 'Hi Jane',
+    contactInfo: { firstName: 'Jane', lastName: 'Doe' },
+    sendAt
+  });
+  return row.id;
+}
+
+/**
+ * A scheduled email's current row
+ * @param {number} id
+ * @returns {Promise<Object>}
+ */
+async function scheduledEmail(id) {
+  const { rows } = await db.query('SELECT * FROM scheduled_emails WHERE id = $1', [id]);
+  return rows[0];
+}
+
+/**
+ * Make sends fail with a retryable error (the capture directory cannot be created)
+ */
+function breakTransport() {
+  process.env.MAIL_CAPTURE_DIR = '/dev/null/captures';
+}
+
+/**
+ * Assert that a time lies the given distance from now
+ * @param {Date|string} time
+ * @param {number} fromNowMs
+ */
+function assertFromNow(time, fromNowMs) {
+  const offset = new Date(time).getTime() - (Date.now() + fromNowMs);
+  assert.ok(Math.abs(offset) < 5000, `expected ${fromNowMs}ms from now, off by ${offset}ms`);
+}
+
+/**
+ * Fill the user's hourly send quota with sends made the given time ago
+ * @param {number} agoMs - Age of the sends
+ */
+async function useUpHourlyQuota(agoMs) {
+  await db.query(`
+    INSERT INTO sent_emails (user_id, to_email, subject, body, sent_at)
+    SELECT $1, 'earlier@example.com', 'Earlier', 'Body', $2 FROM generate_series(1, 20)
+  `, [USER_ID, new Date(Date.now() - agoMs).toISOString()]);
+}
+
+/**
+ * A campaign's queued emails in send order
+ * @param {number} campaignId
+ * @returns {Promise<Array<{to_email: string, status: string, attempts: number, send_at: Date}>>}
+ */
+async function campaignEmails(campaignId) {
+  const { rows } = await db.query(
+    'SELECT to_email, status, attempts, send_at FROM scheduled_emails WHERE campaign_id = $1 ORDER BY send_at, id',
+    [campaignId]
+  );
+  return rows;
+}
+
+/**
+ * Gaps between consecutive send times, in ms
+ * @param {Array<{send_at: Date}>} rows
+ * @returns {number[]}
+ */
+function gaps(rows) {
+  return rows.slice(1).map((row, i) => new Date(row.send_at) - new Date(rows[i].send_at));
+}
+
+test('a quota deferral keeps the campaign spacing', async () => {
+  await useUpHourlyQuota(30 * MINUTE_MS);
+  const campaignId = await createCampaign(USER_ID, {
+    subject: 'Hello',
+    body: 'Hi there',
+    recipients: ['a', 'b', 'c', 'd'].map(name => ({ to: `${name}@example.com`, contactInfo: { firstName: name, lastName: 'Test' } })),
+    intervalSeconds: 120,
+    startAt: new Date(Date.now() - 3 * MINUTE_MS)
+  });
+
+  const summary = await scheduled.processDueEmails();
+
+  assert.equal(summary.claimed, 2);
+  assert.equal(summary.deferred, 2);
+  const rows = await campaignEmails(campaignId);
+  assert.deepEqual(rows.map(row => row.to_email), ['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com']);
+  assert.ok(rows.every(row => row.status === 'pending' && row.attempts === 0));
+  assert.deepEqual(gaps(rows), [2 * MINUTE_MS, 2 * MINUTE_MS, 2 * MINUTE_MS]);
+  // The first email waits until the oldest counted send leaves the hour
+  const firstAt = new Date(rows[0].send_at).getTime();
+  assert.ok(Math.abs(firstAt - (Date.now() + 30 * MINUTE_MS)) < 5000);
+});
+
+test('a campaign deferred twice is pushed back once per run', async () => {
+  await useUpHourlyQuota(50 * MINUTE_MS);
+  const campaignId = await createCampaign(USER_ID, {
+    subject: 'Hello',
+    body: 'Hi there',
+    recipients: ['a', 'b', 'c'].map(name => ({ to: `${name}@example.com`, contactInfo: { firstName: name, lastName: 'Test' } })),
+    intervalSeconds: 60,
+    startAt: new Date(Date.now() - 2 * MINUTE_MS)
+  });
+
+  await scheduled.processDueEmails();
+  const first = await campaignEmails(campaignId);
+  // Nothing is due yet: a second run changes nothing
+  await scheduled.processDueEmails();
+  const second = await campaignEmails(campaignId);
+
+  assert.deepEqual(gaps(first), [MINUTE_MS, MINUTE_MS]);
+  assert.deepEqual(second.map(row => new Date(row.send_at).getTime()), first.map(row => new Date(row.send_at).getTime()));
+});
+
+test('a deferral only moves its own campaign', async () => {
+  await useUpHourlyQuota(30 * MINUTE_MS);
+  const recipients = [{ to: 'a@example.com', contactInfo: { firstName: 'A', lastName: 'Test' } }];
+  const due = await createCampaign(USER_ID, { subject: 'Hi', body: 'Hi', recipients, intervalSeconds: 60, startAt: new Date(Date.now() - MINUTE_MS) });
+  const later = await createCampaign(USER_ID, { subject: 'Hi', body: 'Hi', recipients, intervalSeconds: 60, startAt: new Date(Date.now() + 5 * MINUTE_MS) });
+  const laterAt = (await campaignEmails(later))[0].send_at;
+
+  await scheduled.processDueEmails();
+
+  assert.ok(new Date((await campaignEmails(due))[0].send_at) > Date.now() + 25 * MINUTE_MS);
+  assert.deepEqual((await campaignEmails(later))[0].send_at, laterAt);
+});
+
+test('a campaign stores the send credentials once', async () => {
+  let saves = 0;
+  const restore = db.intercept(text => {
+    if (/INSERT INTO send_credentials/.test(text)) saves++;
+  });
+  try {
+    await createCampaign(USER_ID, {
+      subject: 'Hello',
+      body: 'Hi there',
+      recipients: ['a', 'b', 'c'].map(name => ({ to: `${name}@example.com` })),
+      intervalSeconds: 60,
+      startAt: new Date(Date.now() + MINUTE_MS)
+    });
+  } finally {
+    restore();
+  }
+
+  assert.equal(saves, 1);
+  const { rows } = await db.query('SELECT user_id FROM send_credentials');
+  assert.deepEqual(rows, [{ user_id: USER_ID }]);
+});
+
+test('a due email is claimed, sent and not claimed again', async () => {
+  const due = await queueEmail();
+  const later = await queueEmail({ sendAt: new Date(Date.now() + 10 * MINUTE_MS) });
+
+  const first = await scheduled.processDueEmails();
+  const second = await scheduled.processDueEmails();
+
+  assert.equal(first.claimed, 1);
+  assert.equal(first.sent, 1);
+  assert.equal(second.claimed, 0);
+  const row = await scheduledEmail(due);
+  assert.equal(row.status, 'sent');
+  assert.equal(row.attempts, 1);
+  assert.equal(row.locked_at, null);
+  assert.ok(row.sent_at);
+  assert.equal(row.gmail_message_id, mailTransports.getCapturedMessages()[0].messageId);
+  assert.equal((await scheduledEmail(later)).status, 'pending');
+  assert.equal(mailTransports.getCapturedMessages().length, 1);
+});
+
+test('two worker runs at once send each email once', async () => {
+  for (let i = 0; i < 4; i++) await queueEmail();
+
+  const summaries = await Promise.all([scheduled.processDueEmails(), scheduled.processDueEmails()]);
+
+  assert.equal(summaries[0].claimed + summaries[1].claimed, 4);
+  assert.equal(mailTransports.getCapturedMessages().length, 4);
+});
+
+test('a failed send is retried with a doubling delay', async () => {
+  const id = await queueEmail();
+  breakTransport();
+
+  const first = await scheduled.processDueEmails();
+  const afterFirst = await scheduledEmail(id);
+  await db.query("UPDATE scheduled_emails SET send_at = NOW() - interval '1 second' WHERE id = $1", [id]);
+  await scheduled.processDueEmails();
+  const afterSecond = await scheduledEmail(id);
+
+  assert.equal(first.retried, 1);
+  assert.equal(afterFirst.status, 'pending');
+  assert.equal(afterFirst.attempts, 1);
+  assert.equal(afterFirst.locked_at, null);
+  assert.match(afterFirst.last_error, /ENOTDIR/);
+  assertFromNow(afterFirst.send_at, MINUTE_MS);
+  assert.equal(afterSecond.attempts, 2);
+  assertFromNow(afterSecond.send_at, 2 * MINUTE_MS);
+});
+
+test('a send that keeps failing gives up after the last attempt', async () => {
+  const id = await queueEmail();
+  await db.query('UPDATE scheduled_emails SET attempts = 4 WHERE id = $1', [id]);
+  breakTransport();
+
+  const summary = await scheduled.processDueEmails();
+
+  assert.equal(summary.failed, 1);
+  const row = await scheduledEmail(id);
+  assert.equal(row.status, 'failed');
+  assert.equal(row.attempts, 5);
+  assert.match(row.last_error, /ENOTDIR/);
+});
+
+test('a send without a session fails without a retry', async () => {
+  const id = await queueEmail({ userId: 'signed-out-user' });
+
+  const summary = await scheduled.processDueEmails();
+
+  assert.equal(summary.failed, 1);
+  const row = await scheduledEmail(id);
+  assert.equal(row.status, 'failed');
+  assert.equal(row.attempts, 1);
+  assert.equal(row.last_error, 'Please sign in again');
+});
+
+test('an email left sending by a stopped worker is failed, not resent', async () => {
+  const stale = await queueEmail();
+  const current = await queueEmail();
+  await db.query("UPDATE scheduled_emails SET status = 'sending', attempts = 1, locked_at = NOW() - interval '11 minutes' WHERE id = $1", [stale]);
+  await db.query("UPDATE scheduled_emails SET status = 'sending', attempts = 1, locked_at = NOW() - interval '1 minute' WHERE id = $1", [current]);
+
+  const summary = await scheduled.processDueEmails();
+
+  assert.equal(summary.stale, 1);
+  assert.equal(summary.claimed, 0);
+  const row = await scheduledEmail(stale);
+  assert.equal(row.status, 'failed');
+  assert.match(row.last_error, /delivery state unknown/);
+  assert.equal((await scheduledEmail(current)).status, 'sending');
+  assert.equal(mailTransports.getCapturedMessages().length, 0);
+});
+
+test('a sent email that cannot be marked sent is never requeued', async () => {
+  const id = await queueEmail();
+  const restore = db.intercept(text => {
+    if (/SET status = 'sent'/.test(text)) throw new Error('connection lost');
+  });
+  let summary;
+  try {
+    summary = await scheduled.processDueEmails();
+  } finally {
+    restore();
+  }
+
+  assert.equal(summary.sent, 1);
+  assert.equal((await scheduledEmail(id)).status, 'sending');
+  assert.equal((await scheduled.processDueEmails()).claimed, 0);
+
+  await db.query("UPDATE scheduled_emails SET locked_at = NOW() - interval '11 minutes' WHERE id = $1", [id]);
+  await scheduled.processDueEmails();
+
+  assert.equal((await scheduledEmail(id)).status, 'failed');
+  assert.equal(mailTransports.getCapturedMessages().length, 1);
+});
@@ -0,0 +1,142 @@
+// test/send-quota.test.js
+// Per-plan send limits over the rolling hour and day, and their enforcement
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+const USER_ID = 'user-1';
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+let db;
+let getSendQuota;
+let emailSender;
+let mailTransports;
+
+test.before(async () => {
+  process.env.JWT_SECRET = 'test-secret';
+  process.env.MAIL_TRANSPORT = 'capture';
+  db = await useTestDatabase();
+  ({ getSendQuota } = require('../utils/send-quota'));
+  emailSender = require('../utils/email-sender');
+  mailTransports = require('../utils/mail-transports');
+
+  await require('../store').setUserSession(USER_ID, { email: 'me@example.com', name: 'Me', googleTokens: {} });
+});
+
+test.beforeEach(async () => {
+  await db.reset('sent_emails', 'user_profiles');
+  await db.query("INSERT INTO user_profiles (user_id, first_name, last_name) VALUES ($1, 'Me', 'Myself')", [USER_ID]);
+  mailTransports.clearCapturedMessages();
+});
+
+/**
+ * Record earlier sends
+ * @param {number} count - Number of sends
+ * @param {Date} sentAt - When they went out
+ * @param {string} userId - Sender
+ */
+async function recordSends(count, sentAt, userId = USER_ID) {
+  await db.query(`
+    INSERT INTO sent_emails (user_id, to_email, subject, body, sent_at)
+    SELECT $1, 'earlier@example.com', 'Earlier', 'Body', $3 FROM generate_series(1, $2::int)
+  `, [userId, count, sentAt.toISOString()]);
+}
+
+test('a user without sends has the whole hourly limit left', async () => {
+  const quota = await getSendQuota(USER_ID);
+
+  assert.equal(quota.plan, 'Premium Tier');
+  assert.deepEqual(quota.daily, { limit: 100, used: 0, remaining: 100, resetsAt: null });
+  assert.deepEqual(quota.hourly, { limit: 20, used: 0, remaining: 20, resetsAt: null });
+  assert.equal(quota.remaining, 20);
+  assert.equal(quota.retryAt, null);
+});
+
+test('the hourly limit frees up an hour after its oldest send', async () => {
+  const now = new Date();
+  const oldest = new Date(now.getTime() - 40 * MINUTE_MS);
+  await recordSends(5, oldest);
+  await recordSends(15, new Date(now.getTime() - 10 * MINUTE_MS));
+
+  const quota = await getSendQuota(USER_ID, now);
+
+  assert.equal(quota.hourly.used, 20);
+  assert.equal(quota.daily.remaining, 80);
+  assert.equal(quota.remaining, 0);
+  assert.equal(quota.retryAt, new Date(oldest.getTime() + HOUR_MS).toISOString());
+});
+
+test('the daily limit counts sends from earlier hours', async () => {
+  const now = new Date();
+  const oldest = new Date(now.getTime() - 20 * HOUR_MS);
+  await recordSends(60, oldest);
+  await recordSends(40, new Date(now.getTime() - 3 * HOUR_MS));
+  await recordSends(50, new Date(now.getTime() - 25 * HOUR_MS));
+
+  const quota = await getSendQuota(USER_ID, now);
+
+  assert.equal(quota.daily.used, 100);
+  assert.equal(quota.hourly.used, 0);
+  assert.equal(quota.remaining, 0);
+  assert.equal(quota.retryAt, new Date(oldest.getTime() + 24 * HOUR_MS).toISOString());
+});
+
+test('with both limits reached the later reset is when to retry', async () => {
+  const now = new Date();
+  await recordSends(80, new Date(now.getTime() - 10 * HOUR_MS));
+  await recordSends(20, new Date(now.getTime() - 30 * MINUTE_MS));
+
+  const quota = await getSendQuota(USER_ID, now);
+
+  assert.equal(quota.daily.remaining, 0);
+  assert.equal(quota.hourly.remaining, 0);
+  assert.equal(quota.retryAt, quota.daily.resetsAt);
+});
+
+test('limits follow the plan, and other users do not count', async () => {
+  await db.query("UPDATE user_profiles SET plan = 'Premium Plus Tier' WHERE user_id = $1", [USER_ID]);
+  await recordSends(30, new Date(Date.now() - 5 * MINUTE_MS));
+  await recordSends(50, new Date(Date.now() - 5 * MINUTE_MS), 'someone-else');
+
+  const quota = await getSendQuota(USER_ID);
+
+  assert.equal(quota.plan, 'Premium Plus Tier');
+  assert.equal(quota.hourly.limit, 40);
+  assert.equal(quota.daily.limit, 200);
+  assert.equal(quota.remaining, 10);
+});
+
+test('an unknown plan gets the default limits', async () => {
+  await db.query("UPDATE user_profiles SET plan = 'Legacy' WHERE user_id = $1", [USER_ID]);
+
+  const quota = await getSendQuota(USER_ID);
+
+  assert.equal(quota.plan, 'Premium Tier');
+  assert.equal(quota.hourly.limit, 20);
+});
+
+test('sending is refused once the quota is used up', async () => {
+  await recordSends(20, new Date(Date.now() - 30 * MINUTE_MS));
+
+  await assert.rejects(
+    emailSender.sendEmail(USER_ID, { to: 'jane@example.com', subject: 'Hello', body: 'Hi Jane' }),
+    error => {
+      assert.ok(error instanceof emailSender.SendQuotaError);
+      assert.equal(error.status, 429);
+      assert.match(error.message, /hourly limit of 20 emails/);
+      assert.equal(error.quota.retryAt, error.quota.hourly.resetsAt);
+      return true;
+    }
+  );
+  assert.equal(mailTransports.getCapturedMessages().length, 0);
+});
+
+test('sending is allowed with quota left', async () => {
+  await recordSends(19, new Date(Date.now() - 30 * MINUTE_MS));
+
+  const quota = await emailSender.assertSendQuota(USER_ID);
+
+  assert.equal(quota.remaining, 1);
+});
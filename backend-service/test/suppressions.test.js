@@ -0,0 +1,153 @@
+// test/suppressions.test.js
+// Do-not-contact lists: parsing, matching, and refusing suppressed recipients
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+const USER_ID = 'user-1';
+
+let db;
+let suppressions;
+let emailSender;
+let mailTransports;
+let createCampaign;
+
+test.before(async () => {
+  process.env.JWT_SECRET = 'test-secret';
+  process.env.MAIL_TRANSPORT = 'capture';
+  db = await useTestDatabase();
+  suppressions = require('../utils/suppressions');
+  emailSender = require('../utils/email-sender');
+  mailTransports = require('../utils/mail-transports');
+  ({ createCampaign } = require('../utils/campaigns'));
+
+  await require('../store').setUserSession(USER_ID, { email: 'me@example.com', name: 'Me', googleTokens: {} });
+});
+
+test.beforeEach(async () => {
+  await db.reset('email_suppressions', 'email_campaigns', 'scheduled_emails', 'sent_emails', 'user_profiles');
+  await db.query("INSERT INTO user_profiles (user_id, first_name, last_name) VALUES ($1, 'Me', 'Myself')", [USER_ID]);
+  mailTransports.clearCapturedMessages();
+});
+
+test('addresses and domains are normalized, anything else is refused', () => {
+  assert.deepEqual(suppressions.normalizeSuppression(' Jane@Acme.COM '), { kind: 'email', value: 'jane@acme.com' });
+  assert.deepEqual(suppressions.normalizeSuppression('@acme.com'), { kind: 'domain', value: 'acme.com' });
+  assert.deepEqual(suppressions.normalizeSuppression('acme.com'), { kind: 'domain', value: 'acme.com' });
+
+  for (const value of ['', 'acme', 'a@b@acme.com', 'jane doe@acme.com', '@', 'jane@']) {
+    assert.equal(suppressions.normalizeSuppression(value), null, value);
+  }
+});
+
+test('an import skips comments, blank lines and a header row', () => {
+  const entries = suppressions.parseSuppressionText('email\n# legal\njane@acme.com, asked to stop\n\nacme.org\n');
+
+  assert.deepEqual(entries, [
+    { value: 'jane@acme.com', reason: 'asked to stop' },
+    { value: 'acme.org', reason: null }
+  ]);
+});
+
+test('adding an entry twice keeps the first one', async () => {
+  await suppressions.addSuppressions(USER_ID, [{ value: 'jane@acme.com', reason: 'first' }]);
+
+  const result = await suppressions.addSuppressions(USER_ID, [
+    { value: 'JANE@acme.com', reason: 'second' },
+    { value: 'acme.org' },
+    { value: 'not an address' }
+  ]);
+
+  assert.deepEqual(result.added.map(row => row.value), ['acme.org']);
+  assert.equal(result.existing, 1);
+  assert.deepEqual(result.invalid, ['not an address']);
+  const list = await suppressions.listSuppressions(USER_ID);
+  assert.equal(list.find(row => row.value === 'jane@acme.com').reason, 'first');
+});
+
+test('addresses, domains and subdomains on the user and global lists match', async () => {
+  await suppressions.addSuppressions(USER_ID, [{ value: 'jane@acme.com' }, { value: 'blocked.org' }]);
+  await suppressions.addSuppressions(null, [{ value: 'global.net' }]);
+  await suppressions.addSuppressions('someone-else', [{ value: 'theirs.com' }]);
+
+  const found = await suppressions.findSuppressedRecipients(USER_ID, [
+    'Jane@Acme.com',
+    'john@acme.com',
+    'sales@eu.blocked.org',
+    'notblocked.org@example.com',
+    'x@global.net',
+    'y@theirs.com',
+    'z@unblocked.org'
+  ]);
+
+  assert.deepEqual(found, [
+    { email: 'jane@acme.com', kind: 'email', value: 'jane@acme.com', global: false },
+    { email: 'sales@eu.blocked.org', kind: 'domain', value: 'blocked.org', global: false },
+    { email: 'x@global.net', kind: 'domain', value: 'global.net', global: true }
+  ]);
+});
+
+test('an entry is only removed from its own list', async () => {
+  const { added: [own] } = await suppressions.addSuppressions(USER_ID, [{ value: 'acme.com' }]);
+  const { added: [global] } = await suppressions.addSuppressions(null, [{ value: 'global.net' }]);
+
+  assert.equal(await suppressions.removeSuppression(USER_ID, global.id), null);
+  assert.equal((await suppressions.removeSuppression(USER_ID, own.id)).value, 'acme.com');
+  assert.deepEqual(await suppressions.findSuppressedRecipients(USER_ID, ['a@acme.com']), []);
+  assert.equal((await suppressions.findSuppressedRecipients(USER_ID, ['a@global.net'])).length, 1);
+});
+
+test('contact searches leave out suppressed contacts', async () => {
+  await suppressions.addSuppressions(USER_ID, [{ value: 'acme.com' }]);
+  const { rows: contacts } = await db.query(
+    "INSERT INTO contacts (first_name, last_name) VALUES ('Jane', 'Doe'), ('John', 'Roe') RETURNING id"
+  );
+  await db.query(
+    "INSERT INTO contact_emails (contact_id, email, is_primary) VALUES ($1, 'Jane@Acme.com', true), ($2, 'john@example.com', true)",
+    [contacts[0].id, contacts[1].id]
+  );
+
+  const { rows } = await db.query(
+    `SELECT first_name FROM contacts WHERE ${suppressions.notSuppressedContactSql('contacts.id', 1)}`,
+    [USER_ID]
+  );
+
+  assert.deepEqual(rows, [{ first_name: 'John' }]);
+});
+
+test('sending to a suppressed Cc or Bcc is refused', async () => {
+  await suppressions.addSuppressions(USER_ID, [{ value: 'acme.com' }]);
+
+  await assert.rejects(
+    emailSender.sendEmail(USER_ID, { to: 'john@example.com', bcc: 'jane@acme.com', subject: 'Hello', body: 'Hi' }),
+    error => {
+      assert.ok(error instanceof emailSender.SuppressedRecipientError);
+      assert.equal(error.status, 422);
+      assert.equal(error.message, 'jane@acme.com is on the do-not-contact list');
+      return true;
+    }
+  );
+  assert.equal(mailTransports.getCapturedMessages().length, 0);
+});
+
+test('a campaign skips suppressed recipients', async () => {
+  await suppressions.addSuppressions(null, [{ value: 'jane@acme.com' }]);
+
+  const campaignId = await createCampaign(USER_ID, {
+    subject: 'Hello',
+    body: 'Hi there',
+    recipients: [{ to: 'jane@acme.com' }, { to: 'john@example.com' }],
+    intervalSeconds: 60,
+    startAt: new Date(Date.now() + 60 * 1000)
+  });
+
+  const { rows } = await db.query(
+    'SELECT to_email, skip_reason, scheduled_email_id FROM email_campaign_recipients WHERE campaign_id = $1 ORDER BY position',
+    [campaignId]
+  );
+  assert.equal(rows[0].skip_reason, 'On the do-not-contact list');
+  assert.equal(rows[0].scheduled_email_id, null);
+  assert.equal(rows[1].skip_reason, null);
+  assert.ok(rows[1].scheduled_email_id);
+});
@@ -0,0 +1,82 @@
+// test/template-renderer.test.js
+// Placeholder rendering, including markdown bodies with links
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, renderEmail } = require('../utils/template-renderer');
+
+const VARIABLES = {
+  'My First Name': 'Ann',
+  'Recipient Company': 'Acme',
+  'Recipient First Name': null
+};
+
+test('fills known placeholders, defaults and reports the rest', () => {
+  const { text, unresolved } = renderTemplate(
+    'Hi [Recipient First Name|there], I love [Recipient Company]. [Mention a project] - [My First Name]',
+    VARIABLES
+  );
+
+  assert.equal(text, 'Hi there, I love Acme. [Mention a project] - Ann');
+  assert.deepEqual(unresolved, ['[Mention a project]']);
+});
+
+test('plain text treats every bracket group as a placeholder', () => {
+  const { text, unresolved } = renderTemplate('See [my portfolio](https://x.dev)', VARIABLES);
+
+  assert.equal(text, 'See [my portfolio](https://x.dev)');
+  assert.deepEqual(unresolved, ['[my portfolio]']);
+});
+
+test('markdown links and images are left alone', () => {
+  const body = [
+    'See [my portfolio](https://x.dev) and ![logo](https://x.dev/logo.png).',
+    'More on [Recipient Company](https://acme.com/about) at [Recipient Company].'
+  ].join('\n');
+
+  const { text, unresolved } = renderTemplate(body, VARIABLES, { format: 'markdown' });
+
+  assert.equal(text, [
+    'See [my portfolio](https://x.dev) and ![logo](https://x.dev/logo.png).',
+    'More on [Recipient Company](https://acme.com/about) at Acme.'
+  ].join('\n'));
+  assert.deepEqual(unresolved, []);
+});
+
+test('markdown reference links and definitions are left alone', () => {
+  const body = 'Read [the post][post] or [the docs] [docs].\n\n[post]: https://x.dev/post\n  [docs]: https://x.dev/docs';
+
+  const { text, unresolved } = renderTemplate(body, VARIABLES, { format: 'markdown' });
+
+  // "[the docs] [docs]" has a space, so it is not reference syntax
+  assert.equal(text, body);
+  assert.deepEqual(unresolved, ['[the docs]', '[docs]']);
+});
+
+test('markdown placeholders next to punctuation are still filled', () => {
+  const { text, unresolved } = renderTemplate('Hi [Recipient First Name|there]: how is [Recipient Company]?', VARIABLES, { format: 'markdown' });
+
+  assert.equal(text, 'Hi there: how is Acme?');
+  assert.deepEqual(unresolved, []);
+});
+
+test('renderEmail applies the body format to the body only', () => {
+  const rendered = renderEmail({
+    subject: '[Recipient Company](x)',
+    body: 'Portfolio: [my work](https://x.dev)',
+    format: 'markdown'
+  }, VARIABLES);
+
+  assert.equal(rendered.subject, 'Acme(x)');
+  assert.equal(rendered.body, 'Portfolio: [my work](https://x.dev)');
+  assert.deepEqual(rendered.unresolved, []);
+});
+
+test('malformed and stray brackets are reported', () => {
+  const { unresolved } = renderTemplate('Hi [[My First Name]] and [Recipient Company\nbye', VARIABLES, { format: 'markdown' });
+
+  assert.equal(unresolved.length, 2);
+  assert.equal(unresolved[0], '[[My First Name]]');
+  // The unclosed bracket, shown with the text around it
+  assert.match(unresolved[1], /and \[Recipient Compa/);
+});
@@ -0,0 +1,82 @@
+// test/user.test.js
+// PUT /api/user/bio and the stored preferences
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { useTestDatabase } = require('./helpers/database');
+
+const USER_ID = 'user-1';
+
+let db;
+let server;
+let baseUrl;
+
+test.before(async () => {
+  db = await useTestDatabase();
+  const userRoutes = require('../routes/user');
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: USER_ID };
+    next();
+  });
+  app.use('/api/user', userRoutes);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+test.beforeEach(async () => {
+  await db.reset('user_profiles');
+});
+
+/**
+ * Save preferences through PUT /bio
+ * @param {Object} preferences
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function savePreferences(preferences) {
+  const response = await fetch(`${baseUrl}/api/user/bio`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ preferences })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('preferences are created on the first save', async () => {
+  const { status, body } = await savePreferences({ theme: 'dark', trackEmails: true });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.profile.preferences, { theme: 'dark', trackEmails: true });
+});
+
+test('a key left out of the body is removed', async () => {
+  await savePreferences({ theme: 'dark', signatureStyle: 'short' });
+
+  const { body } = await savePreferences({ theme: 'light' });
+
+  assert.deepEqual(body.profile.preferences, { theme: 'light' });
+});
+
+test('send settings left out of the body are kept', async () => {
+  await savePreferences({ theme: 'dark', undoSendSeconds: 10, trackEmails: true });
+  await db.query(
+    `UPDATE user_profiles SET preferences = preferences || '{"replyDetection": true}'::jsonb WHERE user_id = $1`,
+    [USER_ID]
+  );
+
+  const { body } = await savePreferences({ theme: 'light', trackEmails: false });
+
+  assert.deepEqual(body.profile.preferences, {
+    theme: 'light',
+    undoSendSeconds: 10,
+    trackEmails: false,
+    replyDetection: true
+  });
+});
@@ -0,0 +1,264 @@
+// utils/attachments.js
+// Resolves email attachments into base64 payloads. URL attachments are only
+// fetched from our blob store, streamed under a byte cap, and must have one of
+// the content types routes/upload.js accepts. Any problem fails the send:
+// an email never goes out without the attachment the user picked.
+
+const path = require('path');
+
+// Shared with routes/upload.js
+const ALLOWED_ATTACHMENT_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+  'image/jpeg',
+  'image/png',
+  'image/gif'
+];
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024; // 10MB, the upload limit
+// Gmail rejects messages over 25MB; base64 adds a third
+const MAX_TOTAL_ATTACHMENT_BYTES = 18 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15 * 1000;
+
+// Vercel Blob public URLs: https://<store-id>.public.blob.vercel-storage.com/<path>
+const BLOB_HOST_SUFFIX = '.public.blob.vercel-storage.com';
+
+// For inline attachments sent without a type
+const EXTENSION_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+class AttachmentError extends Error {
+  /**
+   * @param {number} status - 400 when the attachment itself is unacceptable, 502 when it could not be fetched
+   * @param {string} message - What went wrong, naming the attachment
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+  }
+}
+
+/**
+ * Hosts attachments may be fetched from. ATTACHMENT_ALLOWED_HOSTS is a comma-separated
+ * list; an entry starting with "." also matches any subdomain. Without it, only our own
+ * blob store, whose ID is in BLOB_READ_WRITE_TOKEN (vercel_blob_rw_<store-id>_<secret>).
+ * @returns {Array<string>} Empty when neither is set, so no URL is allowed
+ */
+function allowedHosts() {
+  const configured = (process.env.ATTACHMENT_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  if (configured.length > 0) {
+    return configured;
+  }
+
+  const [, , , storeId] = (process.env.BLOB_READ_WRITE_TOKEN || '').split('_');
+  return storeId ? [`${storeId.toLowerCase()}${BLOB_HOST_SUFFIX}`] : [];
+}
+
+/**
+ * Check that an attachment URL points at the blob store
+ * @param {string} rawUrl - URL from the client
+ * @returns {URL} Parsed URL
+ */
+function assertAllowedUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(String(rawUrl));
+  } catch {
+    throw new AttachmentError(400, 'Attachment URL is not a valid URL');
+  }
+
+  const host = url.hostname.toLowerCase();
+  const hostAllowed = allowedHosts().some(allowed => (allowed.startsWith('.')
+    ? host.endsWith(allowed)
+    : host === allowed));
+
+  if (url.protocol !== 'https:' || url.username || url.password || (url.port && url.port !== '443') || !hostAllowed) {
+    throw new AttachmentError(400, `Attachments must be uploaded through LinkMail (${url.hostname} is not allowed)`);
+  }
+  return url;
+}
+
+/**
+ * Error for an attachment over the per-file or total size cap
+ * @param {string} name - Attachment name
+ * @param {number} maxBytes - Cap that was exceeded
+ * @returns {AttachmentError}
+ */
+function tooLargeError(name, maxBytes) {
+  return maxBytes < MAX_ATTACHMENT_BYTES
+    ? new AttachmentError(400, `Attachments are larger than ${MAX_TOTAL_ATTACHMENT_BYTES / (1024 * 1024)}MB in total ("${name}" does not fit)`)
+    : new AttachmentError(400, `Attachment "${name}" is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)}MB`);
+}
+
+/**
+ * Media type without parameters, lowercased
+ * @param {string|null} contentType - Content-Type value
+ * @returns {string}
+ */
+function mediaType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Check a content type against the upload allowlist
+ * @param {string} type - Media type
+ * @param {string} name - Attachment name for the error message
+ */
+function assertAllowedType(type, name) {
+  if (!ALLOWED_ATTACHMENT_TYPES.includes(type)) {
+    throw new AttachmentError(400, `Attachment "${name}" has a file type that is not allowed (${type || 'unknown'})`);
+  }
+}
+
+/**
+ * Filename from Content-Disposition, or the last URL path segment
+ * @param {Response} response - Fetch response
+ * @param {URL} url - Attachment URL
+ * @returns {string}
+ */
+function responseFilename(response, url) {
+  const disposition = response.headers.get('content-disposition') || '';
+  const match = disposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
+  if (match && match[1]) {
+    return match[1].replace(/['"]/g, '');
+  }
+  const segment = url.pathname.split('/').pop() || '';
+  try {
+    return decodeURIComponent(segment) || 'attachment';
+  } catch {
+    return segment;
+  }
+}
+
+/**
+ * Read a response body, giving up as soon as it exceeds the byte cap
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Cap
+ * @param {string} name - Attachment name for the error message
+ * @returns {Promise<Buffer>}
+ */
+async function readCapped(response, maxBytes, name) {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > maxBytes) {
+    throw tooLargeError(name, maxBytes);
+  }
+
+  const chunks = [];
+  let total = 0;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      await reader.cancel();
+      throw tooLargeError(name, maxBytes);
+    }
+    chunks.push(Buffer.from(value));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Fetch an attachment from the blob store
+ * @param {Object} attachment - { url, name? }
+ * @param {Object} options - { maxBytes, fetchImpl }
+ * @returns {Promise<{data: string, name: string, type: string, size: number}>}
+ */
+async function fetchAttachment(attachment, { maxBytes = MAX_ATTACHMENT_BYTES, fetchImpl = fetch } = {}) {
+  const url = assertAllowedUrl(attachment.url);
+  const label = attachment.name || url.pathname.split('/').pop() || 'attachment';
+
+  let response;
+  try {
+    // No redirects: a redirect could point anywhere, including internal addresses
+    response = await fetchImpl(url.href, { redirect: 'error', signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  } catch (error) {
+    throw new AttachmentError(502, `Attachment "${label}" could not be downloaded: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new AttachmentError(502, `Attachment "${label}" could not be downloaded (HTTP ${response.status})`);
+  }
+
+  const type = mediaType(response.headers.get('content-type'));
+  assertAllowedType(type, label);
+
+  const buffer = await readCapped(response, maxBytes, label);
+  return {
+    data: buffer.toString('base64'),
+    name: attachment.name || responseFilename(response, url),
+    type,
+    size: buffer.byteLength
+  };
+}
+
+/**
+ * Validate an attachment the client sent as base64
+ * @param {Object} attachment - { data, name, type? }
+ * @param {number} maxBytes - Cap on the decoded size
+ * @returns {{data: string, name: string, type: string, size: number}}
+ */
+function inlineAttachment(attachment, maxBytes = MAX_ATTACHMENT_BYTES) {
+  const name = attachment.name || 'attachment';
+  const type = mediaType(attachment.type) || EXTENSION_TYPES[path.extname(name).toLowerCase()] || '';
+  assertAllowedType(type, name);
+
+  const data = String(attachment.data);
+  const size = Buffer.byteLength(data, 'base64');
+  if (size > maxBytes) {
+    throw tooLargeError(name, maxBytes);
+  }
+  return { data, name, type, size };
+}
+
+/**
+ * Resolve request attachments into base64 payloads, fetching URLs from the blob store
+ * @param {Array} attachments - Attachments as sent by the client ({url, name?} or {data, name, type, size})
+ * @param {Object} options - { fetchImpl }
+ * @returns {Promise<Array<{data: string, name: string, type: string, size: number}>>}
+ * @throws {AttachmentError} When any attachment is not allowed or cannot be fetched
+ */
+async function resolveAttachments(attachments = [], { fetchImpl = fetch } = {}) {
+  const resolved = [];
+  let total = 0;
+
+  for (const attachment of attachments || []) {
+    const remaining = MAX_TOTAL_ATTACHMENT_BYTES - total;
+    const maxBytes = Math.min(MAX_ATTACHMENT_BYTES, remaining);
+
+    let file;
+    if (attachment?.data) {
+      file = inlineAttachment(attachment, maxBytes);
+    } else if (attachment?.url) {
+      file = await fetchAttachment(attachment, { maxBytes, fetchImpl });
+    } else {
+      throw new AttachmentError(400, 'Each attachment needs a url or data');
+    }
+
+    total += file.size;
+    resolved.push(file);
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  ALLOWED_ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  AttachmentError,
+  assertAllowedUrl,
+  resolveAttachments
+};
@@ -0,0 +1,251 @@
+// utils/campaigns.js
+// Mail-merge campaigns: render one template per recipient and queue the
+// results on the scheduled email queue, spaced out to respect Gmail limits
+
+const { getClient, query } = require('../db');
+const { scheduleEmail, rememberSendCredentials } = require('./scheduled-emails');
+const { buildTemplateVariables, renderEmail, loadSenderProfile } = require('./template-renderer');
+const { findSuppressedRecipients } = require('./suppressions');
+
+/**
+ * Render the campaign template for each recipient and decide who gets queued
+ * @param {Object} params - { subject, body, recipients, profile, suppressed }
+ *   suppressed: Set of lowercased addresses on the do-not-contact lists
+ * @returns {Array<{to: string, contactInfo: Object, subject: string|null, body: string|null, skipReason: string|null}>}
+ */
+function renderRecipients({ subject, body, recipients, profile, suppressed = new Set() }) {
+  const seen = new Set();
+
+  return recipients.map(recipient => {
+    const to = String(recipient.to).trim();
+    const contactInfo = recipient.contactInfo || {};
+    const key = to.toLowerCase();
+
+    if (seen.has(key)) {
+      return { to, contactInfo, subject: null, body: null, skipReason: 'Duplicate recipient' };
+    }
+    seen.add(key);
+
+    if (suppressed.has(key)) {
+      return { to, contactInfo, subject: null, body: null, skipReason: 'On the do-not-contact list' };
+    }
+
+    const rendered = renderEmail({ subject, body }, buildTemplateVariables({ profile, contactInfo, to }));
+
+    return {
+      to,
+      contactInfo,
+      subject: rendered.subject,
+      body: rendered.body,
+      skipReason: rendered.unresolved.length > 0 ? `Unfilled placeholders: ${rendered.unresolved.join(', ')}` : null
+    };
+  });
+}
+
+/**
+ * Create a campaign and queue one email per renderable recipient
+ * @param {string} userId - User ID
+ * @param {Object} campaign - { name, subject, body, recipients, attachments, intervalSeconds, startAt }
+ * @returns {Promise<number>} New campaign ID
+ */
+async function createCampaign(userId, { name = null, subject, body, recipients, attachments = [], intervalSeconds, startAt = null }) {
+  const profile = await loadSenderProfile(userId);
+  const suppressed = await findSuppressedRecipients(userId, recipients.map(recipient => recipient.to));
+  const rendered = renderRecipients({
+    subject, body, recipients, profile,
+    suppressed: new Set(suppressed.map(entry => entry.email))
+  });
+  const start = startAt ? new Date(startAt) : new Date();
+
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: campaigns } = await client.query(`
+      INSERT INTO email_campaigns (user_id, name, subject, body, interval_seconds, start_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [userId, name, subject, body, intervalSeconds, start.toISOString()]);
+    const campaignId = campaigns[0].id;
+
+    let slot = 0;
+    for (let position = 0; position < rendered.length; position++) {
+      const recipient = rendered[position];
+      let scheduledEmailId = null;
+
+      if (!recipient.skipReason) {
+        const scheduled = await scheduleEmail(userId, {
+          to: recipient.to,
+          subject: recipient.subject,
+          body: recipient.body,
+          attachments,
+          contactInfo: recipient.contactInfo,
+          sendAt: new Date(start.getTime() + slot * intervalSeconds * 1000),
+          campaignId
+        }, client);
+        scheduledEmailId = scheduled.id;
+        slot++;
+      }
+
+      await client.query(`
+        INSERT INTO email_campaign_recipients (campaign_id, position, to_email, contact_info, scheduled_email_id, skip_reason)
+        VALUES ($1, $2, $3, $4::jsonb, $5, $6)
+      `, [campaignId, position, recipient.to, JSON.stringify(recipient.contactInfo), scheduledEmailId, recipient.skipReason]);
+    }
+
+    await client.query('COMMIT');
+    await rememberSendCredentials(userId);
+    return campaignId;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Derive a campaign's overall status from its recipient counts
+ * @param {Object} campaign - email_campaigns row
+ * @param {Object} counts - Map of recipient status -> count
+ * @returns {string} 'cancelled' | 'scheduled' | 'sending' | 'completed'
+ */
+function campaignStatus(campaign, counts) {
+  if (campaign.cancelled_at) return 'cancelled';
+  const open = (counts.pending || 0) + (counts.sending || 0);
+  if (open === 0) return 'completed';
+  const done = (counts.sent || 0) + (counts.failed || 0);
+  return done > 0 || counts.sending ? 'sending' : 'scheduled';
+}
+
+/**
+ * Load a campaign with per-recipient statuses
+ * @param {string} userId - User ID
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} Campaign with recipients, or null if not found
+ */
+async function getCampaign(userId, campaignId) {
+  const { rows: campaigns } = await query(
+    'SELECT * FROM email_campaigns WHERE id = $1 AND user_id = $2',
+    [campaignId, userId]
+  );
+  if (campaigns.length === 0) return null;
+  const campaign = campaigns[0];
+
+  const { rows: recipients } = await query(`
+    SELECT r.position, r.to_email, r.contact_info, r.skip_reason,
+           se.id AS scheduled_email_id, se.status, se.send_at, se.sent_at,
+           se.attempts, se.last_error, se.gmail_message_id, se.gmail_thread_id
+    FROM email_campaign_recipients r
+    LEFT JOIN scheduled_emails se ON se.id = r.scheduled_email_id
+    WHERE r.campaign_id = $1
+    ORDER BY r.position ASC
+  `, [campaignId]);
+
+  const formatted = recipients.map(r => ({
+    to: r.to_email,
+    contactInfo: r.contact_info,
+    status: r.skip_reason ? 'skipped' : (r.status || 'unknown'),
+    skipReason: r.skip_reason,
+    scheduledEmailId: r.scheduled_email_id,
+    sendAt: r.send_at,
+    sentAt: r.sent_at,
+    attempts: r.attempts,
+    lastError: r.last_error,
+    messageId: r.gmail_message_id,
+    threadId: r.gmail_thread_id
+  }));
+
+  const counts = formatted.reduce((acc, r) => {
+    acc[r.status] = (acc[r.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    id: campaign.id,
+    name: campaign.name,
+    subject: campaign.subject,
+    body: campaign.body,
+    intervalSeconds: campaign.interval_seconds,
+    startAt: campaign.start_at,
+    cancelledAt: campaign.cancelled_at,
+    createdAt: campaign.created_at,
+    status: campaignStatus(campaign, counts),
+    counts,
+    recipients: formatted
+  };
+}
+
+/**
+ * List a user's campaigns with recipient counts
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+async function listCampaigns(userId) {
+  const { rows } = await query(`
+    SELECT c.*,
+           COUNT(r.id) AS total,
+           COUNT(r.id) FILTER (WHERE r.skip_reason IS NOT NULL) AS skipped,
+           COUNT(se.id) FILTER (WHERE se.status = 'pending') AS pending,
+           COUNT(se.id) FILTER (WHERE se.status = 'sending') AS sending,
+           COUNT(se.id) FILTER (WHERE se.status = 'sent') AS sent,
+           COUNT(se.id) FILTER (WHERE se.status = 'failed') AS failed,
+           COUNT(se.id) FILTER (WHERE se.status = 'cancelled') AS cancelled
+    FROM email_campaigns c
+    LEFT JOIN email_campaign_recipients r ON r.campaign_id = c.id
+    LEFT JOIN scheduled_emails se ON se.id = r.scheduled_email_id
+    WHERE c.user_id = $1
+    GROUP BY c.id
+    ORDER BY c.created_at DESC
+  `, [userId]);
+
+  return rows.map(row => {
+    const counts = {};
+    ['skipped', 'pending', 'sending', 'sent', 'failed', 'cancelled'].forEach(status => {
+      const count = parseInt(row[status]);
+      if (count > 0) counts[status] = count;
+    });
+    return {
+      id: row.id,
+      name: row.name,
+      subject: row.subject,
+      intervalSeconds: row.interval_seconds,
+      startAt: row.start_at,
+      cancelledAt: row.cancelled_at,
+      createdAt: row.created_at,
+      status: campaignStatus(row, counts),
+      total: parseInt(row.total),
+      counts
+    };
+  });
+}
+
+/**
+ * Cancel every email of the campaign that has not been sent yet
+ * @param {string} userId - User ID
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<number|null>} Number of emails cancelled, or null if the campaign does not exist
+ */
+async function cancelCampaign(userId, campaignId) {
+  const { rows } = await query(`
+    UPDATE email_campaigns
+    SET cancelled_at = COALESCE(cancelled_at, NOW()), updated_at = NOW()
+    WHERE id = $1 AND user_id = $2
+    RETURNING id
+  `, [campaignId, userId]);
+  if (rows.length === 0) return null;
+
+  const { rowCount } = await query(`
+    UPDATE scheduled_emails
+    SET status = 'cancelled', locked_at = NULL, updated_at = NOW()
+    WHERE campaign_id = $1 AND user_id = $2 AND status = 'pending'
+  `, [campaignId, userId]);
+  return rowCount;
+}
+
+module.exports = {
+  createCampaign,
+  getCampaign,
+  listCampaigns,
+  cancelCampaign
+};
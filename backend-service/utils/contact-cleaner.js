@@ -1,6 +1,8 @@
 // utils/contact-cleaner.js
 // LLM-based contact data cleaning utility
 
+const { LLMError, getLLMClient } = require('./llm');
+
 /**
  * Clean job title and company using LLM
  * @param {string} rawJobTitle - Raw job title from scraping (e.g., "Recruiting at Notion - We're Hiring! Notion.so/careers")
@@ -14,16 +16,19 @@ async function cleanContactData(rawJobTitle, rawCompany) {
   }
 
   try {
-    // Use OpenAI API for cleaning
-    const openaiApiKey = process.env.OPENAI_API_KEY;
-    
-    if (!openaiApiKey) {
-      console.warn('OPENAI_API_KEY not set, skipping contact data cleaning');
-      return {
-        jobTitle: rawJobTitle || null,
-        company: rawCompany || null,
-        category: null
-      };
+    let llm;
+    try {
+      llm = getLLMClient();
+    } catch (configError) {
+      if (configError instanceof LLMError && configError.code === 'not_configured') {
+        console.warn(`${configError.message} Skipping contact data cleaning.`);
+        return {
+          jobTitle: rawJobTitle || null,
+          company: rawCompany || null,
+          category: null
+        };
+      }
+      throw configError;
     }
 
     const prompt = `You are a data cleaning assistant. Extract clean, professional job titles, company names, and infer the job category from scraped LinkedIn data.
@@ -57,32 +62,18 @@ Rules:
 Respond ONLY with valid JSON in this exact format (no markdown, no code blocks):
 {"jobTitle": "cleaned job title or null", "company": "cleaned company or null", "category": "category or null"}`;
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${openaiApiKey}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini', // Fast and cost-effective
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a data cleaning assistant that outputs only valid JSON. Never use markdown formatting or code blocks.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
+    let content;
+    try {
+      const completion = await llm.complete({
+        purpose: 'contact-cleaning',
+        system: 'You are a data cleaning assistant that outputs only valid JSON. Never use markdown formatting or code blocks.',
+        messages: [{ role: 'user', content: prompt }],
         temperature: 0.1, // Low temperature for consistency
-        max_tokens: 100
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('OpenAI API error:', response.status, errorText);
+        maxTokens: 100
+      });
+      content = completion.content;
+    } catch (llmError) {
+      console.error('LLM error while cleaning contact data:', llmError.message, llmError.body || '');
       // Return original values on error
       return {
         jobTitle: rawJobTitle || null,
@@ -91,18 +82,6 @@ Respond ONLY with valid JSON in this exact format (no markdown, no code blocks):
       };
     }
 
-    const data = await response.json();
-    const content = data.choices[0]?.message?.content?.trim();
-    
-    if (!content) {
-      console.error('Empty response from OpenAI');
-      return {
-        jobTitle: rawJobTitle || null,
-        company: rawCompany || null,
-        category: null
-      };
-    }
-
     // Parse the JSON response
     let cleaned;
     try {
@@ -110,7 +89,7 @@ Respond ONLY with valid JSON in this exact format (no markdown, no code blocks):
       const jsonContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
       cleaned = JSON.parse(jsonContent);
     } catch (parseError) {
-      console.error('Failed to parse OpenAI response:', content, parseError);
+      console.error('Failed to parse LLM response:', content, parseError);
       return {
         jobTitle: rawJobTitle || null,
         company: rawCompany || null,
@@ -0,0 +1,58 @@
+// utils/delivery-windows.js
+// Holds sends until the recipient's local delivery window (preferences.deliveryWindow)
+
+const { query } = require('../db');
+const { resolveTimeZone, normalizeDeliveryWindow, nextWindowOpening } = require('./time-zones');
+
+/**
+ * The user's delivery window
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { start, end, weekdaysOnly }, or null when sends are not restricted
+ */
+async function getDeliveryWindow(userId) {
+  const { rows } = await query('SELECT preferences FROM user_profiles WHERE user_id = $1', [userId]);
+  return normalizeDeliveryWindow(rows[0]?.preferences?.deliveryWindow);
+}
+
+/**
+ * Time zone of the contact with this email address, from their city/state/country
+ * @param {string} email - Recipient address
+ * @returns {Promise<{timeZone: string, source: string}|null>} Null when there is no such contact
+ *   or their location does not resolve
+ */
+async function findRecipientTimeZone(email) {
+  const { rows } = await query(`
+    SELECT c.city, c.state, c.country
+    FROM contacts c
+    JOIN contact_emails ce ON ce.contact_id = c.id
+    WHERE LOWER(ce.email) = LOWER($1)
+    ORDER BY ce.is_primary DESC NULLS LAST
+    LIMIT 1
+  `, [email]);
+  return rows[0] ? resolveTimeZone(rows[0]) : null;
+}
+
+/**
+ * Whether a send to this recipient has to wait for the delivery window
+ * @param {string} userId - User ID
+ * @param {string} to - Recipient address (bare)
+ * @param {Date} now - Reference time
+ * @returns {Promise<{holdUntil: Date, timeZone: string, window: Object}|null>} Null when it can go out now,
+ *   including when the recipient's time zone is unknown
+ */
+async function getDeliveryHold(userId, to, now = new Date()) {
+  const window = await getDeliveryWindow(userId);
+  if (!window) return null;
+
+  const zone = await findRecipientTimeZone(to);
+  if (!zone) return null;
+
+  const holdUntil = nextWindowOpening(window, zone.timeZone, now);
+  return holdUntil ? { holdUntil, timeZone: zone.timeZone, window } : null;
+}
+
+module.exports = {
+  getDeliveryWindow,
+  findRecipientTimeZone,
+  getDeliveryHold
+};
@@ -0,0 +1,232 @@
+// utils/drafts.js
+// Draft mode: put the email in the user's Gmail drafts for review, and send it later.
+//
+// A drafts client is any object with:
+//   create(raw, threadId) -> Promise<{ draftId, messageId, threadId }>
+//   send(draftId) -> Promise<{ messageId, threadId } | null>  (null when the draft is gone)
+//
+// createGmailDrafts wraps the Gmail API; createMemoryDrafts keeps drafts in
+// memory so the draft flow can run without Google (local dev, tests).
+
+const { query } = require('../db');
+const { getUserSession } = require('../store');
+const { updateConnectionMessage } = require('../routes/connections');
+const {
+  SendEmailError,
+  assertNotSuppressed,
+  assertSendQuota,
+  getGmailClient,
+  buildRawMessage,
+  threadHeaders,
+  recordConnectionMessage,
+  appendEmailHistory
+} = require('./email-sender');
+const { createMessageId } = require('./mime');
+const { withGmailBackoff } = require('./mail-transports');
+
+const GMAIL_COMPOSE_SCOPE = 'https://www.googleapis.com/auth/gmail.compose';
+// Scopes that include drafts access
+const DRAFT_SCOPES = [GMAIL_COMPOSE_SCOPE, 'https://www.googleapis.com/auth/gmail.modify', 'https://mail.google.com/'];
+
+/**
+ * Whether the user's stored Google tokens allow creating drafts
+ * @param {Object} userSession - Session from the store
+ * @returns {boolean}
+ */
+function hasComposeScope(userSession) {
+  const granted = (userSession?.googleTokens?.scope || '').split(' ');
+  return DRAFT_SCOPES.some(scope => granted.includes(scope));
+}
+
+/**
+ * Wrap a Gmail API client as a drafts client
+ * @param {Object} gmail - googleapis gmail client
+ * @returns {{create: Function, send: Function}}
+ */
+function createGmailDrafts(gmail) {
+  return {
+    async create(raw, threadId = null) {
+      const { data } = await gmail.users.drafts.create({
+        userId: 'me',
+        requestBody: { message: threadId ? { raw, threadId } : { raw } }
+      });
+      return { draftId: data.id, messageId: data.message?.id, threadId: data.message?.threadId };
+    },
+
+    async send(draftId) {
+      try {
+        const { data } = await withGmailBackoff(() => gmail.users.drafts.send({
+          userId: 'me',
+          requestBody: { id: draftId }
+        }));
+        return { messageId: data.id, threadId: data.threadId };
+      } catch (error) {
+        // Draft deleted, or already sent from Gmail
+        if (error.code === 404) return null;
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * In-memory drafts client
+ * @returns {{create: Function, send: Function, drafts: Map}}
+ */
+function createMemoryDrafts() {
+  const drafts = new Map();
+  let counter = 0;
+
+  return {
+    drafts,
+
+    async create(raw, threadId = null) {
+      counter++;
+      const draft = { draftId: `draft-${counter}`, messageId: `draft-msg-${counter}`, threadId: threadId || `thread-${counter}`, raw };
+      drafts.set(draft.draftId, draft);
+      return { draftId: draft.draftId, messageId: draft.messageId, threadId: draft.threadId };
+    },
+
+    async send(draftId) {
+      const draft = drafts.get(draftId);
+      if (!draft) return null;
+      drafts.delete(draftId);
+      return { messageId: `sent-${draft.messageId}`, threadId: draft.threadId };
+    }
+  };
+}
+
+/**
+ * Get the Gmail drafts client for a user who granted compose access
+ * @param {string} userId - User ID
+ * @returns {Promise<{create: Function, send: Function}|null>} Drafts client, or null without a session or compose scope
+ */
+async function getUserDrafts(userId) {
+  const userSession = await getUserSession(userId);
+  if (!userSession || !hasComposeScope(userSession)) {
+    return null;
+  }
+  const gmail = await getGmailClient(userId);
+  return createGmailDrafts(gmail);
+}
+
+/**
+ * Load the session and drafts client for a draft action
+ * @param {string} userId - User ID
+ * @param {Object|null} drafts - Drafts client to use instead of the user's Gmail
+ * @returns {Promise<{userSession: Object, drafts: Object}>}
+ */
+async function resolveDrafts(userId, drafts) {
+  const userSession = await getUserSession(userId);
+  if (!userSession) {
+    throw new SendEmailError(401, 'Session not found', 'Please sign in again');
+  }
+
+  const client = drafts || await getUserDrafts(userId);
+  if (!client) {
+    throw new SendEmailError(403, 'Gmail compose access required', 'Reconnect your Google account with drafts enabled');
+  }
+  return { userSession, drafts: client };
+}
+
+/**
+ * Create a Gmail draft and record it as a 'drafted' message on the connection
+ * @param {string} userId - User ID
+ * @param {Object} email - { to, cc, bcc, replyTo, subject, body, format, signature, attachments, contactInfo, templateTitle, thread }
+ * @param {Object|null} drafts - Drafts client (defaults to the user's Gmail)
+ * @returns {Promise<{draftId: string, messageId: string, threadId: string, contactId: number|null}>}
+ */
+async function createDraft(userId, email, drafts = null) {
+  const { to, cc = [], bcc = [], replyTo = null, subject, body, format = 'text', signature = null, attachments = [], contactInfo = {}, templateTitle = null, thread = null } = email;
+  await assertNotSuppressed(userId, [to, ...cc, ...bcc]);
+  const resolved = await resolveDrafts(userId, drafts);
+
+  const rfcMessageId = createMessageId(resolved.userSession.email);
+  const { raw, attachments: processedAttachments } = await buildRawMessage(resolved.userSession, {
+    to, cc, bcc, replyTo, subject, body, format, signature, attachments,
+    headers: threadHeaders(thread),
+    messageId: rfcMessageId
+  });
+  const draft = await resolved.drafts.create(raw, thread?.threadId || null);
+
+  const contactId = await recordConnectionMessage(userId, { to, subject, contactInfo }, {
+    direction: 'drafted',
+    to,
+    subject,
+    body,
+    ...(cc.length > 0 ? { cc } : {}),
+    ...(bcc.length > 0 ? { bcc } : {}),
+    ...(templateTitle ? { template_title: templateTitle } : {}),
+    attachments: processedAttachments.map(a => ({ name: a.name, size: a.size, type: a.type })),
+    drafted_at: new Date().toISOString(),
+    gmail_draft_id: draft.draftId,
+    gmail_message_id: draft.messageId,
+    gmail_thread_id: draft.threadId,
+    rfc_message_id: rfcMessageId,
+    is_follow_up: false
+  });
+
+  return { ...draft, contactId };
+}
+
+/**
+ * Send a draft created by createDraft and turn its connection message into a sent one
+ * @param {string} userId - User ID
+ * @param {string} draftId - Gmail draft ID
+ * @param {Object|null} drafts - Drafts client (defaults to the user's Gmail)
+ * @returns {Promise<{messageId: string, threadId: string, contactId: number}>}
+ */
+async function sendDraft(userId, draftId, drafts = null) {
+  const { rows } = await query(`
+    SELECT c.contact_id, m.message AS draft
+    FROM connections c, jsonb_array_elements(c.messages) AS m(message)
+    WHERE c.user_id = $1 AND m.message @> $2::jsonb
+  `, [userId, JSON.stringify({ gmail_draft_id: draftId, direction: 'drafted' })]);
+  if (rows.length === 0) {
+    throw new SendEmailError(404, 'Draft not found', 'No pending draft found with this ID');
+  }
+
+  const resolved = await resolveDrafts(userId, drafts);
+  // The do-not-contact list may have changed since the draft was created
+  const { draft } = rows[0];
+  await assertNotSuppressed(userId, [draft.to, ...(draft.cc || []), ...(draft.bcc || [])]);
+  await assertSendQuota(userId);
+  const sent = await resolved.drafts.send(draftId);
+  if (!sent) {
+    throw new SendEmailError(404, 'Draft not found', 'The draft no longer exists in Gmail');
+  }
+
+  const updated = await updateConnectionMessage(userId, { gmail_draft_id: draftId }, {
+    direction: 'sent',
+    sent_at: new Date().toISOString(),
+    gmail_message_id: sent.messageId,
+    gmail_thread_id: sent.threadId
+  });
+
+  const contactId = rows[0].contact_id;
+  const message = updated?.message || {};
+  await appendEmailHistory(userId, {
+    to: message.to,
+    cc: message.cc,
+    bcc: message.bcc,
+    subject: message.subject,
+    body: message.body,
+    attachments: message.attachments || [],
+    templateTitle: message.template_title,
+    messageId: sent.messageId,
+    threadId: sent.threadId,
+    contactId
+  });
+
+  return { messageId: sent.messageId, threadId: sent.threadId, contactId };
+}
+
+module.exports = {
+  GMAIL_COMPOSE_SCOPE,
+  hasComposeScope,
+  createGmailDrafts,
+  createMemoryDrafts,
+  getUserDrafts,
+  createDraft,
+  sendDraft
+};
@@ -0,0 +1,113 @@
+// utils/email-body.js
+// Turns an email body into its HTML and plain-text parts according to its format:
+// 'text' (escaped, line breaks kept), 'markdown' or 'html'. Markdown output and
+// user HTML are both cleaned against an allowlist, so a body cannot carry
+// scripts, forms, remote images (tracking pixels) or inline styles. Signatures
+// get a wider allowlist with images and simple styles (sanitizeSignatureHtml).
+
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { htmlToText } = require('./mime');
+
+const BODY_FORMATS = ['text', 'markdown', 'html'];
+
+const ALLOWED_HTML = {
+  allowedTags: [
+    'p', 'br', 'div', 'span', 'b', 'strong', 'i', 'em', 'u', 's', 'del', 'sub', 'sup',
+    'a', 'ul', 'ol', 'li', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'code', 'pre', 'hr', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title'],
+    ol: ['start'],
+    th: ['colspan', 'rowspan', 'align'],
+    td: ['colspan', 'rowspan', 'align']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  // Dropped along with everything inside them, not unwrapped into text
+  nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript', 'title', 'head']
+};
+
+// Signatures additionally keep images (logos, badges) and simple inline styles
+// Plain values only: no url() or expression(), which could load or run something
+const CSS_VALUE = /^(?!.*\b(?:url|expression)\s*\()[#\w\s.,%'"()-]+$/i;
+const SIGNATURE_HTML = {
+  ...ALLOWED_HTML,
+  allowedTags: [...ALLOWED_HTML.allowedTags, 'img', 'font'],
+  allowedAttributes: {
+    ...ALLOWED_HTML.allowedAttributes,
+    img: ['src', 'alt', 'width', 'height', 'style'],
+    font: ['color', 'face', 'size'],
+    '*': ['style']
+  },
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowedStyles: {
+    '*': Object.fromEntries([
+      'color', 'background-color', 'font-family', 'font-size', 'font-weight', 'font-style', 'text-decoration',
+      'text-align', 'line-height', 'vertical-align', 'margin', 'margin-top', 'margin-bottom', 'margin-left',
+      'margin-right', 'padding', 'width', 'height', 'max-width', 'max-height', 'border', 'display'
+    ].map(property => [property, [CSS_VALUE]]))
+  }
+};
+
+/**
+ * Escape text for use inside HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Clean user or Markdown-generated HTML against the allowlist
+ * @param {string} html
+ * @returns {string}
+ */
+function sanitizeEmailHtml(html) {
+  return sanitizeHtml(String(html), ALLOWED_HTML).trim();
+}
+
+/**
+ * Clean signature HTML: the email allowlist plus images and simple inline styles
+ * @param {string} html
+ * @returns {string}
+ */
+function sanitizeSignatureHtml(html) {
+  return sanitizeHtml(String(html), SIGNATURE_HTML).trim();
+}
+
+/**
+ * HTML fragment and plain-text version of an email body
+ * @param {string} body - Email body as written by the user
+ * @param {string} format - 'text', 'markdown' or 'html'
+ * @returns {{html: string, text: string}}
+ */
+function renderBody(body, format = 'text') {
+  const normalized = String(body).replace(/\r\n?/g, '\n');
+
+  if (format === 'markdown' || format === 'html') {
+    // breaks: single line breaks stay line breaks, as they do in a plain-text email
+    const html = sanitizeEmailHtml(format === 'markdown' ? marked.parse(normalized, { gfm: true, breaks: true }) : normalized);
+    return { html, text: htmlToText(html) };
+  }
+
+  return {
+    html: escapeHtml(normalized).replace(/\n/g, '<br>\n'),
+    text: normalized.trim()
+  };
+}
+
+module.exports = {
+  BODY_FORMATS,
+  escapeHtml,
+  sanitizeEmailHtml,
+  sanitizeSignatureHtml,
+  renderBody
+};
@@ -0,0 +1,573 @@
+// utils/email-sender.js
+// Shared Gmail send pipeline used by the email routes and the scheduled email worker
+
+const { getUserSession } = require('../store');
+const { getSendSession } = require('./send-credentials');
+const { getClient } = require('../db');
+const { findOrCreateConnection, addMessageToConnection } = require('../routes/connections');
+const { cleanContactInfo } = require('./contact-cleaner');
+const { getGmailClient, getUserTransport } = require('./mail-transports');
+const { MimeError, composeMimeMessage, createMessageId, parseAddressList } = require('./mime');
+const { logSentEmail } = require('./sent-emails');
+const { getSendQuota } = require('./send-quota');
+const { findSuppressedRecipients } = require('./suppressions');
+const { getDeliveryHold } = require('./delivery-windows');
+const { AttachmentError, resolveAttachments } = require('./attachments');
+const { renderBody } = require('./email-body');
+const { addTracking, shouldTrack } = require('./tracking');
+
+/**
+ * Error raised by the send pipeline with the HTTP status and error label
+ * the routes should respond with
+ */
+class SendEmailError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.name = 'SendEmailError';
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// Raised when the user has used up their plan's send quota; quota.retryAt says when to try again
+class SendQuotaError extends SendEmailError {
+  constructor(quota) {
+    const window = quota.daily.remaining === 0 ? 'daily' : 'hourly';
+    super(429, 'Send limit reached', `You have reached your ${window} limit of ${quota[window].limit} emails. Try again after ${quota.retryAt}.`);
+    this.name = 'SendQuotaError';
+    this.quota = quota;
+  }
+}
+
+// Raised when a recipient is on the user's or the global do-not-contact list
+class SuppressedRecipientError extends SendEmailError {
+  constructor(suppressed) {
+    const addresses = suppressed.map(entry => entry.email);
+    super(422, 'Recipient suppressed', `${addresses.join(', ')} ${addresses.length === 1 ? 'is' : 'are'} on the do-not-contact list`);
+    this.name = 'SuppressedRecipientError';
+    this.suppressed = suppressed;
+  }
+}
+
+// Raised when it is outside the user's delivery window in the recipient's time zone; hold.holdUntil says when it opens
+class DeliveryWindowError extends SendEmailError {
+  constructor(hold) {
+    super(409, 'Outside delivery window', `It is outside your ${hold.window.start}-${hold.window.end} delivery window in ${hold.timeZone}; the window opens at ${hold.holdUntil.toISOString()}`);
+    this.name = 'DeliveryWindowError';
+    this.hold = hold;
+  }
+}
+
+/**
+ * Refuse to send to anyone on the do-not-contact lists
+ * @param {string} userId - User ID
+ * @param {Array<string>} recipients - Bare email addresses (To, Cc and Bcc)
+ */
+async function assertNotSuppressed(userId, recipients) {
+  const suppressed = await findSuppressedRecipients(userId, recipients);
+  if (suppressed.length > 0) {
+    throw new SuppressedRecipientError(suppressed);
+  }
+}
+
+/**
+ * Refuse to send when the user's plan quota is used up
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Quota before this send
+ */
+async function assertSendQuota(userId) {
+  const quota = await getSendQuota(userId);
+  if (quota.remaining === 0) {
+    throw new SendQuotaError(quota);
+  }
+  return quota;
+}
+
+/**
+ * Refuse to send outside the user's delivery window in the recipient's local time
+ * @param {string} userId - User ID
+ * @param {string} to - Recipient address (bare)
+ */
+async function assertDeliveryWindow(userId, to) {
+  const hold = await getDeliveryHold(userId, to);
+  if (hold) {
+    throw new DeliveryWindowError(hold);
+  }
+}
+
+/**
+ * Find or create contact by email address
+ * @param {string} email - Email address
+ * @param {Object} contactInfo - Additional contact information
+ * @returns {Object} Contact object
+ */
+async function findOrCreateContactByEmail(email, contactInfo = {}) {
+  const client = await getClient();
+
+  try {
+    // First, try to find existing contact by email
+    const findContactSql = `
+      SELECT c.* FROM contacts c
+      JOIN contact_emails ce ON c.id = ce.contact_id
+      WHERE ce.email = $1
+      ORDER BY c.updated_at DESC
+      LIMIT 1
+    `;
+    const { rows: existingContacts } = await client.query(findContactSql, [email]);
+
+    if (existingContacts.length > 0) {
+      return existingContacts[0];
+    }
+
+    // Clean contact info using LLM before creating (make this non-blocking)
+    let cleanedContactInfo = contactInfo;
+    try {
+      cleanedContactInfo = await cleanContactInfo(contactInfo);
+    } catch (cleanError) {
+      console.warn('LLM cleaning failed, using raw contact info:', cleanError);
+      // Fallback to raw contact info if cleaning fails
+      cleanedContactInfo = {
+        firstName: contactInfo.firstName || null,
+        lastName: contactInfo.lastName || null,
+        jobTitle: contactInfo.jobTitle || null,
+        company: contactInfo.company || null,
+        city: contactInfo.city || null,
+        state: contactInfo.state || null,
+        country: contactInfo.country || null,
+        linkedinUrl: contactInfo.linkedinUrl || null,
+        category: null
+      };
+    }
+
+    // Create new contact if not found
+    await client.query('BEGIN');
+
+    const insertContactSql = `
+      INSERT INTO contacts (first_name, last_name, job_title, company, city, state, country, is_verified, linkedin_url, category)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    const { rows: newContacts } = await client.query(insertContactSql, [
+      cleanedContactInfo.firstName || null,
+      cleanedContactInfo.lastName || null,
+      cleanedContactInfo.jobTitle || null,
+      cleanedContactInfo.company || null,
+      cleanedContactInfo.city || null,
+      cleanedContactInfo.state || null,
+      cleanedContactInfo.country || null,
+      false, // not verified by default
+      cleanedContactInfo.linkedinUrl || null,
+      cleanedContactInfo.category || null
+    ]);
+
+    const newContact = newContacts[0];
+
+    // Add email to contact
+    const insertEmailSql = `
+      INSERT INTO contact_emails (contact_id, email, is_primary, is_verified)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    await client.query(insertEmailSql, [newContact.id, email, true, false]);
+
+    await client.query('COMMIT');
+    return newContact;
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * HTML and plain-text parts of an email body
+ * @param {string} body - Email body as written by the user
+ * @param {Object|null} signature - { text, html } appended to both parts (see utils/signatures.js)
+ * @param {string} format - Body format: 'text' (line breaks become <br>), 'markdown' or 'html' (see utils/email-body.js)
+ * @returns {{html: string, text: string}}
+ */
+function buildMessageParts(body, signature = null, format = 'text') {
+  const rendered = renderBody(body, format);
+  const signatureHtml = signature ? `<br>\n<br>\n<div class="signature">${signature.html}</div>` : '';
+
+  // Wrap in basic HTML structure
+  const htmlBody = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; line-height: 1.6; color: #333; }
+  </style>
+</head>
+<body>
+  ${rendered.html}${signatureHtml}
+</body>
+</html>`.trim();
+
+  return {
+    html: htmlBody,
+    text: signature ? `${rendered.text}\n\n${signature.text}` : rendered.text
+  };
+}
+
+/**
+ * Build the RFC 822 source of an email
+ * @param {Object} emailData - { to, cc, bcc, replyTo, subject, body, format, signature, tracking, from, attachments, headers, messageId, includeBcc }
+ *   format: 'text', 'markdown' or 'html'
+ *   signature: { text, html } appended to both parts
+ *   tracking: { userId, messageId, to } - add the open pixel and click redirects to the HTML part
+ * @returns {string} MIME message
+ */
+function buildMimeMessage({ to, cc, bcc, replyTo, subject, body, format = 'text', signature = null, tracking = null, from, attachments = [], headers = {}, messageId = null, includeBcc = true }) {
+  const { html, text } = buildMessageParts(body, signature, format);
+
+  return composeMimeMessage({
+    from: { email: from?.email, name: from?.name && from.name.trim() ? from.name : null },
+    to,
+    cc,
+    bcc,
+    replyTo,
+    subject,
+    text,
+    html: tracking ? addTracking(html, tracking) : html,
+    attachments,
+    headers,
+    messageId,
+    includeBcc
+  });
+}
+
+/**
+ * Encode a MIME message the way the Gmail API expects it
+ * @param {string} mime - MIME message
+ * @returns {string} Base64url encoded message
+ */
+function encodeGmailRaw(mime) {
+  return Buffer.from(mime)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Create email in Gmail format
+ * @param {Object} emailData - Email data
+ * @returns {string} Base64 encoded email
+ */
+function createEmailMessage(emailData) {
+  return encodeGmailRaw(buildMimeMessage(emailData));
+}
+
+/**
+ * Attach a message to the recipient's contact/connection, creating them if needed.
+ * Failures are logged and swallowed - the email has already reached Gmail.
+ * @param {string} userId - User ID
+ * @param {Object} recipient - { to, subject, contactInfo }
+ * @param {Object} message - Connection message (direction, subject, body, gmail ids, ...)
+ * @returns {Promise<number|null>} Contact ID when the contact could be resolved
+ */
+async function recordConnectionMessage(userId, { to, subject, contactInfo = {} }, message) {
+  try {
+    const contact = await findOrCreateContactByEmail(to, contactInfo);
+    await findOrCreateConnection(userId, contact.id, subject, contactInfo?.profilePictureUrl);
+    await addMessageToConnection(userId, contact.id, message);
+    return contact.id;
+  } catch (contactError) {
+    console.error('Error creating contact/connection (email was sent successfully):', contactError);
+    // Don't fail the request - email was sent successfully
+    return null;
+  }
+}
+
+/**
+ * Add a sent email to the user's sent_emails history
+ * @param {string} userId - User ID
+ * @param {Object} entry - sent_emails fields, see logSentEmail
+ */
+async function appendEmailHistory(userId, entry) {
+  try {
+    await logSentEmail(userId, entry);
+  } catch (historyError) {
+    console.error('Error saving email history (email was sent successfully):', historyError);
+  }
+}
+
+/**
+ * Record a sent email against the recipient's contact/connection and the sent email history.
+ * Bookkeeping failures are logged and swallowed - the email has already gone out.
+ * @param {string} userId - User ID
+ * @param {Object} sent - { to, cc, bcc, subject, body, attachments, contactInfo, messageId, threadId, rfcMessageId, transport,
+ *   tracked, isFollowUp, sequence, templateTitle, campaignId }
+ * @returns {Promise<number|null>} Contact ID when the contact could be resolved
+ */
+async function recordSentEmail(userId, sent) {
+  const { to, cc = null, bcc = null, subject, body, attachments = [], contactInfo = {}, messageId, threadId, rfcMessageId = null, transport = 'gmail', tracked = false, isFollowUp = false, sequence = null, templateTitle = null, campaignId = null } = sent;
+  const attachmentSummaries = attachments.map(a => ({ name: a.name, size: a.size, type: a.type }));
+
+  const message = {
+    direction: 'sent',
+    subject,
+    body,
+    attachments: attachmentSummaries,
+    sent_at: new Date().toISOString(),
+    gmail_message_id: messageId,
+    gmail_thread_id: threadId,
+    rfc_message_id: rfcMessageId,
+    is_follow_up: isFollowUp
+  };
+  if (cc && cc.length > 0) message.cc = cc;
+  if (bcc && bcc.length > 0) message.bcc = bcc;
+  // Opens and clicks for it are in email_tracking_events under rfc_message_id
+  if (tracked) message.tracked = true;
+  if (transport !== 'gmail') {
+    // Gmail ids only exist for Gmail sends; keep the transport's own ID separately
+    message.gmail_message_id = null;
+    message.gmail_thread_id = null;
+    message.transport = transport;
+    message.transport_message_id = messageId;
+  }
+  if (sequence) {
+    message.sequence_id = sequence.id;
+    message.sequence_step = sequence.step;
+  }
+
+  const contactId = await recordConnectionMessage(userId, { to, subject, contactInfo }, message);
+  await appendEmailHistory(userId, {
+    to,
+    cc,
+    bcc,
+    subject,
+    body,
+    attachments: attachmentSummaries,
+    templateTitle,
+    transport,
+    messageId,
+    threadId: message.gmail_thread_id,
+    contactId,
+    isFollowUp,
+    sequenceId: sequence?.id,
+    campaignId
+  });
+
+  return contactId;
+}
+
+/**
+ * Build the raw message for an email from the user's account
+ * @param {Object} userSession - Current user session (provides the default From identity)
+ * @param {Object} email - { to, cc, bcc, replyTo, subject, body, format, signature, tracking, attachments, headers, messageId }
+ * @param {Object|null} from - { email, name } to send as instead of the session identity
+ * @param {Object} options - { includeBcc } - keep the Bcc header (false for SMTP, which uses the envelope)
+ * @returns {Promise<{mime: string, raw: string, attachments: Array}>} MIME source, its Gmail
+ *   base64url encoding and the resolved attachments
+ */
+async function buildRawMessage(userSession, email, from = null, { includeBcc = true } = {}) {
+  const { to, cc = null, bcc = null, replyTo = null, subject, body, format = 'text', signature = null, tracking = null, attachments = [], headers = {}, messageId = null } = email;
+
+  // Fetch URL attachments from the blob store; a bad attachment fails the send
+  let processedAttachments;
+  try {
+    processedAttachments = await resolveAttachments(attachments);
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      throw new SendEmailError(error.status, error.status === 400 ? 'Invalid attachment' : 'Attachment unavailable', error.message);
+    }
+    throw error;
+  }
+
+  // Use email from session; avoid Gmail read APIs when only gmail.send scope is granted
+  let mime;
+  try {
+    mime = buildMimeMessage({
+      to,
+      cc,
+      bcc,
+      replyTo,
+      subject,
+      body,
+      format,
+      signature,
+      tracking,
+      from: from || {
+        email: userSession.email,
+        name: userSession.name
+      },
+      attachments: processedAttachments,
+      headers,
+      messageId,
+      includeBcc
+    });
+  } catch (error) {
+    if (error instanceof MimeError) {
+      throw new SendEmailError(400, 'Invalid email data', error.message);
+    }
+    throw error;
+  }
+
+  return { mime, raw: encodeGmailRaw(mime), attachments: processedAttachments };
+}
+
+/**
+ * Reply headers for sending into an existing conversation
+ * @param {Object|null} thread - { inReplyTo, references }
+ * @returns {Object} Extra MIME headers
+ */
+function threadHeaders(thread) {
+  if (!thread?.inReplyTo) return {};
+  return {
+    'In-Reply-To': thread.inReplyTo,
+    'References': (thread.references && thread.references.length > 0 ? thread.references : [thread.inReplyTo]).join(' ')
+  };
+}
+
+/**
+ * Send an email through the user's mail transport and run the contact/connection bookkeeping
+ * @param {string} userId - User ID
+ * @param {Object} email - { to, cc, bcc, replyTo, subject, body, format, signature, track, attachments, contactInfo, isFollowUp, sequence,
+ *   thread, templateTitle, campaignId }
+ *   format: 'text', 'markdown' or 'html'
+ *   signature: { text, html } appended to the message; history keeps the body without it
+ *   track: open/click tracking on or off for this send; null follows preferences.trackEmails
+ *   thread: { threadId, inReplyTo, references } - send as a reply in an existing conversation
+ *   templateTitle/campaignId are kept in the sent email history
+ * @returns {Promise<{messageId: string, threadId: string, contactId: number|null, attachments: Array, transport: string, tracked: boolean}>}
+ */
+async function sendEmail(userId, email) {
+  const { to, cc = null, bcc = null, replyTo = null, subject, body, format = 'text', signature = null, track = null, attachments = [], contactInfo = {}, isFollowUp = false, sequence = null, thread = null, templateTitle = null, campaignId = null } = email;
+
+  // Get user session; queued sends may run after it expired and use the stored copy
+  const userSession = await getSendSession(userId);
+  if (!userSession) {
+    throw new SendEmailError(401, 'Session not found', 'Please sign in again');
+  }
+
+  let recipients;
+  try {
+    recipients = [...parseAddressList(to, 'To'), ...parseAddressList(cc, 'Cc'), ...parseAddressList(bcc, 'Bcc')]
+      .map(address => address.email);
+  } catch (error) {
+    if (error instanceof MimeError) {
+      throw new SendEmailError(400, 'Invalid email data', error.message);
+    }
+    throw error;
+  }
+  await assertNotSuppressed(userId, recipients);
+  await assertSendQuota(userId);
+  // The window follows the primary recipient's local time
+  await assertDeliveryWindow(userId, recipients[0]);
+
+  // Gmail by default; SMTP/Graph users send as the address they configured
+  const transport = await getUserTransport(userId);
+
+  // Our own Message-ID, so later replies can reference this email
+  const fromEmail = transport.from?.email || userSession.email;
+  const rfcMessageId = createMessageId(fromEmail);
+
+  // Opens and clicks are recorded against the primary recipient
+  const tracked = await shouldTrack(userId, track);
+
+  // Create the email message
+  const { mime, attachments: processedAttachments } = await buildRawMessage(userSession, {
+    to, cc, bcc, replyTo, subject, body, format, signature, attachments,
+    tracking: tracked ? { userId, messageId: rfcMessageId, to: recipients[0] } : null,
+    headers: threadHeaders(thread),
+    messageId: rfcMessageId
+  }, transport.from, { includeBcc: transport.keepBcc !== false });
+
+  // Send the email
+  const sent = await transport.send({
+    mime,
+    from: fromEmail,
+    to,
+    threadId: thread?.threadId || null,
+    recipients
+  });
+
+  const contactId = await recordSentEmail(userId, {
+    to,
+    cc,
+    bcc,
+    subject,
+    body,
+    attachments: processedAttachments,
+    contactInfo,
+    messageId: sent.messageId,
+    threadId: sent.threadId,
+    rfcMessageId,
+    transport: transport.name,
+    tracked,
+    isFollowUp,
+    sequence,
+    templateTitle,
+    campaignId
+  });
+
+  return {
+    messageId: sent.messageId,
+    threadId: sent.threadId,
+    contactId,
+    attachments: processedAttachments,
+    transport: transport.name,
+    tracked
+  };
+}
+
+/**
+ * Build an email exactly as sendEmail would, without sending it or recording anything
+ * @param {string} userId - User ID
+ * @param {Object} email - { to, cc, bcc, replyTo, subject, body, format, signature, attachments, thread }
+ * @returns {Promise<{mime: string, html: string, text: string, from: string, attachments: Array, transport: string}>}
+ */
+async function previewEmail(userId, email) {
+  const { to, cc = null, bcc = null, replyTo = null, subject, body, format = 'text', signature = null, attachments = [], thread = null } = email;
+
+  const userSession = await getUserSession(userId);
+  if (!userSession) {
+    throw new SendEmailError(401, 'Session not found', 'Please sign in again');
+  }
+
+  const transport = await getUserTransport(userId);
+  const fromEmail = transport.from?.email || userSession.email;
+
+  const { mime, attachments: processedAttachments } = await buildRawMessage(userSession, {
+    to, cc, bcc, replyTo, subject, body, format, signature, attachments,
+    headers: threadHeaders(thread),
+    messageId: createMessageId(fromEmail)
+  }, transport.from, { includeBcc: transport.keepBcc !== false });
+
+  return {
+    mime,
+    ...buildMessageParts(body, signature, format),
+    from: fromEmail,
+    attachments: processedAttachments,
+    transport: transport.name
+  };
+}
+
+module.exports = {
+  SendEmailError,
+  SendQuotaError,
+  SuppressedRecipientError,
+  DeliveryWindowError,
+  assertNotSuppressed,
+  assertSendQuota,
+  assertDeliveryWindow,
+  findOrCreateContactByEmail,
+  getGmailClient,
+  buildMessageParts,
+  buildMimeMessage,
+  createEmailMessage,
+  buildRawMessage,
+  threadHeaders,
+  recordConnectionMessage,
+  appendEmailHistory,
+  recordSentEmail,
+  sendEmail,
+  previewEmail
+};
@@ -0,0 +1,385 @@
+// utils/follow-up-sequences.js
+// Multi-step follow-up sequences: sends template-based follow-ups on a connection
+// until the recipient responds or the sequence runs out of steps
+
+const { query } = require('../db');
+const { sendEmail, SendQuotaError, DeliveryWindowError } = require('./email-sender');
+const { isRetryableError } = require('./scheduled-emails');
+const { saveSendCredentials } = require('./send-credentials');
+const { updateConnectionStatus } = require('../routes/connections');
+const { buildTemplateVariables, renderEmail, loadSenderProfile } = require('./template-renderer');
+
+// Connection statuses that end a sequence (mirrors the trigger in migration 027)
+const STOP_STATUSES = ['responded', 'meeting_scheduled', 'converted', 'closed'];
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 30;
+const STALE_LOCK_MINUTES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize sequence steps from a request body
+ * @param {Array} steps - [{ templateTitle, delayDays }]
+ * @returns {Array<{templateTitle: string, delayDays: number}>}
+ */
+function normalizeSteps(steps) {
+  return steps.map(step => ({
+    templateTitle: String(step.templateTitle).trim(),
+    delayDays: Number(step.delayDays)
+  }));
+}
+
+/**
+ * Timestamp of the last email sent on a connection
+ * @param {Object} connection - connections row
+ * @returns {Date|null}
+ */
+function lastSentAt(connection) {
+  const sent = (connection.messages || [])
+    .filter(m => m.direction === 'sent' && m.sent_at)
+    .map(m => new Date(m.sent_at).getTime())
+    .filter(Number.isFinite);
+  return sent.length > 0 ? new Date(Math.max(...sent)) : null;
+}
+
+/**
+ * Start a sequence on an existing connection.
+ * Throws the pg unique violation (23505) if the connection already has an active sequence.
+ * @param {Object} connection - connections row
+ * @param {Array} steps - [{ templateTitle, delayDays }]
+ * @returns {Promise<Object>} Inserted follow_up_sequences row
+ */
+async function createSequence(connection, steps) {
+  const normalizedSteps = normalizeSteps(steps);
+  const base = lastSentAt(connection) || new Date();
+  const nextRunAt = new Date(base.getTime() + normalizedSteps[0].delayDays * DAY_MS);
+
+  const sql = `
+    INSERT INTO follow_up_sequences (user_id, contact_id, steps, next_run_at)
+    VALUES ($1, $2, $3::jsonb, $4)
+    RETURNING *
+  `;
+  const { rows } = await query(sql, [
+    connection.user_id,
+    connection.contact_id,
+    JSON.stringify(normalizedSteps),
+    nextRunAt.toISOString()
+  ]);
+
+  // Steps go out days from now, long after the KV session has expired
+  try {
+    await saveSendCredentials(connection.user_id);
+  } catch (error) {
+    console.error('[sequences] Could not store send credentials:', error?.message || error);
+  }
+  return rows[0];
+}
+
+/**
+ * List a user's sequences, most recently updated first
+ * @param {string} userId - User ID
+ * @param {Object} filters - { contactId, status }
+ * @returns {Promise<Array>} follow_up_sequences rows
+ */
+async function listSequences(userId, { contactId = null, status = null } = {}) {
+  const params = [userId];
+  const conditions = ['user_id = $1'];
+  if (contactId) {
+    params.push(contactId);
+    conditions.push(`contact_id = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  const sql = `
+    SELECT * FROM follow_up_sequences
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY updated_at DESC
+  `;
+  const { rows } = await query(sql, params);
+  return rows;
+}
+
+/**
+ * Stop the active sequence on a connection
+ * @param {string} userId - User ID
+ * @param {number} contactId - Contact ID
+ * @param {string} reason - Stop reason recorded on the row
+ * @returns {Promise<Object|null>} Stopped row, or null if none was active
+ */
+async function stopSequence(userId, contactId, reason = 'stopped_by_user') {
+  const sql = `
+    UPDATE follow_up_sequences
+    SET status = 'stopped', stop_reason = $1, next_run_at = NULL, locked_at = NULL, updated_at = NOW()
+    WHERE user_id = $2 AND contact_id = $3 AND status = 'active'
+    RETURNING *
+  `;
+  const { rows } = await query(sql, [reason, userId, contactId]);
+  return rows[0] || null;
+}
+
+/**
+ * Claim due sequences for this worker (see claimDueEmails in scheduled-emails.js)
+ * @param {number} limit - Max rows to claim
+ * @returns {Promise<Array>} Claimed rows
+ */
+async function claimDueSequences(limit) {
+  const sql = `
+    UPDATE follow_up_sequences
+    SET locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM follow_up_sequences
+      WHERE status = 'active'
+        AND next_run_at <= NOW()
+        AND (locked_at IS NULL OR locked_at < NOW() - ($2 || ' minutes')::interval)
+      ORDER BY next_run_at ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+  const { rows } = await query(sql, [limit, String(STALE_LOCK_MINUTES)]);
+  return rows;
+}
+
+/**
+ * Load everything needed to send the next step of a sequence
+ * @param {Object} sequence - follow_up_sequences row
+ * @returns {Promise<{connection: Object|null, contact: Object|null, email: string|null, profile: Object|null}>}
+ *   connection: { status, stepSent } - stepSent when the current step is already in the connection's messages
+ */
+async function loadSequenceContext(sequence) {
+  const connectionSql = `
+    SELECT c.status, c.messages AS connection_messages, co.*, ce.email AS primary_email
+    FROM connections c
+    JOIN contacts co ON c.contact_id = co.id
+    LEFT JOIN LATERAL (
+      SELECT email FROM contact_emails
+      WHERE contact_id = co.id
+      ORDER BY is_primary DESC, created_at ASC
+      LIMIT 1
+    ) ce ON TRUE
+    WHERE c.user_id = $1 AND c.contact_id = $2
+  `;
+  const { rows: connectionRows } = await query(connectionSql, [sequence.user_id, sequence.contact_id]);
+
+  const profile = await loadSenderProfile(sequence.user_id);
+
+  const row = connectionRows[0] || null;
+  return {
+    connection: row
+      ? {
+        status: row.status,
+        stepSent: (row.connection_messages || []).some(m =>
+          m.sequence_id != null && String(m.sequence_id) === String(sequence.id) && m.sequence_step === sequence.current_step)
+      }
+      : null,
+    contact: row,
+    email: row?.primary_email || null,
+    profile
+  };
+}
+
+/**
+ * Turn a template's file field into a send attachment list
+ * @param {Object|string|null} file - Template file ({url, name, size} or legacy URL string)
+ * @returns {Array}
+ */
+function templateAttachments(file) {
+  if (!file) return [];
+  if (typeof file === 'string') return [{ url: file }];
+  if (file.url) return [{ url: file.url, name: file.name, size: file.size }];
+  return [];
+}
+
+async function markStepSent(sequence) {
+  const steps = sequence.steps || [];
+  const nextStep = sequence.current_step + 1;
+
+  if (nextStep >= steps.length) {
+    await query(`
+      UPDATE follow_up_sequences
+      SET status = 'completed', current_step = $1, next_run_at = NULL, locked_at = NULL,
+          attempts = 0, last_error = NULL, updated_at = NOW()
+      WHERE id = $2
+    `, [nextStep, sequence.id]);
+    return;
+  }
+
+  const nextRunAt = new Date(Date.now() + steps[nextStep].delayDays * DAY_MS);
+  await query(`
+    UPDATE follow_up_sequences
+    SET current_step = $1, next_run_at = $2, locked_at = NULL, attempts = 0, last_error = NULL, updated_at = NOW()
+    WHERE id = $3
+  `, [nextStep, nextRunAt.toISOString(), sequence.id]);
+}
+
+async function markStepFailed(sequence, error, { retry }) {
+  const errorMessage = error.message || String(error);
+
+  if (retry && sequence.attempts < MAX_ATTEMPTS) {
+    await query(`
+      UPDATE follow_up_sequences
+      SET next_run_at = NOW() + ($1 || ' minutes')::interval, locked_at = NULL, last_error = $2, updated_at = NOW()
+      WHERE id = $3
+    `, [String(RETRY_DELAY_MINUTES * sequence.attempts), errorMessage, sequence.id]);
+    return true;
+  }
+
+  await query(`
+    UPDATE follow_up_sequences
+    SET status = 'failed', next_run_at = NULL, locked_at = NULL, last_error = $1, updated_at = NOW()
+    WHERE id = $2
+  `, [errorMessage, sequence.id]);
+  return false;
+}
+
+/**
+ * Hold a sequence step until the user's send quota frees up, without counting the attempt
+ * @param {Object} sequence - Claimed follow_up_sequences row
+ * @param {SendQuotaError} error - Quota error from sendEmail
+ */
+async function deferStepForQuota(sequence, error) {
+  await query(`
+    UPDATE follow_up_sequences
+    SET next_run_at = $1, locked_at = NULL, attempts = attempts - 1, last_error = $2, updated_at = NOW()
+    WHERE id = $3
+  `, [error.quota.retryAt, error.message, sequence.id]);
+}
+
+/**
+ * Hold a sequence step until the delivery window opens in the recipient's time zone
+ * @param {Object} sequence - Claimed follow_up_sequences row
+ * @param {DeliveryWindowError} error - Window error from sendEmail
+ */
+async function deferStepForDeliveryWindow(sequence, error) {
+  await query(`
+    UPDATE follow_up_sequences
+    SET next_run_at = $1, locked_at = NULL, attempts = attempts - 1, last_error = $2, updated_at = NOW()
+    WHERE id = $3
+  `, [error.hold.holdUntil.toISOString(), error.message, sequence.id]);
+}
+
+/**
+ * Send the next step of a claimed sequence
+ * @param {Object} sequence - Claimed follow_up_sequences row
+ * @returns {Promise<'sent'|'stopped'|'retried'|'deferred'|'held'|'failed'>}
+ */
+async function runSequenceStep(sequence) {
+  const { connection, contact, email, profile } = await loadSequenceContext(sequence);
+
+  if (!connection) {
+    await stopSequence(sequence.user_id, sequence.contact_id, 'connection_missing');
+    return 'stopped';
+  }
+  if (STOP_STATUSES.includes(connection.status)) {
+    await stopSequence(sequence.user_id, sequence.contact_id, `connection_${connection.status}`);
+    return 'stopped';
+  }
+  // Sent by an earlier run that could not record it (see below); just move on
+  if (connection.stepSent) {
+    await markStepSent(sequence);
+    return 'sent';
+  }
+
+  const step = (sequence.steps || [])[sequence.current_step];
+  const template = step && (profile?.templates || []).find(t => t.title === step.templateTitle);
+
+  // Problems with the sequence definition itself will not fix themselves
+  let configError = null;
+  if (!email) {
+    configError = 'Contact has no email address';
+  } else if (!step) {
+    configError = `Sequence has no step ${sequence.current_step + 1}`;
+  } else if (!template) {
+    configError = `Template "${step.templateTitle}" not found`;
+  }
+
+  let subject = null;
+  let body = null;
+  if (!configError) {
+    const rendered = renderEmail(template, buildTemplateVariables({ profile, contact, to: email }));
+    if (rendered.unresolved.length > 0) {
+      configError = `Template "${step.templateTitle}" has unfilled placeholders: ${rendered.unresolved.join(', ')}`;
+    }
+    subject = rendered.subject;
+    body = rendered.body;
+  }
+
+  if (configError) {
+    await markStepFailed(sequence, new Error(configError), { retry: false });
+    return 'failed';
+  }
+
+  try {
+    await sendEmail(sequence.user_id, {
+      to: email,
+      subject,
+      body,
+      attachments: templateAttachments(template.file),
+      isFollowUp: true,
+      sequence: { id: sequence.id, step: sequence.current_step },
+      templateTitle: step.templateTitle
+    });
+  } catch (error) {
+    if (error instanceof SendQuotaError) {
+      await deferStepForQuota(sequence, error);
+      return 'deferred';
+    }
+    if (error instanceof DeliveryWindowError) {
+      await deferStepForDeliveryWindow(sequence, error);
+      return 'held';
+    }
+    console.error(`[follow-up-sequences] Step ${sequence.current_step + 1} of #${sequence.id} failed:`, error?.message || error);
+    const retried = await markStepFailed(sequence, error, { retry: isRetryableError(error) });
+    return retried ? 'retried' : 'failed';
+  }
+
+  // The step is out, so a failure from here on must not reach processDueSequences'
+  // retry. If the sequence cannot be advanced its lock goes stale, and the next
+  // claim finds the step in the connection's messages and advances it then.
+  try {
+    await markStepSent(sequence);
+  } catch (markError) {
+    console.error(`[follow-up-sequences] Step ${sequence.current_step + 1} of #${sequence.id} was sent but could not be recorded:`, markError);
+  }
+  try {
+    await updateConnectionStatus(sequence.user_id, sequence.contact_id, 'follow_up_sent');
+  } catch (statusError) {
+    console.error('[follow-up-sequences] Failed to update connection status (follow-up was sent):', statusError);
+  }
+  return 'sent';
+}
+
+/**
+ * Send every due follow-up step (one worker run)
+ * @param {Object} options - { limit }
+ * @returns {Promise<{claimed: number, sent: number, stopped: number, retried: number, deferred: number, held: number, failed: number}>}
+ */
+async function processDueSequences({ limit = 10 } = {}) {
+  const summary = { claimed: 0, sent: 0, stopped: 0, retried: 0, deferred: 0, held: 0, failed: 0 };
+
+  const sequences = await claimDueSequences(limit);
+  summary.claimed = sequences.length;
+
+  for (const sequence of sequences) {
+    try {
+      const outcome = await runSequenceStep(sequence);
+      summary[outcome]++;
+    } catch (error) {
+      console.error(`[follow-up-sequences] Unexpected error for #${sequence.id}:`, error);
+      const retried = await markStepFailed(sequence, error, { retry: true });
+      summary[retried ? 'retried' : 'failed']++;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  STOP_STATUSES,
+  createSequence,
+  listSequences,
+  stopSequence,
+  processDueSequences
+};
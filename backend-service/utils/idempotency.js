@@ -0,0 +1,131 @@
+// utils/idempotency.js
+// Storage for Idempotency-Key requests. The first request with a key claims it;
+// repeats within the window get the stored response, or are told the first
+// request is still running. A request that died without releasing its key
+// (timeout, crash, redeploy) holds it only for the lease.
+
+const crypto = require('crypto');
+const { query } = require('../db');
+
+const IDEMPOTENCY_WINDOW_HOURS = 24;
+// Longer than any request runs, so a live request never loses its key
+const IDEMPOTENCY_LEASE_MINUTES = 2;
+
+/**
+ * Fingerprint of a request, so a key cannot be reused for a different one
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} body - Parsed request body
+ * @returns {string} Hex SHA-256
+ */
+function hashRequest(method, path, body) {
+  return crypto
+    .createHash('sha256')
+    .update(`${method} ${path}\n${JSON.stringify(body ?? null)}`)
+    .digest('hex');
+}
+
+/**
+ * Claim a key for a request. An expired key, or one left in progress past the
+ * lease, is claimed again as if it were new.
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency-Key header value
+ * @param {string} requestHash - hashRequest() of the request
+ * @returns {Promise<{state: 'claimed'|'in_progress'|'completed'|'mismatch', responseStatus?: number, responseBody?: Object}>}
+ */
+async function claimIdempotencyKey(userId, key, requestHash) {
+  // A concurrent request with the same key waits on the primary key, then falls
+  // through to the SELECT below and sees the row as in progress
+  const claimSql = `
+    INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (user_id, idempotency_key) DO UPDATE
+      SET request_hash = EXCLUDED.request_hash,
+          status = 'in_progress',
+          response_status = NULL,
+          response_body = NULL,
+          created_at = NOW(),
+          completed_at = NULL
+      WHERE idempotency_keys.created_at < NOW() - ($4 || ' hours')::interval
+         OR (idempotency_keys.status = 'in_progress'
+             AND idempotency_keys.created_at < NOW() - ($5 || ' minutes')::interval)
+    RETURNING idempotency_key
+  `;
+  const claimed = await query(claimSql, [
+    userId, key, requestHash, String(IDEMPOTENCY_WINDOW_HOURS), String(IDEMPOTENCY_LEASE_MINUTES)
+  ]);
+  if (claimed.rows.length > 0) {
+    return { state: 'claimed' };
+  }
+
+  const { rows } = await query(
+    'SELECT request_hash, status, response_status, response_body FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+    [userId, key]
+  );
+  const existing = rows[0];
+  if (!existing) {
+    // Released between the two statements; the caller's retry will claim it
+    return { state: 'in_progress' };
+  }
+  if (existing.request_hash !== requestHash) {
+    return { state: 'mismatch' };
+  }
+  if (existing.status !== 'completed') {
+    return { state: 'in_progress' };
+  }
+  return {
+    state: 'completed',
+    responseStatus: existing.response_status,
+    responseBody: existing.response_body
+  };
+}
+
+/**
+ * Store the response of a claimed key so repeats get it back
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ * @param {number} responseStatus - HTTP status sent
+ * @param {Object} responseBody - JSON body sent
+ */
+async function completeIdempotencyKey(userId, key, responseStatus, responseBody) {
+  await query(
+    `UPDATE idempotency_keys
+     SET status = 'completed', response_status = $3, response_body = $4, completed_at = NOW()
+     WHERE user_id = $1 AND idempotency_key = $2`,
+    [userId, key, responseStatus, JSON.stringify(responseBody)]
+  );
+}
+
+/**
+ * Give up a claimed key after a failed request so the client can retry with it
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ */
+async function releaseIdempotencyKey(userId, key) {
+  await query(
+    "DELETE FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2 AND status = 'in_progress'",
+    [userId, key]
+  );
+}
+
+/**
+ * Delete keys older than the window
+ * @returns {Promise<number>} Number of keys deleted
+ */
+async function purgeExpiredIdempotencyKeys() {
+  const { rowCount } = await query(
+    "DELETE FROM idempotency_keys WHERE created_at < NOW() - ($1 || ' hours')::interval",
+    [String(IDEMPOTENCY_WINDOW_HOURS)]
+  );
+  return rowCount;
+}
+
+module.exports = {
+  IDEMPOTENCY_WINDOW_HOURS,
+  IDEMPOTENCY_LEASE_MINUTES,
+  hashRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  purgeExpiredIdempotencyKeys
+};
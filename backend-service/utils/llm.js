@@ -0,0 +1,473 @@
+// utils/llm.js
+// LLM client shared by draft generation and contact cleaning. The provider is
+// picked by LLM_PROVIDER; every call gets the same timeout, retry and usage
+// reporting whichever provider answers.
+//
+// A provider is any object with:
+//   name                               - 'openai' | 'anthropic' | 'local' | 'fake'
+//   model                              - model requests go to
+//   complete({ system, messages, temperature, maxTokens, purpose, signal })
+//     -> Promise<{ content, usage: { inputTokens, outputTokens } }>
+//     messages are [{ role: 'user' | 'assistant', content }]; signal aborts the request
+//   stream(request, onToken) -> same result, calling onToken(text) for each piece
+//     of the reply as it is generated
+//
+// Provider errors are LLMErrors; `retryable` marks rate limits, server errors
+// and timeouts.
+//
+// Configuration:
+//   LLM_PROVIDER        openai (default), anthropic, local or fake
+//   LLM_MODEL           overrides the provider's model (OPENAI_MODEL, ANTHROPIC_MODEL, LOCAL_LLM_MODEL)
+//   OPENAI_API_KEY / ANTHROPIC_API_KEY
+//   LOCAL_LLM_URL       base URL of an OpenAI-compatible server, e.g. http://localhost:11434/v1
+//   LOCAL_LLM_API_KEY   optional
+//   LLM_FAKE_RESPONSES  JSON object of canned replies by purpose (and "default") for the fake provider
+//   LLM_TIMEOUT_MS, LLM_MAX_RETRIES
+
+const crypto = require('crypto');
+
+const LLM_PROVIDERS = ['openai', 'anthropic', 'local', 'fake'];
+const OPENAI_URL = 'https://api.openai.com/v1';
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_MAX_RETRIES = 2;
+const BASE_RETRY_MS = 500; // doubled per retry
+const MAX_RETRY_MS = 4000;
+
+/**
+ * Error raised by LLM providers and the client
+ */
+class LLMError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { provider, code, status, retryable, body }
+   *   code: 'not_configured' | 'upstream' | 'timeout' | 'empty_response' | 'cancelled'
+   */
+  constructor(message, { provider = null, code = 'upstream', status = null, retryable = false, body = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.body = body;
+  }
+}
+
+/**
+ * Read an HTTP error response from a provider
+ * @param {string} provider - Provider name
+ * @param {Response} response - fetch response
+ * @returns {Promise<LLMError>}
+ */
+async function upstreamError(provider, response) {
+  let body = '';
+  try {
+    body = await response.text();
+  } catch (_) {
+    // Nothing more to report
+  }
+  const error = new LLMError(`${provider} returned HTTP ${response.status}`, {
+    provider,
+    status: response.status,
+    retryable: response.status === 429 || response.status >= 500,
+    body: body.slice(0, 2000)
+  });
+  const retryAfter = Number(response.headers.get('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    error.retryAfterMs = retryAfter * 1000;
+  }
+  return error;
+}
+
+/**
+ * POST JSON to a provider. Network failures are retryable.
+ * @param {string} provider - Provider name
+ * @param {string} url - Endpoint
+ * @param {Object} headers - Extra headers
+ * @param {Object} body - Request body
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<Response>} Successful response
+ */
+async function post(provider, url, headers, body, signal) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new LLMError(`${provider} request failed: ${error.message}`, { provider, retryable: true });
+  }
+  if (!response.ok) {
+    throw await upstreamError(provider, response);
+  }
+  return response;
+}
+
+/**
+ * POST JSON to a provider and parse the JSON reply
+ * @param {string} provider - Provider name
+ * @param {string} url - Endpoint
+ * @param {Object} headers - Extra headers
+ * @param {Object} body - Request body
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function postJson(provider, url, headers, body, signal) {
+  return (await post(provider, url, headers, body, signal)).json();
+}
+
+/**
+ * Parse a Server-Sent Events response body
+ * @param {Response} response - Streaming fetch response
+ * @returns {AsyncGenerator<{event: string, data: string}>}
+ */
+async function* readServerSentEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parse = raw => {
+    let event = 'message';
+    const data = [];
+    for (const line of raw.split(/\r?\n/)) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+    return { event, data: data.join('\n') };
+  };
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      if (raw.trim()) yield parse(raw);
+    }
+  }
+  if (buffer.trim()) yield parse(buffer);
+}
+
+/**
+ * Provider for the OpenAI Chat Completions API, or any server that speaks it
+ * @param {Object} options - { name, apiKey, model, baseUrl }
+ * @returns {Object} Provider
+ */
+function createOpenAIProvider({ name = 'openai', apiKey = null, model, baseUrl = OPENAI_URL }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const requestBody = ({ system, messages, temperature, maxTokens }) => ({
+    model,
+    messages: [...(system ? [{ role: 'system', content: system }] : []), ...messages],
+    temperature,
+    max_tokens: maxTokens
+  });
+  const readUsage = usage => ({
+    inputTokens: usage?.prompt_tokens ?? null,
+    outputTokens: usage?.completion_tokens ?? null
+  });
+
+  return {
+    name,
+    model,
+    async complete(request) {
+      const data = await postJson(name, url, headers, requestBody(request), request.signal);
+      return {
+        content: data?.choices?.[0]?.message?.content || '',
+        usage: readUsage(data?.usage)
+      };
+    },
+    async stream(request, onToken) {
+      const response = await post(name, url, headers, {
+        ...requestBody(request),
+        stream: true,
+        // Local servers may not know stream_options; they report no usage instead
+        ...(name === 'openai' ? { stream_options: { include_usage: true } } : {})
+      }, request.signal);
+
+      let content = '';
+      let usage = readUsage(null);
+      for await (const { data } of readServerSentEvents(response)) {
+        if (data === '[DONE]') break;
+        const chunk = JSON.parse(data);
+        const text = chunk?.choices?.[0]?.delta?.content;
+        if (text) {
+          content += text;
+          onToken(text);
+        }
+        if (chunk?.usage) usage = readUsage(chunk.usage);
+      }
+      return { content, usage };
+    }
+  };
+}
+
+/**
+ * Provider for the Anthropic Messages API
+ * @param {Object} options - { apiKey, model }
+ * @returns {Object} Provider
+ */
+function createAnthropicProvider({ apiKey, model }) {
+  const headers = {
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_VERSION
+  };
+  const requestBody = ({ system, messages, temperature, maxTokens }) => ({
+    model,
+    ...(system ? { system } : {}),
+    messages,
+    temperature,
+    max_tokens: maxTokens
+  });
+
+  return {
+    name: 'anthropic',
+    model,
+    async complete(request) {
+      const data = await postJson('anthropic', ANTHROPIC_URL, headers, requestBody(request), request.signal);
+      return {
+        content: (data?.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+        usage: {
+          inputTokens: data?.usage?.input_tokens ?? null,
+          outputTokens: data?.usage?.output_tokens ?? null
+        }
+      };
+    },
+    async stream(request, onToken) {
+      const response = await post('anthropic', ANTHROPIC_URL, headers, { ...requestBody(request), stream: true }, request.signal);
+
+      let content = '';
+      const usage = { inputTokens: null, outputTokens: null };
+      for await (const { event, data } of readServerSentEvents(response)) {
+        const payload = JSON.parse(data || '{}');
+        if (event === 'message_start') {
+          usage.inputTokens = payload.message?.usage?.input_tokens ?? null;
+        } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+          content += payload.delta.text;
+          onToken(payload.delta.text);
+        } else if (event === 'message_delta') {
+          usage.outputTokens = payload.usage?.output_tokens ?? usage.outputTokens;
+        } else if (event === 'error') {
+          throw new LLMError(`anthropic stream failed: ${payload.error?.message || 'unknown error'}`, {
+            provider: 'anthropic',
+            retryable: payload.error?.type === 'overloaded_error',
+            body: data
+          });
+        }
+      }
+      return { content, usage };
+    }
+  };
+}
+
+/**
+ * Deterministic offline provider. Replies with responses[purpose], else
+ * responses.default, else a marker derived from the request, so the same
+ * request always gets the same reply.
+ * @param {Object} options - { responses }
+ * @returns {Object} Provider
+ */
+function createFakeProvider({ responses = {} } = {}) {
+  const reply = ({ system, messages, purpose }) => {
+    const input = [system || '', ...messages.map(message => message.content)].join('\n');
+    const canned = responses[purpose] ?? responses.default;
+    const content = typeof canned === 'string'
+      ? canned
+      : canned !== undefined
+        ? JSON.stringify(canned)
+        : `[fake ${purpose || 'completion'} ${crypto.createHash('sha256').update(input).digest('hex').slice(0, 12)}]`;
+    // Roughly four characters per token
+    return {
+      content,
+      usage: { inputTokens: Math.ceil(input.length / 4), outputTokens: Math.ceil(content.length / 4) }
+    };
+  };
+
+  return {
+    name: 'fake',
+    model: 'fake',
+    async complete(request) {
+      return reply(request);
+    },
+    async stream(request, onToken) {
+      const result = reply(request);
+      // Word by word, keeping the whitespace, so the pieces join back to the reply
+      for (const piece of result.content.match(/\S+\s*|\s+/g) || []) {
+        onToken(piece);
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * Read a positive integer setting
+ * @param {string|undefined} value - Environment value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function envInt(value, fallback) {
+  const num = parseInt(String(value), 10);
+  return Number.isFinite(num) && num >= 0 ? num : fallback;
+}
+
+/**
+ * Log one line per completion so usage can be followed across providers
+ * @param {Object} entry - { purpose, provider, model, usage, attempts, durationMs }
+ */
+function reportUsage({ purpose, provider, model, usage, attempts, durationMs }) {
+  console.log(`[llm] ${purpose || 'completion'} via ${provider}/${model}: ${usage.inputTokens ?? '?'} in, ${usage.outputTokens ?? '?'} out, ${attempts} attempt${attempts === 1 ? '' : 's'}, ${durationMs}ms`);
+}
+
+/**
+ * Wrap a provider with timeouts, retries and usage reporting
+ * @param {Object} provider - Provider
+ * @param {Object} options - { timeoutMs, maxRetries, sleep }
+ * @returns {{provider: string, model: string, complete: Function, stream: Function}}
+ *   complete({ system, messages, temperature, maxTokens, purpose })
+ *     -> Promise<{ content, usage: { inputTokens, outputTokens, totalTokens }, provider, model, attempts }>
+ *   stream(request, onToken, { signal }) - same result, passing each piece of the reply to onToken.
+ *     The timeout then applies between pieces, and a failure after the first piece is not retried.
+ *     signal lets the caller give up (e.g. when its client disconnects).
+ */
+function createLLMClient(provider, { timeoutMs = DEFAULT_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)) } = {}) {
+  async function attempt(request, onToken, signal) {
+    const controller = new AbortController();
+    let timer = setTimeout(() => controller.abort(), timeoutMs);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+    try {
+      const providerRequest = { ...request, signal: controller.signal };
+      if (!onToken) {
+        return await provider.complete(providerRequest);
+      }
+      return await provider.stream(providerRequest, text => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(), timeoutMs);
+        onToken(text);
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw new LLMError('The request was cancelled', { provider: provider.name, code: 'cancelled' });
+      }
+      if (controller.signal.aborted) {
+        throw new LLMError(`${provider.name} did not answer within ${timeoutMs}ms`, { provider: provider.name, code: 'timeout', retryable: true });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  async function run({ system = null, messages, temperature = 0.4, maxTokens = 512, purpose = null }, onToken = null, { signal = null } = {}) {
+    const startedAt = Date.now();
+    let attempts = 0;
+    let streamed = false;
+    const forward = onToken && (text => {
+      streamed = true;
+      onToken(text);
+    });
+
+    for (;;) {
+      attempts++;
+      try {
+        const result = await attempt({ system, messages, temperature, maxTokens, purpose }, forward, signal);
+        const content = String(result.content || '').trim();
+        if (!content) {
+          throw new LLMError(`${provider.name} returned no content`, { provider: provider.name, code: 'empty_response' });
+        }
+
+        const { inputTokens = null, outputTokens = null } = result.usage || {};
+        const usage = {
+          inputTokens,
+          outputTokens,
+          totalTokens: inputTokens !== null && outputTokens !== null ? inputTokens + outputTokens : null
+        };
+        reportUsage({ purpose, provider: provider.name, model: provider.model, usage, attempts, durationMs: Date.now() - startedAt });
+        return { content, usage, provider: provider.name, model: provider.model, attempts };
+      } catch (error) {
+        // Once part of a reply has been passed on, a retry would repeat it
+        if (!(error instanceof LLMError) || !error.retryable || streamed || attempts > maxRetries) {
+          throw error;
+        }
+        const backoff = Math.min(MAX_RETRY_MS, BASE_RETRY_MS * Math.pow(2, attempts - 1));
+        await sleep(Math.min(MAX_RETRY_MS, error.retryAfterMs || backoff));
+      }
+    }
+  }
+
+  return {
+    provider: provider.name,
+    model: provider.model,
+    complete: request => run(request),
+    stream: (request, onToken, options) => run(request, onToken, options)
+  };
+}
+
+/**
+ * Build the provider chosen by LLM_PROVIDER
+ * @returns {Object} Provider
+ * @throws {LLMError} code 'not_configured' when the provider is unknown or missing its settings
+ */
+function createConfiguredProvider() {
+  const name = (process.env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  const model = (process.env.LLM_MODEL || '').trim();
+  const notConfigured = message => new LLMError(message, { provider: name, code: 'not_configured' });
+
+  switch (name) {
+    case 'openai':
+      if (!process.env.OPENAI_API_KEY) throw notConfigured('OPENAI_API_KEY is not set on the server.');
+      return createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY, model: model || process.env.OPENAI_MODEL || 'gpt-4o-mini' });
+    case 'anthropic':
+      if (!process.env.ANTHROPIC_API_KEY) throw notConfigured('ANTHROPIC_API_KEY is not set on the server.');
+      return createAnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY, model: model || process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest' });
+    case 'local':
+      if (!process.env.LOCAL_LLM_URL) throw notConfigured('LOCAL_LLM_URL is not set on the server.');
+      return createOpenAIProvider({
+        name: 'local',
+        apiKey: process.env.LOCAL_LLM_API_KEY || null,
+        model: model || process.env.LOCAL_LLM_MODEL || 'llama3.1',
+        baseUrl: process.env.LOCAL_LLM_URL
+      });
+    case 'fake': {
+      let responses = {};
+      try {
+        responses = process.env.LLM_FAKE_RESPONSES ? JSON.parse(process.env.LLM_FAKE_RESPONSES) : {};
+      } catch (_) {
+        throw notConfigured('LLM_FAKE_RESPONSES is not valid JSON.');
+      }
+      return createFakeProvider({ responses });
+    }
+    default:
+      throw notConfigured(`Unknown LLM_PROVIDER "${name}"; use one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+}
+
+/**
+ * The LLM client for this server's configuration
+ * @returns {Object} Client (see createLLMClient)
+ * @throws {LLMError} code 'not_configured' when the configured provider cannot be used
+ */
+function getLLMClient() {
+  return createLLMClient(createConfiguredProvider(), {
+    timeoutMs: envInt(process.env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    maxRetries: envInt(process.env.LLM_MAX_RETRIES, DEFAULT_MAX_RETRIES)
+  });
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  LLMError,
+  createOpenAIProvider,
+  createAnthropicProvider,
+  createFakeProvider,
+  createLLMClient,
+  getLLMClient
+};
@@ -0,0 +1,505 @@
+// utils/mail-transports.js
+// Outbound mail transports. The send pipeline builds one MIME message and
+// hands it to whichever transport the user has configured.
+//
+// A transport is any object with:
+//   name                              - 'gmail' | 'smtp' | 'graph' | 'capture'
+//   from                              - { email, name } to send as, or null for the session identity
+//   keepBcc                           - whether the MIME message should carry the Bcc header
+//   send({ mime, from, to, recipients, threadId }) -> Promise<{ messageId, threadId }>
+//     recipients lists every To/Cc/Bcc address for transports that need an envelope;
+//     threadId is the Gmail thread to add the message to (other transports thread by headers)
+//
+// Transport errors carry a numeric `code` (401/403/400) like googleapis errors
+// when retrying cannot help, and `transport` naming the failing transport.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { google } = require('googleapis');
+const nodemailer = require('nodemailer');
+const { query } = require('../db');
+const { getSendSession } = require('./send-credentials');
+
+const TRANSPORTS = ['gmail', 'smtp', 'graph', 'capture'];
+const GRAPH_SEND_URL = 'https://graph.microsoft.com/v1.0/me/sendMail';
+const GRAPH_SCOPE = 'https://graph.microsoft.com/Mail.Send offline_access';
+
+// Gmail rate limits and server errors are retried in-request; keep the total
+// wait well inside a serverless function's time budget
+const GMAIL_MAX_RETRIES = 3;
+const GMAIL_BASE_RETRY_MS = 1000; // doubled per retry
+const GMAIL_MAX_RETRY_MS = 8000;
+const GMAIL_RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+// Messages captured without a directory, shared by every capture transport in
+// the process (a new transport is built per send); older ones are dropped
+const MAX_CAPTURED_MESSAGES = 50;
+const capturedMessages = [];
+
+// Submission and relay ports. Anything else would let users probe other services
+const SMTP_PORTS = [25, 465, 587, 2525];
+const SMTP_NOT_ALLOWED_MESSAGE = `SMTP server must be a public host on port ${SMTP_PORTS.join(', ')}`;
+
+// Addresses the server must never be pointed at: private, loopback, link-local
+// (cloud metadata), carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Create a transport error
+ * @param {string} transport - Transport name
+ * @param {number|null} code - HTTP-like status when the failure is permanent
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function transportError(transport, code, message) {
+  const error = new Error(message);
+  error.transport = transport;
+  if (code) error.code = code;
+  return error;
+}
+
+/**
+ * Whether a Gmail API error means the account is being rate limited
+ * @param {Error} error - googleapis error
+ * @returns {boolean}
+ */
+function isRateLimitError(error) {
+  if (!error || (error.transport && error.transport !== 'gmail')) return false;
+  if (error.code === 429) return true;
+  const reasons = (error.errors || []).map(e => e.reason);
+  return error.code === 403 && (reasons.some(reason => GMAIL_RATE_LIMIT_REASONS.includes(reason))
+    || /rate limit exceeded/i.test(error.message || ''));
+}
+
+/**
+ * Whether a Gmail API error is worth retrying right away
+ * @param {Error} error - googleapis error
+ * @returns {boolean}
+ */
+function isTransientGmailError(error) {
+  return isRateLimitError(error) || [500, 502, 503, 504].includes(error?.code);
+}
+
+/**
+ * Run a Gmail API call, retrying rate limits and server errors with exponential backoff
+ * @param {Function} fn - Async function making the call
+ * @param {Object} options - { retries, baseDelayMs, sleep }
+ * @returns {Promise<*>} Result of fn
+ */
+async function withGmailBackoff(fn, { retries = GMAIL_MAX_RETRIES, baseDelayMs = GMAIL_BASE_RETRY_MS, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)) } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isTransientGmailError(error)) throw error;
+
+      // Honor Retry-After when Gmail sends one, but never wait past the cap
+      const retryAfterSeconds = Number(error.response?.headers?.['retry-after']);
+      const backoff = baseDelayMs * Math.pow(2, attempt) + Math.floor(Math.random() * baseDelayMs / 2);
+      const delay = retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : backoff;
+      if (delay > GMAIL_MAX_RETRY_MS) throw error;
+
+      console.warn(`[mail-transports] Gmail error ${error.code}, retrying in ${delay}ms (retry ${attempt + 1}/${retries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Get authenticated Gmail client for user
+ * @param {string} userId - User ID
+ * @returns {Object} Gmail client
+ */
+async function getGmailClient(userId) {
+  // Retrieve session from KV/memory, or the stored copy for queued sends
+  const userSession = await getSendSession(userId);
+  if (!userSession || !userSession.googleTokens) {
+    throw new Error('User session not found or no Google tokens available');
+  }
+
+  // Use environment variable or default to localhost for development
+  const redirectUri = (process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/api/auth/google/callback').trim();
+
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    redirectUri
+  );
+
+  oauth2Client.setCredentials(userSession.googleTokens);
+
+  return google.gmail({ version: 'v1', auth: oauth2Client });
+}
+
+/**
+ * Send through the Gmail API
+ * @param {Object} gmail - googleapis gmail client
+ * @param {Object} options - { backoff } - withGmailBackoff options
+ * @returns {Object} Transport
+ */
+function createGmailTransport(gmail, { backoff = {} } = {}) {
+  return {
+    name: 'gmail',
+    from: null,
+    // Gmail reads Bcc recipients from the header and strips it before delivery
+    keepBcc: true,
+    async send({ mime, threadId = null }) {
+      const raw = Buffer.from(mime).toString('base64url');
+      const { data } = await withGmailBackoff(() => gmail.users.messages.send({
+        userId: 'me',
+        requestBody: threadId ? { raw, threadId } : { raw }
+      }), backoff);
+      return { messageId: data.id, threadId: data.threadId };
+    }
+  };
+}
+
+/**
+ * Whether an IP address is one the server may connect to for users
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it carries
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a user's SMTP server and check that it is a public host on a mail port.
+ * Every address the name resolves to must be public, and the caller connects to the
+ * checked address, so the name cannot be re-pointed between check and connect.
+ * @param {Object} settings - { host, port }
+ * @param {Object} options - { lookup } - dns.promises.lookup override
+ * @returns {Promise<string>} Address to connect to
+ */
+async function resolveSmtpServer({ host, port }, { lookup = dns.promises.lookup } = {}) {
+  if (!SMTP_PORTS.includes(Number(port))) {
+    throw transportError('smtp', 400, SMTP_NOT_ALLOWED_MESSAGE);
+  }
+
+  let addresses;
+  try {
+    addresses = await lookup(String(host || ''), { all: true, verbatim: true });
+  } catch (error) {
+    throw transportError('smtp', null, 'Could not find the SMTP server');
+  }
+  if (!addresses.length || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw transportError('smtp', 400, SMTP_NOT_ALLOWED_MESSAGE);
+  }
+  return addresses[0].address;
+}
+
+/**
+ * Send through an SMTP server
+ * @param {Object} settings - { host, port, secure, username, fromEmail, fromName }
+ * @param {Object} credentials - { password }
+ * @param {Object} options - { createTransport, lookup } - nodemailer factory and DNS lookup overrides
+ * @returns {Object} Transport
+ */
+function createSmtpTransport(settings, credentials, { createTransport = nodemailer.createTransport, lookup } = {}) {
+  return {
+    name: 'smtp',
+    from: { email: settings.fromEmail, name: settings.fromName || null },
+    // Bcc recipients go in the envelope only, so they stay hidden
+    keepBcc: false,
+    async send({ mime, from, to, recipients }) {
+      const address = await resolveSmtpServer(settings, { lookup });
+      const mailer = createTransport({
+        host: address,
+        port: settings.port,
+        secure: settings.secure === true,
+        auth: { user: settings.username, pass: credentials?.password },
+        // Certificates are still checked against the name the user gave
+        tls: { servername: settings.host }
+      });
+
+      try {
+        const info = await mailer.sendMail({ envelope: { from, to: recipients || [to] }, raw: mime });
+        return { messageId: info.messageId || null, threadId: null };
+      } catch (error) {
+        if (error.code === 'EAUTH') {
+          throw transportError('smtp', 401, 'SMTP server rejected the username or password');
+        }
+        if (error.code === 'EENVELOPE' || (error.responseCode >= 550 && error.responseCode < 560)) {
+          throw transportError('smtp', 400, error.response || error.message);
+        }
+        // Connection problems and 4xx replies are worth retrying. Socket errors are
+        // only logged: echoing them would tell users what is listening where.
+        console.error(`[mail-transports] SMTP send via ${settings.host}:${settings.port} failed:`, error.message);
+        throw transportError('smtp', null, error.responseCode
+          ? `SMTP server did not accept the message (${error.responseCode})`
+          : 'Could not deliver through the SMTP server');
+      } finally {
+        mailer.close();
+      }
+    }
+  };
+}
+
+/**
+ * Send through Microsoft Graph (Outlook / Microsoft 365)
+ * @param {Object} settings - { fromEmail, fromName }
+ * @param {Object} credentials - { refreshToken }
+ * @param {Object} options - { onCredentials(credentials) } - called when Microsoft rotates the refresh token
+ * @returns {Object} Transport
+ */
+function createGraphTransport(settings, credentials, { onCredentials = null } = {}) {
+  async function getAccessToken() {
+    const tenant = process.env.MICROSOFT_TENANT || 'common';
+    const response = await fetch(`https://login.microsoftonline.com/${tenant}/oauth2/v2.0/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: process.env.MICROSOFT_CLIENT_ID || '',
+        client_secret: process.env.MICROSOFT_CLIENT_SECRET || '',
+        grant_type: 'refresh_token',
+        refresh_token: credentials?.refreshToken || '',
+        scope: GRAPH_SCOPE
+      })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const permanent = response.status === 400 || response.status === 401;
+      throw transportError('graph', permanent ? 401 : null,
+        data.error_description || `Microsoft token refresh failed (${response.status})`);
+    }
+    if (data.refresh_token && data.refresh_token !== credentials?.refreshToken && onCredentials) {
+      await onCredentials({ ...credentials, refreshToken: data.refresh_token });
+    }
+    return data.access_token;
+  }
+
+  return {
+    name: 'graph',
+    from: { email: settings.fromEmail, name: settings.fromName || null },
+    keepBcc: true,
+    async send({ mime }) {
+      const accessToken = await getAccessToken();
+      // sendMail accepts the MIME source, base64 encoded, as text/plain
+      const response = await fetch(GRAPH_SEND_URL, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'text/plain'
+        },
+        body: Buffer.from(mime).toString('base64')
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const message = data.error?.message || `Microsoft Graph send failed (${response.status})`;
+        const permanent = [400, 401, 403].includes(response.status);
+        throw transportError('graph', permanent ? response.status : null, message);
+      }
+      // Graph accepts the message without returning its ID
+      return { messageId: null, threadId: null };
+    }
+  };
+}
+
+/**
+ * Keep messages locally instead of sending them (development and tests)
+ * @param {Object} options - { directory } - write .eml files there; kept in the process-wide store when omitted
+ * @returns {Object} Transport
+ */
+function createCaptureTransport({ directory = null } = {}) {
+  return {
+    name: 'capture',
+    from: null,
+    keepBcc: true,
+    async send({ mime, from, to, recipients }) {
+      const messageId = `capture-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      if (directory) {
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(path.join(directory, `${messageId}.eml`), mime);
+      } else {
+        capturedMessages.push({ messageId, from, to, recipients, mime, capturedAt: new Date().toISOString() });
+        capturedMessages.splice(0, capturedMessages.length - MAX_CAPTURED_MESSAGES);
+      }
+      return { messageId, threadId: null };
+    }
+  };
+}
+
+/**
+ * Messages captured in memory by this process, oldest first
+ * @returns {Array<{messageId: string, from: Object, to: string, recipients: Array, mime: string, capturedAt: string}>}
+ */
+function getCapturedMessages() {
+  return [...capturedMessages];
+}
+
+/**
+ * Empty the in-memory capture store
+ */
+function clearCapturedMessages() {
+  capturedMessages.length = 0;
+}
+
+/**
+ * Key for encrypting stored transport credentials
+ * @returns {Buffer|null} 32-byte key, or null when MAIL_TRANSPORT_SECRET is not set
+ */
+function getEncryptionKey() {
+  const secret = process.env.MAIL_TRANSPORT_SECRET;
+  return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+}
+
+/**
+ * Encrypt transport credentials for storage
+ * @param {Object} credentials - Plain credentials
+ * @returns {string} iv.tag.ciphertext (base64)
+ */
+function encryptCredentials(credentials) {
+  const key = getEncryptionKey();
+  if (!key) {
+    throw new Error('MAIL_TRANSPORT_SECRET is not configured');
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypt stored transport credentials
+ * @param {string|null} value - Output of encryptCredentials
+ * @returns {Object|null}
+ */
+function decryptCredentials(value) {
+  if (!value) return null;
+  const key = getEncryptionKey();
+  if (!key) {
+    throw new Error('MAIL_TRANSPORT_SECRET is not configured');
+  }
+  const [iv, tag, ciphertext] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+}
+
+/**
+ * Whether the capture transport may be selected
+ * @returns {boolean}
+ */
+function isCaptureAllowed() {
+  return process.env.NODE_ENV !== 'production' || process.env.MAIL_TRANSPORT === 'capture';
+}
+
+/**
+ * Load a user's transport configuration
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} mail_transports row
+ */
+async function getTransportConfig(userId) {
+  const { rows } = await query('SELECT * FROM mail_transports WHERE user_id = $1', [userId]);
+  return rows[0] || null;
+}
+
+/**
+ * Save a user's transport configuration
+ * @param {string} userId - User ID
+ * @param {Object} config - { transport, settings, credentials } - credentials undefined keeps the stored ones
+ * @returns {Promise<Object>} mail_transports row
+ */
+async function saveTransportConfig(userId, { transport, settings = {}, credentials }) {
+  const keepCredentials = credentials === undefined;
+  const sql = `
+    INSERT INTO mail_transports (user_id, transport, settings, credentials)
+    VALUES ($1, $2, $3::jsonb, $4)
+    ON CONFLICT (user_id)
+    DO UPDATE SET
+      transport = EXCLUDED.transport,
+      settings = EXCLUDED.settings,
+      credentials = CASE WHEN $5 THEN mail_transports.credentials ELSE EXCLUDED.credentials END,
+      updated_at = NOW()
+    RETURNING *
+  `;
+  const { rows } = await query(sql, [
+    userId,
+    transport,
+    JSON.stringify(settings),
+    keepCredentials || credentials === null ? null : encryptCredentials(credentials),
+    keepCredentials
+  ]);
+  return rows[0];
+}
+
+/**
+ * Remove a user's transport configuration (back to Gmail)
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Whether a configuration existed
+ */
+async function deleteTransportConfig(userId) {
+  const { rowCount } = await query('DELETE FROM mail_transports WHERE user_id = $1', [userId]);
+  return rowCount > 0;
+}
+
+/**
+ * Get the transport a user's email should go out through
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Transport
+ */
+async function getUserTransport(userId) {
+  // Development override: capture every outgoing email
+  if (process.env.MAIL_TRANSPORT === 'capture') {
+    return createCaptureTransport({ directory: process.env.MAIL_CAPTURE_DIR || null });
+  }
+
+  const config = await getTransportConfig(userId);
+  const settings = config?.settings || {};
+
+  switch (config?.transport) {
+    case 'smtp':
+      return createSmtpTransport(settings, decryptCredentials(config.credentials));
+    case 'graph':
+      return createGraphTransport(settings, decryptCredentials(config.credentials), {
+        onCredentials: credentials => query(
+          'UPDATE mail_transports SET credentials = $1, updated_at = NOW() WHERE user_id = $2',
+          [encryptCredentials(credentials), userId]
+        )
+      });
+    case 'capture':
+      if (isCaptureAllowed()) {
+        return createCaptureTransport({ directory: process.env.MAIL_CAPTURE_DIR || null });
+      }
+      throw transportError('capture', 400, 'The capture transport is not available in production');
+    default:
+      return createGmailTransport(await getGmailClient(userId));
+  }
+}
+
+module.exports = {
+  TRANSPORTS,
+  SMTP_PORTS,
+  isRateLimitError,
+  withGmailBackoff,
+  getGmailClient,
+  createGmailTransport,
+  resolveSmtpServer,
+  createSmtpTransport,
+  createGraphTransport,
+  createCaptureTransport,
+  getCapturedMessages,
+  clearCapturedMessages,
+  encryptCredentials,
+  isCaptureAllowed,
+  getTransportConfig,
+  saveTransportConfig,
+  deleteTransportConfig,
+  getUserTransport
+};
@@ -0,0 +1,127 @@
+// utils/mailbox.js
+// Read-side mailbox interface used for reply detection.
+//
+// A mailbox is any object with:
+//   getThread(threadId) -> Promise<{ id, messages: MailboxMessage[] } | null>
+// where MailboxMessage is:
+//   { id, threadId, from, to, subject, date (ISO string), snippet, body, labelIds, messageIdHeader }
+//
+// createGmailMailbox wraps the Gmail API; createMemoryMailbox serves fixed
+// threads so reply syncing can run without Google (local dev, tests).
+
+const { getUserSession } = require('../store');
+const { getGmailClient } = require('./email-sender');
+
+const GMAIL_READ_SCOPE = 'https://www.googleapis.com/auth/gmail.readonly';
+
+/**
+ * Whether the user's stored Google tokens allow reading mail
+ * @param {Object} userSession - Session from the store
+ * @returns {boolean}
+ */
+function hasReadScope(userSession) {
+  const scope = userSession?.googleTokens?.scope || '';
+  return scope.split(' ').includes(GMAIL_READ_SCOPE);
+}
+
+/**
+ * Get a header value from a Gmail message payload
+ * @param {Object} payload - Gmail message payload
+ * @param {string} name - Header name
+ * @returns {string|null}
+ */
+function getHeader(payload, name) {
+  const header = (payload?.headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : null;
+}
+
+/**
+ * Extract the text/plain body from a Gmail message payload
+ * @param {Object} payload - Gmail message payload
+ * @returns {string|null}
+ */
+function extractPlainText(payload) {
+  if (!payload) return null;
+  if (payload.mimeType === 'text/plain' && payload.body?.data) {
+    return Buffer.from(payload.body.data, 'base64url').toString('utf8');
+  }
+  for (const part of payload.parts || []) {
+    const text = extractPlainText(part);
+    if (text) return text;
+  }
+  return null;
+}
+
+/**
+ * Wrap a Gmail API client as a mailbox
+ * @param {Object} gmail - googleapis gmail client
+ * @returns {{getThread: Function}}
+ */
+function createGmailMailbox(gmail) {
+  return {
+    async getThread(threadId) {
+      try {
+        const { data } = await gmail.users.threads.get({ userId: 'me', id: threadId, format: 'full' });
+        return {
+          id: data.id,
+          messages: (data.messages || []).map(message => ({
+            id: message.id,
+            threadId: message.threadId,
+            from: getHeader(message.payload, 'From'),
+            to: getHeader(message.payload, 'To'),
+            subject: getHeader(message.payload, 'Subject'),
+            date: message.internalDate ? new Date(Number(message.internalDate)).toISOString() : null,
+            snippet: message.snippet || '',
+            body: extractPlainText(message.payload) || message.snippet || '',
+            labelIds: message.labelIds || [],
+            messageIdHeader: getHeader(message.payload, 'Message-ID')
+          }))
+        };
+      } catch (error) {
+        // Thread deleted or no longer visible
+        if (error.code === 404) return null;
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * In-memory mailbox serving the given threads
+ * @param {Object<string, Array>} threads - Map of threadId -> MailboxMessage[]
+ * @returns {{getThread: Function}}
+ */
+function createMemoryMailbox(threads = {}) {
+  return {
+    async getThread(threadId) {
+      const messages = threads[threadId];
+      if (!messages) return null;
+      return {
+        id: threadId,
+        messages: messages.map(message => ({ threadId, labelIds: [], snippet: '', ...message }))
+      };
+    }
+  };
+}
+
+/**
+ * Get the Gmail mailbox for a user who granted read access
+ * @param {string} userId - User ID
+ * @returns {Promise<{getThread: Function}|null>} Mailbox, or null without a session or read scope
+ */
+async function getUserMailbox(userId) {
+  const userSession = await getUserSession(userId);
+  if (!userSession || !hasReadScope(userSession)) {
+    return null;
+  }
+  const gmail = await getGmailClient(userId);
+  return createGmailMailbox(gmail);
+}
+
+module.exports = {
+  GMAIL_READ_SCOPE,
+  hasReadScope,
+  createGmailMailbox,
+  createMemoryMailbox,
+  getUserMailbox
+};
@@ -0,0 +1,376 @@
+// utils/mime.js
+// MIME composer for outgoing email (RFC 5322 / 2045 / 2047 / 2231).
+//
+// Messages are multipart/alternative (text + HTML), wrapped in multipart/mixed
+// when there are attachments. Non-ASCII header text is encoded, long header
+// lines are folded, and any header value containing a line break is rejected
+// so user input cannot inject headers.
+
+const crypto = require('crypto');
+
+const CRLF = '\r\n';
+const MAX_LINE_LENGTH = 76;
+const MAX_HEADER_LENGTH = 78;
+// Bytes per encoded-word: 45 bytes -> 60 base64 chars, under the 75-char limit with the charset wrapper
+const ENCODED_WORD_BYTES = 45;
+const EMAIL_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[^\s@<>()[\]\\,;:"]+$/;
+const CONTENT_TYPE_PATTERN = /^[a-z0-9][a-z0-9!#$&^_.+-]*\/[a-z0-9][a-z0-9!#$&^_.+-]*$/i;
+
+/**
+ * Error raised when message data cannot be turned into a safe MIME message
+ */
+class MimeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MimeError';
+  }
+}
+
+/**
+ * Reject values that would end a header line early
+ * @param {string} name - Header or field name (for the error message)
+ * @param {string} value - Header value
+ * @returns {string} The value
+ */
+function assertHeaderSafe(name, value) {
+  if (/[\r\n\0]/.test(String(value))) {
+    throw new MimeError(`${name} must not contain line breaks`);
+  }
+  return String(value);
+}
+
+/**
+ * Whether text can go into a header without encoding
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isPrintableAscii(text) {
+  return /^[\x20-\x7e]*$/.test(text);
+}
+
+/**
+ * RFC 2047 encode header text as one or more B encoded-words
+ * @param {string} text - Header text
+ * @returns {string[]} Encoded words (never splitting a UTF-8 character)
+ */
+function encodeWords(text) {
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char) > ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  if (chunk) words.push(chunk);
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`);
+}
+
+/**
+ * Fold a header line at whitespace so no line exceeds 78 characters where possible
+ * @param {string} line - Full "Name: value" header line
+ * @returns {string} Folded header
+ */
+function foldHeader(line) {
+  if (line.length <= MAX_HEADER_LENGTH) return line;
+
+  const lines = [];
+  let current = '';
+  for (const token of line.split(/(?= )/)) {
+    if (current && (current + token).length > MAX_HEADER_LENGTH) {
+      lines.push(current);
+      current = token.startsWith(' ') ? token : ` ${token}`;
+    } else {
+      current += token;
+    }
+  }
+  lines.push(current);
+  return lines.join(CRLF);
+}
+
+/**
+ * Build a header line with encoding and folding
+ * @param {string} name - Header name
+ * @param {string} value - Header value (already safe for addresses)
+ * @param {Object} options - { encode } - RFC 2047 encode non-ASCII text
+ * @returns {string}
+ */
+function formatHeader(name, value, { encode = true } = {}) {
+  assertHeaderSafe(name, value);
+  const text = encode && !isPrintableAscii(value) ? encodeWords(value).join(' ') : value;
+  return foldHeader(`${name}: ${text}`);
+}
+
+/**
+ * Normalize an address given as a string or { email, name }
+ * @param {string|Object} address - Address
+ * @param {string} field - Field name for error messages
+ * @returns {{email: string, name: string|null}}
+ */
+function parseAddress(address, field) {
+  const email = typeof address === 'string' ? address : address?.email;
+  const name = typeof address === 'string' ? null : (address?.name || null);
+
+  assertHeaderSafe(field, email || '');
+  if (name) assertHeaderSafe(field, name);
+  if (!email || !EMAIL_PATTERN.test(email.trim())) {
+    throw new MimeError(`${field} contains an invalid email address: ${email || '(empty)'}`);
+  }
+  return { email: email.trim(), name: name ? name.trim() : null };
+}
+
+/**
+ * Format one address for a header, quoting or encoding the display name
+ * @param {{email: string, name: string|null}} address
+ * @returns {string}
+ */
+function formatAddress({ email, name }) {
+  if (!name) return email;
+  if (!isPrintableAscii(name)) {
+    return `${encodeWords(name).join(' ')} <${email}>`;
+  }
+  return `"${name.replace(/(["\\])/g, '\\$1')}" <${email}>`;
+}
+
+/**
+ * Normalize a single address, a comma-separated string or an array into a list
+ * @param {string|Object|Array|null} value
+ * @param {string} field - Field name for error messages
+ * @returns {Array<{email: string, name: string|null}>}
+ */
+function parseAddressList(value, field) {
+  if (!value) return [];
+  const items = Array.isArray(value)
+    ? value
+    : typeof value === 'string' ? value.split(',').map(part => part.trim()).filter(Boolean) : [value];
+  return items.map(item => parseAddress(item, field));
+}
+
+/**
+ * Quoted-printable encode text (RFC 2045), normalizing line endings to CRLF
+ * @param {string} text
+ * @returns {string}
+ */
+function encodeQuotedPrintable(text) {
+  return String(text)
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => {
+      const bytes = Buffer.from(line, 'utf8');
+      let encoded = '';
+      for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i];
+        const isLast = i === bytes.length - 1;
+        const literal = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !isLast);
+        encoded += literal ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+      }
+
+      // Soft line breaks, never splitting an =XX escape
+      const wrapped = [];
+      while (encoded.length > MAX_LINE_LENGTH - 1) {
+        let cut = MAX_LINE_LENGTH - 1;
+        const escape = encoded.lastIndexOf('=', cut);
+        if (escape > cut - 3) cut = escape;
+        wrapped.push(`${encoded.slice(0, cut)}=`);
+        encoded = encoded.slice(cut);
+      }
+      wrapped.push(encoded);
+      return wrapped.join(CRLF);
+    })
+    .join(CRLF);
+}
+
+/**
+ * Split base64 data into 76-character lines
+ * @param {string} data - Base64 data
+ * @returns {string}
+ */
+function wrapBase64(data) {
+  const clean = String(data).replace(/\s+/g, '');
+  const lines = [];
+  for (let i = 0; i < clean.length; i += MAX_LINE_LENGTH) {
+    lines.push(clean.slice(i, i + MAX_LINE_LENGTH));
+  }
+  return lines.join(CRLF);
+}
+
+/**
+ * Build a filename parameter, with an RFC 2231 form for non-ASCII names
+ * @param {string} param - 'filename' or 'name'
+ * @param {string} filename
+ * @returns {string}
+ */
+function formatFilenameParam(param, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/(["\\])/g, '\\$1');
+  if (isPrintableAscii(filename)) {
+    return `${param}="${fallback}"`;
+  }
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${param}="${fallback}"; ${param}*=UTF-8''${encoded}`;
+}
+
+/**
+ * Strip HTML down to readable plain text
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>\n?/gi, '\n')
+    .replace(/<\/li>\s*/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|tr)>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<a\s[^>]*href=["']([^"']+)["'][^>]*>(.*?)<\/a>/gi, (match, href, label) => (label === href ? href : `${label} (${href})`))
+    .replace(/<\/?[a-z][^>]*>/gi, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Generate a Message-ID for a message sent from the given address
+ * @param {string} fromEmail - Sender address (its domain is used)
+ * @returns {string} Message-ID including angle brackets
+ */
+function createMessageId(fromEmail) {
+  const domain = String(fromEmail || '').split('@')[1] || 'linkmail.local';
+  return `<${crypto.randomUUID()}@${domain}>`;
+}
+
+/**
+ * Generate a boundary that cannot collide with encoded content
+ * @returns {string}
+ */
+function createBoundary() {
+  return `LinkMail_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Compose a complete MIME message
+ * @param {Object} message - {
+ *   from: {email, name} | string, to, cc, bcc, replyTo: address(es),
+ *   subject, text, html, attachments: [{ data (base64), name, type }],
+ *   headers: { [name]: value } extra headers (e.g. In-Reply-To), messageId, date,
+ *   includeBcc: keep the Bcc header (the Gmail API reads recipients from it)
+ * }
+ * @returns {string} RFC 5322 message with CRLF line endings
+ */
+function composeMimeMessage({
+  from, to, cc = null, bcc = null, replyTo = null, subject = '', text = null, html = null,
+  attachments = [], headers = {}, messageId = null, date = new Date(), includeBcc = true
+}) {
+  const sender = parseAddress(from, 'From');
+  const toList = parseAddressList(to, 'To');
+  const ccList = parseAddressList(cc, 'Cc');
+  const bccList = parseAddressList(bcc, 'Bcc');
+  const replyToList = parseAddressList(replyTo, 'Reply-To');
+  if (toList.length === 0) {
+    throw new MimeError('At least one recipient is required');
+  }
+
+  const lines = [
+    formatHeader('From', formatAddress(sender), { encode: false }),
+    formatHeader('To', toList.map(formatAddress).join(', '), { encode: false })
+  ];
+  if (ccList.length > 0) lines.push(formatHeader('Cc', ccList.map(formatAddress).join(', '), { encode: false }));
+  if (bccList.length > 0 && includeBcc) lines.push(formatHeader('Bcc', bccList.map(formatAddress).join(', '), { encode: false }));
+  if (replyToList.length > 0) lines.push(formatHeader('Reply-To', replyToList.map(formatAddress).join(', '), { encode: false }));
+  lines.push(formatHeader('Subject', subject));
+  lines.push(formatHeader('Date', date.toUTCString().replace('GMT', '+0000'), { encode: false }));
+  lines.push(formatHeader('Message-ID', assertHeaderSafe('Message-ID', messageId || createMessageId(sender.email)), { encode: false }));
+
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    if (!/^[A-Za-z0-9-]+$/.test(name)) {
+      throw new MimeError(`Invalid header name: ${name}`);
+    }
+    if (value !== null && value !== undefined && value !== '') {
+      lines.push(formatHeader(name, String(value)));
+    }
+  });
+  lines.push('MIME-Version: 1.0');
+
+  const textBody = text !== null && text !== undefined ? text : htmlToText(html || '');
+  const alternativeBoundary = createBoundary();
+  const alternative = [
+    foldHeader(`Content-Type: multipart/alternative; boundary="${alternativeBoundary}"`),
+    '',
+    `--${alternativeBoundary}`,
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    encodeQuotedPrintable(textBody)
+  ];
+  if (html) {
+    alternative.push(
+      `--${alternativeBoundary}`,
+      'Content-Type: text/html; charset=UTF-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      encodeQuotedPrintable(html)
+    );
+  }
+  alternative.push(`--${alternativeBoundary}--`);
+
+  const files = (attachments || []).filter(attachment => attachment.data);
+  if (files.length === 0) {
+    return [...lines, ...alternative, ''].join(CRLF);
+  }
+
+  const mixedBoundary = createBoundary();
+  const parts = [
+    ...lines,
+    foldHeader(`Content-Type: multipart/mixed; boundary="${mixedBoundary}"`),
+    '',
+    `--${mixedBoundary}`,
+    ...alternative
+  ];
+  files.forEach(attachment => {
+    const filename = assertHeaderSafe('Attachment name', attachment.name || 'attachment');
+    const type = CONTENT_TYPE_PATTERN.test(attachment.type || '') ? attachment.type : 'application/octet-stream';
+    parts.push(
+      `--${mixedBoundary}`,
+      foldHeader(`Content-Type: ${type}; ${formatFilenameParam('name', filename)}`),
+      'Content-Transfer-Encoding: base64',
+      foldHeader(`Content-Disposition: attachment; ${formatFilenameParam('filename', filename)}`),
+      '',
+      wrapBase64(attachment.data)
+    );
+  });
+  parts.push(`--${mixedBoundary}--`, '');
+
+  return parts.join(CRLF);
+}
+
+/**
+ * Top-level headers of a MIME message, unfolded, in order
+ * @param {string} mime - MIME message
+ * @returns {Array<{name: string, value: string}>}
+ */
+function listHeaders(mime) {
+  const end = mime.indexOf('\r\n\r\n');
+  return (end === -1 ? mime : mime.slice(0, end))
+    .replace(/\r\n(?=[ \t])/g, '')
+    .split('\r\n')
+    .filter(Boolean)
+    .map(line => {
+      const colon = line.indexOf(':');
+      return { name: line.slice(0, colon), value: line.slice(colon + 1).trim() };
+    });
+}
+
+module.exports = {
+  MimeError,
+  assertHeaderSafe,
+  htmlToText,
+  createMessageId,
+  parseAddressList,
+  composeMimeMessage,
+  listHeaders
+};
@@ -0,0 +1,168 @@
+// utils/reply-sync.js
+// Reply detection: reads the Gmail threads of sent messages and records
+// inbound replies on the matching connection
+
+const { query } = require('../db');
+const { getUserSession } = require('../store');
+const { addMessageToConnection, updateConnectionStatus } = require('../routes/connections');
+const { getUserMailbox } = require('./mailbox');
+
+// Only these statuses move to 'responded' when a reply shows up;
+// later stages (meeting_scheduled, converted, closed) are left as the user set them
+const RESPONDABLE_STATUSES = ['active', 'follow_up_needed', 'follow_up_sent'];
+
+/**
+ * Extract the bare address from a header like "Jane Doe <jane@acme.com>"
+ * @param {string|null} value - Header value
+ * @returns {string|null} Lowercased email address
+ */
+function extractAddress(value) {
+  if (!value) return null;
+  const match = value.match(/<([^>]+)>/);
+  return (match ? match[1] : value).trim().toLowerCase() || null;
+}
+
+/**
+ * Whether a thread message was written by the user rather than the recipient
+ * @param {Object} message - MailboxMessage
+ * @param {string|null} userEmail - User's own address
+ * @returns {boolean}
+ */
+function isOwnMessage(message, userEmail) {
+  if ((message.labelIds || []).includes('SENT')) return true;
+  return Boolean(userEmail) && extractAddress(message.from) === userEmail.toLowerCase();
+}
+
+/**
+ * Sync replies for a user's connections from their mailbox
+ * @param {string} userId - User ID
+ * @param {Object} mailbox - Mailbox (see utils/mailbox.js)
+ * @param {Object} options - { userEmail, contactId } - contactId limits the sync to one connection
+ * @returns {Promise<{connectionsChecked: number, threadsChecked: number, repliesAdded: number, connectionsResponded: number}>}
+ */
+async function syncConnectionReplies(userId, mailbox, { userEmail = null, contactId = null } = {}) {
+  const summary = { connectionsChecked: 0, threadsChecked: 0, repliesAdded: 0, connectionsResponded: 0 };
+
+  const params = [userId];
+  let contactClause = '';
+  if (contactId) {
+    params.push(contactId);
+    contactClause = 'AND contact_id = $2';
+  }
+  const sql = `
+    SELECT * FROM connections
+    WHERE user_id = $1 ${contactClause}
+      AND status <> 'closed'
+      AND messages @> '[{"direction": "sent"}]'::jsonb
+    ORDER BY updated_at DESC
+  `;
+  const { rows: connections } = await query(sql, params);
+
+  for (const connection of connections) {
+    summary.connectionsChecked++;
+    const messages = connection.messages || [];
+    const knownIds = new Set(messages.map(m => m.gmail_message_id).filter(Boolean));
+    const threadIds = [...new Set(
+      messages
+        .filter(m => m.direction === 'sent' && m.gmail_thread_id)
+        .map(m => m.gmail_thread_id)
+    )];
+
+    const replies = [];
+    for (const threadId of threadIds) {
+      summary.threadsChecked++;
+      const thread = await mailbox.getThread(threadId);
+      if (!thread) continue;
+
+      for (const message of thread.messages) {
+        if (knownIds.has(message.id) || isOwnMessage(message, userEmail)) continue;
+        knownIds.add(message.id);
+        replies.push(message);
+      }
+    }
+
+    if (replies.length === 0) continue;
+
+    replies.sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+    for (const reply of replies) {
+      await addMessageToConnection(userId, connection.contact_id, {
+        direction: 'received',
+        from: reply.from,
+        subject: reply.subject,
+        body: reply.body || reply.snippet,
+        received_at: reply.date,
+        gmail_message_id: reply.id,
+        gmail_thread_id: reply.threadId,
+        rfc_message_id: reply.messageIdHeader || null,
+        is_follow_up: false
+      });
+      summary.repliesAdded++;
+    }
+
+    if (RESPONDABLE_STATUSES.includes(connection.status)) {
+      await updateConnectionStatus(userId, connection.contact_id, 'responded');
+      summary.connectionsResponded++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Claim opted-in users whose replies are due for a sync
+ * @param {number} limit - Max users to claim
+ * @param {number} intervalMinutes - Minimum time between syncs of the same user
+ * @returns {Promise<Array<string>>} User IDs
+ */
+async function claimUsersForReplySync(limit, intervalMinutes) {
+  const sql = `
+    UPDATE user_profiles
+    SET reply_sync_at = NOW()
+    WHERE user_id IN (
+      SELECT user_id FROM user_profiles
+      WHERE preferences->>'replyDetection' = 'true'
+        AND (reply_sync_at IS NULL OR reply_sync_at < NOW() - ($2 || ' minutes')::interval)
+      ORDER BY reply_sync_at ASC NULLS FIRST
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING user_id
+  `;
+  const { rows } = await query(sql, [limit, String(intervalMinutes)]);
+  return rows.map(r => r.user_id);
+}
+
+/**
+ * Sync replies for opted-in users (one worker run)
+ * @param {Object} options - { limit, intervalMinutes }
+ * @returns {Promise<{users: number, skipped: number, repliesAdded: number, failed: number}>}
+ */
+async function processReplyDetection({ limit = 5, intervalMinutes = 15 } = {}) {
+  const summary = { users: 0, skipped: 0, repliesAdded: 0, failed: 0 };
+
+  const userIds = await claimUsersForReplySync(limit, intervalMinutes);
+  for (const userId of userIds) {
+    try {
+      const mailbox = await getUserMailbox(userId);
+      if (!mailbox) {
+        // Signed out, or never granted gmail.readonly
+        summary.skipped++;
+        continue;
+      }
+      const userSession = await getUserSession(userId);
+      const result = await syncConnectionReplies(userId, mailbox, { userEmail: userSession?.email });
+      summary.users++;
+      summary.repliesAdded += result.repliesAdded;
+    } catch (error) {
+      console.error(`[reply-sync] Sync failed for user ${userId}:`, error?.message || error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  syncConnectionReplies,
+  processReplyDetection
+};
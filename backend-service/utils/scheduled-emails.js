@@ -0,0 +1,427 @@
+// utils/scheduled-emails.js
+// Postgres-backed queue for emails that should go out at a later time
+
+const { query } = require('../db');
+const { sendEmail, SendEmailError, SendQuotaError, DeliveryWindowError } = require('./email-sender');
+const { isRateLimitError } = require('./mail-transports');
+const { saveSendCredentials } = require('./send-credentials');
+
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 60 * 1000; // 1 minute, doubled per attempt
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000; // 1 hour
+// A row stuck in 'sending' longer than this belonged to a worker that died mid-send
+const STALE_LOCK_MINUTES = 10;
+// Longest undo-send window a user can pick (preferences.undoSendSeconds)
+const MAX_UNDO_SEND_SECONDS = 30;
+// Allow a little clock skew between the extension and the server
+const SEND_AT_GRACE_MS = 60 * 1000;
+
+/**
+ * Validate that an ISO 8601 send time lies in the future (express-validator custom check).
+ * isISO8601 alone lets through forms such as "20261019" or "2026-W01" that Date cannot parse.
+ * @param {string} value - sendAt, startAt, ... from the request body
+ * @param {Object} meta - express-validator meta; its path names the field in errors
+ * @returns {boolean}
+ */
+function isFutureSendAt(value, { path = 'sendAt' } = {}) {
+  const time = new Date(value).getTime();
+  if (!Number.isFinite(time)) {
+    throw new Error(`${path} must be a valid date`);
+  }
+  if (time < Date.now() - SEND_AT_GRACE_MS) {
+    throw new Error(`${path} must be in the future`);
+  }
+  return true;
+}
+
+/**
+ * Store the user's send credentials for the worker, which may send after the
+ * KV session has expired. Failures are only logged: the email is still queued.
+ * @param {string} userId - User ID
+ */
+async function rememberSendCredentials(userId) {
+  try {
+    await saveSendCredentials(userId);
+  } catch (error) {
+    console.error('[scheduled-emails] Could not store send credentials:', error?.message || error);
+  }
+}
+
+/**
+ * Queue an email for later delivery
+ * @param {string} userId - User ID
+ * @param {Object} email - { to, cc, bcc, replyTo, subject, body, format, signature, track, attachments, contactInfo, sendAt, campaignId,
+ *   templateTitle, kind, thread, isFollowUp }
+ *   kind: 'scheduled', or 'undo' for an email held for the undo-send window
+ * @param {Object} client - Optional pg client, to queue inside a caller's transaction.
+ *   Such a caller queues many emails at once and calls rememberSendCredentials itself, once.
+ * @returns {Promise<Object>} Inserted scheduled_emails row
+ */
+async function scheduleEmail(userId, { to, cc = [], bcc = [], replyTo = null, subject, body, format = 'text', signature = null, track = null, attachments = [], contactInfo = {}, sendAt, campaignId = null, templateTitle = null, kind = 'scheduled', thread = null, isFollowUp = false }, client = null) {
+  const sql = `
+    INSERT INTO scheduled_emails (user_id, to_email, subject, body, attachments, contact_info, send_at, campaign_id, cc, bcc, reply_to, template_title, signature,
+      kind, thread, is_follow_up, body_format, track)
+    VALUES ($1, $2, $3, $4, $5::jsonb, $6::jsonb, $7, $8, $9, $10, $11, $12, $13::jsonb, $14, $15::jsonb, $16, $17, $18)
+    RETURNING *
+  `;
+  const { rows } = await (client || { query }).query(sql, [
+    userId,
+    to,
+    subject,
+    body,
+    JSON.stringify(attachments || []),
+    JSON.stringify(contactInfo || {}),
+    new Date(sendAt).toISOString(),
+    campaignId,
+    cc || [],
+    bcc || [],
+    replyTo,
+    templateTitle,
+    signature ? JSON.stringify(signature) : null,
+    kind,
+    thread ? JSON.stringify(thread) : null,
+    isFollowUp,
+    format,
+    typeof track === 'boolean' ? track : null
+  ]);
+
+  if (!client) {
+    await rememberSendCredentials(userId);
+  }
+  return rows[0];
+}
+
+/**
+ * The user's undo-send window
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Seconds to hold an email before sending it; 0 when undo send is off
+ */
+async function getUndoSendSeconds(userId) {
+  const { rows } = await query('SELECT preferences FROM user_profiles WHERE user_id = $1', [userId]);
+  const seconds = Number(rows[0]?.preferences?.undoSendSeconds);
+  return Number.isInteger(seconds) && seconds > 0 ? Math.min(seconds, MAX_UNDO_SEND_SECONDS) : 0;
+}
+
+/**
+ * Hold an email for the undo-send window, then send it.
+ * A timer sends it as soon as the window closes; if this instance is frozen or
+ * stopped first (serverless), the next cron dispatch picks it up instead.
+ * @param {string} userId - User ID
+ * @param {Object} email - Same fields as scheduleEmail, without sendAt
+ * @param {number} seconds - Undo window
+ * @returns {Promise<Object>} Inserted scheduled_emails row (kind 'undo')
+ */
+async function holdEmailForUndo(userId, email, seconds) {
+  const row = await scheduleEmail(userId, {
+    ...email,
+    kind: 'undo',
+    sendAt: new Date(Date.now() + seconds * 1000)
+  });
+
+  // A second late, so the row is also due by the database clock
+  const timer = setTimeout(() => {
+    processDueEmails({ id: row.id }).catch(error => {
+      console.error(`[scheduled-emails] Undo-send dispatch failed for #${row.id}:`, error?.message || error);
+    });
+  }, seconds * 1000 + 1000);
+  timer.unref();
+
+  return row;
+}
+
+/**
+ * List a user's scheduled emails, soonest first
+ * @param {string} userId - User ID
+ * @param {string|null} status - Optional status filter
+ * @returns {Promise<Array>} scheduled_emails rows
+ */
+async function listScheduledEmails(userId, status = null) {
+  const params = [userId];
+  let statusClause = '';
+  if (status) {
+    params.push(status);
+    statusClause = 'AND status = $2';
+  }
+  const sql = `
+    SELECT * FROM scheduled_emails
+    WHERE user_id = $1 ${statusClause}
+    ORDER BY send_at ASC
+  `;
+  const { rows } = await query(sql, params);
+  return rows;
+}
+
+/**
+ * Get a single scheduled email owned by the user
+ * @param {string} userId - User ID
+ * @param {number} id - Scheduled email ID
+ * @returns {Promise<Object|null>} Row or null
+ */
+async function getScheduledEmail(userId, id) {
+  const { rows } = await query(
+    'SELECT * FROM scheduled_emails WHERE id = $1 AND user_id = $2',
+    [id, userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Move a pending email to a new send time
+ * @param {string} userId - User ID
+ * @param {number} id - Scheduled email ID
+ * @param {string|Date} sendAt - New send time
+ * @returns {Promise<Object|null>} Updated row, or null if it is no longer pending
+ */
+async function rescheduleEmail(userId, id, sendAt) {
+  const sql = `
+    UPDATE scheduled_emails
+    SET send_at = $1, updated_at = NOW()
+    WHERE id = $2 AND user_id = $3 AND status = 'pending'
+    RETURNING *
+  `;
+  const { rows } = await query(sql, [new Date(sendAt).toISOString(), id, userId]);
+  return rows[0] || null;
+}
+
+/**
+ * Cancel a pending email
+ * @param {string} userId - User ID
+ * @param {number} id - Scheduled email ID
+ * @returns {Promise<Object|null>} Updated row, or null if it is no longer pending
+ */
+async function cancelScheduledEmail(userId, id) {
+  const sql = `
+    UPDATE scheduled_emails
+    SET status = 'cancelled', locked_at = NULL, updated_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND status = 'pending'
+    RETURNING *
+  `;
+  const { rows } = await query(sql, [id, userId]);
+  return rows[0] || null;
+}
+
+/**
+ * Atomically claim due emails for this worker.
+ * SKIP LOCKED keeps concurrent invocations from claiming the same rows, and the
+ * status flip to 'sending' keeps later scans from seeing them again.
+ * @param {number} limit - Max rows to claim
+ * @param {number|null} id - Only claim this row
+ * @returns {Promise<Array>} Claimed rows
+ */
+async function claimDueEmails(limit, id = null) {
+  const sql = `
+    UPDATE scheduled_emails
+    SET status = 'sending', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM scheduled_emails
+      WHERE status = 'pending' AND send_at <= NOW()
+        AND ($2::bigint IS NULL OR id = $2)
+      ORDER BY send_at ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+  const { rows } = await query(sql, [limit, id]);
+  return rows;
+}
+
+/**
+ * Fail rows whose worker died while sending. They are not retried because the
+ * email may already have been delivered.
+ * @returns {Promise<number>} Number of rows released
+ */
+async function releaseStaleEmails() {
+  const sql = `
+    UPDATE scheduled_emails
+    SET status = 'failed',
+        locked_at = NULL,
+        last_error = 'Worker stopped while sending; delivery state unknown',
+        updated_at = NOW()
+    WHERE status = 'sending' AND locked_at < NOW() - ($1 || ' minutes')::interval
+  `;
+  const { rowCount } = await query(sql, [String(STALE_LOCK_MINUTES)]);
+  return rowCount;
+}
+
+/**
+ * Whether a failed send is worth retrying
+ * @param {Error} error - Error thrown by sendEmail
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  // Missing session / Google auth problems will not fix themselves; an
+  // attachment download that failed (502) might
+  if (error instanceof SendEmailError) return error.status >= 500;
+  // Gmail reports some rate limits as 403s
+  if (isRateLimitError(error)) return true;
+  if ([400, 401, 403].includes(error.code)) return false;
+  if (/session not found/i.test(error.message || '')) return false;
+  return true;
+}
+
+/**
+ * Exponential backoff delay for the given attempt number (1-based)
+ * @param {number} attempt - Attempt that just failed
+ * @returns {number} Delay in ms
+ */
+function retryDelayMs(attempt) {
+  return Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1));
+}
+
+async function markSent(id, result) {
+  const sql = `
+    UPDATE scheduled_emails
+    SET status = 'sent', sent_at = NOW(), locked_at = NULL, last_error = NULL,
+        gmail_message_id = $1, gmail_thread_id = $2, updated_at = NOW()
+    WHERE id = $3
+  `;
+  await query(sql, [result.messageId, result.threadId, id]);
+}
+
+/**
+ * Put a claimed email back in the queue until a later time. The attempt is not
+ * counted - nothing was wrong with the email itself.
+ * A campaign email moves its whole campaign: every pending email of the campaign
+ * is pushed back by the same amount, so the campaign keeps its spacing instead of
+ * bunching up at the new time. campaignShifts remembers the shift applied to each
+ * campaign during this worker run, so emails claimed in the same batch follow it
+ * and the campaign is only pushed back once.
+ * @param {Object} row - Claimed scheduled_emails row
+ * @param {Date|string} until - Earliest time the email may go out
+ * @param {string} reason - Stored as last_error
+ * @param {Map<number, number>} campaignShifts - Campaign ID -> shift in ms for this run
+ */
+async function deferEmail(row, until, reason, campaignShifts) {
+  let sendAt = new Date(until).getTime();
+
+  if (row.campaign_id) {
+    const originalSendAt = new Date(row.send_at).getTime();
+    let shiftMs = campaignShifts.get(row.campaign_id);
+    if (shiftMs === undefined) {
+      shiftMs = Math.max(0, sendAt - originalSendAt);
+      campaignShifts.set(row.campaign_id, shiftMs);
+      await query(`
+        UPDATE scheduled_emails
+        SET send_at = send_at + ($1 || ' milliseconds')::interval, updated_at = NOW()
+        WHERE campaign_id = $2 AND status = 'pending'
+      `, [String(shiftMs), row.campaign_id]);
+    }
+    sendAt = Math.max(sendAt, originalSendAt + shiftMs);
+  }
+
+  const sql = `
+    UPDATE scheduled_emails
+    SET status = 'pending', locked_at = NULL, attempts = attempts - 1, last_error = $1,
+        send_at = $2, updated_at = NOW()
+    WHERE id = $3
+  `;
+  await query(sql, [reason, new Date(sendAt).toISOString(), row.id]);
+}
+
+async function markFailedAttempt(row, error) {
+  const errorMessage = error.message || String(error);
+
+  if (isRetryableError(error) && row.attempts < MAX_ATTEMPTS) {
+    const retrySql = `
+      UPDATE scheduled_emails
+      SET status = 'pending', locked_at = NULL, last_error = $1,
+          send_at = NOW() + ($2 || ' milliseconds')::interval, updated_at = NOW()
+      WHERE id = $3
+    `;
+    await query(retrySql, [errorMessage, String(retryDelayMs(row.attempts)), row.id]);
+    return true;
+  }
+
+  const failSql = `
+    UPDATE scheduled_emails
+    SET status = 'failed', locked_at = NULL, last_error = $1, updated_at = NOW()
+    WHERE id = $2
+  `;
+  await query(failSql, [errorMessage, row.id]);
+  return false;
+}
+
+/**
+ * Send every due scheduled email (one worker run)
+ * @param {Object} options - { limit, id } - id sends just that email if it is due
+ * @returns {Promise<{claimed: number, sent: number, retried: number, deferred: number, held: number, failed: number, stale: number}>}
+ *   deferred: waiting for the send quota; held: waiting for the recipient's delivery window
+ */
+async function processDueEmails({ limit = 10, id = null } = {}) {
+  const summary = { claimed: 0, sent: 0, retried: 0, deferred: 0, held: 0, failed: 0, stale: 0 };
+
+  summary.stale = await releaseStaleEmails();
+
+  const rows = await claimDueEmails(limit, id);
+  summary.claimed = rows.length;
+  const campaignShifts = new Map();
+
+  for (const row of rows) {
+    let result;
+    try {
+      result = await sendEmail(row.user_id, {
+        to: row.to_email,
+        cc: row.cc,
+        bcc: row.bcc,
+        replyTo: row.reply_to,
+        subject: row.subject,
+        body: row.body,
+        format: row.body_format,
+        signature: row.signature,
+        track: row.track,
+        attachments: row.attachments || [],
+        contactInfo: row.contact_info || {},
+        templateTitle: row.template_title,
+        campaignId: row.campaign_id,
+        thread: row.thread,
+        isFollowUp: row.is_follow_up
+      });
+    } catch (error) {
+      // Wait for the send quota to free up
+      if (error instanceof SendQuotaError) {
+        await deferEmail(row, error.quota.retryAt, error.message, campaignShifts);
+        summary.deferred++;
+        continue;
+      }
+      // Wait for the delivery window to open in the recipient's time zone
+      if (error instanceof DeliveryWindowError) {
+        await deferEmail(row, error.hold.holdUntil, error.message, campaignShifts);
+        summary.held++;
+        continue;
+      }
+      console.error(`[scheduled-emails] Send failed for #${row.id} (attempt ${row.attempts}):`, error?.message || error);
+      const retried = await markFailedAttempt(row, error);
+      if (retried) summary.retried++;
+      else summary.failed++;
+      continue;
+    }
+
+    // The email is out: from here on the row must never go back to 'pending'.
+    // If it cannot be marked sent it stays 'sending', and releaseStaleEmails
+    // later fails it without a retry.
+    summary.sent++;
+    try {
+      await markSent(row.id, result);
+    } catch (error) {
+      console.error(`[scheduled-emails] Sent #${row.id} (message ${result.messageId}) but could not mark it sent:`, error?.message || error);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  MAX_UNDO_SEND_SECONDS,
+  rememberSendCredentials,
+  scheduleEmail,
+  getUndoSendSeconds,
+  holdEmailForUndo,
+  listScheduledEmails,
+  getScheduledEmail,
+  rescheduleEmail,
+  cancelScheduledEmail,
+  isFutureSendAt,
+  isRetryableError,
+  processDueEmails
+};
@@ -0,0 +1,90 @@
+// utils/send-credentials.js
+// Encrypted copy of the session fields needed to send as a user, for queued
+// emails that go out after the KV session has expired (see migration 039).
+
+const crypto = require('crypto');
+const { query } = require('../db');
+const { getUserSession } = require('../store');
+
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+/**
+ * Key for encrypting stored credentials
+ * @returns {Buffer|null} null when neither SEND_CREDENTIALS_SECRET nor JWT_SECRET is set
+ */
+function getCredentialsKey() {
+  const secret = process.env.SEND_CREDENTIALS_SECRET || process.env.JWT_SECRET;
+  // Derived, so a JWT_SECRET fallback is never used directly for two purposes
+  return secret ? crypto.createHmac('sha256', secret).update('send-credentials').digest() : null;
+}
+
+function encrypt(value, key) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join('.');
+}
+
+function decrypt(payload, key) {
+  const [iv, tag, data] = String(payload).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+}
+
+/**
+ * Copy the user's current session credentials for the queue workers.
+ * Called whenever something is queued, so the copy follows token refreshes and re-logins.
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} false when there is no session or no key to encrypt with
+ */
+async function saveSendCredentials(userId) {
+  const key = getCredentialsKey();
+  const session = await getUserSession(userId);
+  if (!key || !session?.googleTokens) return false;
+
+  const { id, email, name, googleTokens } = session;
+  await query(`
+    INSERT INTO send_credentials (user_id, credentials, updated_at)
+    VALUES ($1, $2, NOW())
+    ON CONFLICT (user_id) DO UPDATE SET credentials = EXCLUDED.credentials, updated_at = NOW()
+  `, [userId, encrypt({ id, email, name, googleTokens }, key)]);
+  return true;
+}
+
+/**
+ * Session to send with: the live KV session, or else the stored copy
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { id, email, name, googleTokens, ... } or null
+ */
+async function getSendSession(userId) {
+  const session = await getUserSession(userId);
+  if (session) return session;
+
+  const key = getCredentialsKey();
+  if (!key) return null;
+  const { rows } = await query('SELECT credentials FROM send_credentials WHERE user_id = $1', [userId]);
+  if (!rows.length) return null;
+  try {
+    return decrypt(rows[0].credentials, key);
+  } catch (error) {
+    // Written under a different secret; the user has to sign in again
+    console.error(`[send-credentials] Could not decrypt credentials for ${userId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Forget the stored credentials (on sign-out)
+ * @param {string} userId - User ID
+ */
+async function deleteSendCredentials(userId) {
+  await query('DELETE FROM send_credentials WHERE user_id = $1', [userId]);
+}
+
+module.exports = {
+  saveSendCredentials,
+  getSendSession,
+  deleteSendCredentials
+};
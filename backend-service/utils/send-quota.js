@@ -0,0 +1,82 @@
+// utils/send-quota.js
+// Per-plan send limits, counted from sent_emails over rolling windows so a
+// burst of sends cannot get the user's Gmail account flagged
+
+const { query } = require('../db');
+
+const DEFAULT_PLAN = 'Premium Tier';
+// Gmail allows ~500 messages/day on personal accounts; stay well below it
+const SEND_LIMITS = {
+  'Premium Tier': { daily: 100, hourly: 20 },
+  'Premium Plus Tier': { daily: 200, hourly: 40 }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Usage of one quota window
+ * @param {number} limit - Sends allowed in the window
+ * @param {number} used - Sends already in the window
+ * @param {Date|null} oldest - Oldest send still in the window
+ * @param {number} windowMs - Window length
+ * @returns {{limit: number, used: number, remaining: number, resetsAt: string|null}}
+ */
+function windowUsage(limit, used, oldest, windowMs) {
+  return {
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+    // When the oldest send leaves the window and frees a slot
+    resetsAt: oldest ? new Date(new Date(oldest).getTime() + windowMs).toISOString() : null
+  };
+}
+
+/**
+ * Current send quota for a user
+ * @param {string} userId - User ID
+ * @param {Date} now - Reference time
+ * @returns {Promise<{plan: string, daily: Object, hourly: Object, remaining: number, retryAt: string|null}>}
+ *   remaining is the smaller of the two windows; retryAt is set when it is 0
+ */
+async function getSendQuota(userId, now = new Date()) {
+  const sql = `
+    SELECT
+      (SELECT plan FROM user_profiles WHERE user_id = $1) AS plan,
+      COUNT(*)::int AS daily_used,
+      COUNT(*) FILTER (WHERE sent_at > $3)::int AS hourly_used,
+      MIN(sent_at) AS daily_oldest,
+      MIN(sent_at) FILTER (WHERE sent_at > $3) AS hourly_oldest
+    FROM sent_emails
+    WHERE user_id = $1 AND sent_at > $2
+  `;
+  const { rows } = await query(sql, [
+    userId,
+    new Date(now.getTime() - DAY_MS).toISOString(),
+    new Date(now.getTime() - HOUR_MS).toISOString()
+  ]);
+  const row = rows[0];
+
+  const plan = SEND_LIMITS[row.plan] ? row.plan : DEFAULT_PLAN;
+  const limits = SEND_LIMITS[plan];
+  const daily = windowUsage(limits.daily, row.daily_used, row.daily_oldest, DAY_MS);
+  const hourly = windowUsage(limits.hourly, row.hourly_used, row.hourly_oldest, HOUR_MS);
+
+  const exhausted = [daily, hourly].filter(w => w.remaining === 0);
+  const retryAt = exhausted.length > 0
+    ? exhausted.map(w => w.resetsAt).sort().pop()
+    : null;
+
+  return {
+    plan,
+    daily,
+    hourly,
+    remaining: Math.min(daily.remaining, hourly.remaining),
+    retryAt
+  };
+}
+
+module.exports = {
+  SEND_LIMITS,
+  getSendQuota
+};
@@ -0,0 +1,129 @@
+// utils/sent-emails.js
+// Durable log of every email a user has sent, backing history and stats
+
+const { query } = require('../db');
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+/**
+ * Record a sent email
+ * @param {string} userId - User ID
+ * @param {Object} entry - { to, cc, bcc, subject, body, attachments, templateTitle, transport, messageId,
+ *   threadId, contactId, isFollowUp, sequenceId, campaignId }
+ * @returns {Promise<Object>} Inserted sent_emails row
+ */
+async function logSentEmail(userId, entry) {
+  const sql = `
+    INSERT INTO sent_emails (
+      user_id, contact_id, to_email, cc, bcc, subject, body, attachments, template_title,
+      transport, message_id, thread_id, is_follow_up, sequence_id, campaign_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9, $10, $11, $12, $13, $14, $15)
+    RETURNING *
+  `;
+  const { rows } = await query(sql, [
+    userId,
+    entry.contactId || null,
+    entry.to,
+    entry.cc || [],
+    entry.bcc || [],
+    entry.subject,
+    entry.body,
+    JSON.stringify(entry.attachments || []),
+    entry.templateTitle || null,
+    entry.transport || 'gmail',
+    entry.messageId || null,
+    entry.threadId || null,
+    entry.isFollowUp === true,
+    entry.sequenceId || null,
+    entry.campaignId || null
+  ]);
+  return rows[0];
+}
+
+/**
+ * List a user's sent emails, newest first
+ * @param {string} userId - User ID
+ * @param {Object} filters - { since, until, recipient, contactId, template, limit, offset }
+ * @returns {Promise<{emails: Array, total: number}>}
+ */
+async function listSentEmails(userId, filters = {}) {
+  const conditions = ['user_id = $1'];
+  const params = [userId];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.since) addCondition('sent_at >= ?', new Date(filters.since).toISOString());
+  if (filters.until) addCondition('sent_at < ?', new Date(filters.until).toISOString());
+  if (filters.recipient) addCondition('lower(to_email) = lower(?)', filters.recipient);
+  if (filters.contactId) addCondition('contact_id = ?', filters.contactId);
+  if (filters.template) addCondition('template_title = ?', filters.template);
+
+  const where = conditions.join(' AND ');
+  const limit = Math.min(filters.limit || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+  const offset = filters.offset || 0;
+
+  const [list, count] = await Promise.all([
+    query(
+      `SELECT * FROM sent_emails WHERE ${where} ORDER BY sent_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    query(`SELECT COUNT(*)::int AS total FROM sent_emails WHERE ${where}`, params)
+  ]);
+
+  return { emails: list.rows, total: count.rows[0].total };
+}
+
+/**
+ * Count a user's sent emails
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function countSentEmails(userId) {
+  const { rows } = await query('SELECT COUNT(*)::int AS total FROM sent_emails WHERE user_id = $1', [userId]);
+  return rows[0].total;
+}
+
+/**
+ * Sending statistics for a user
+ * @param {string} userId - User ID
+ * @param {Date} now - Reference time (today/this month are computed in UTC)
+ * @returns {Promise<{totalEmails: number, emailsToday: number, emailsThisWeek: number, emailsThisMonth: number, lastEmailSent: string|null}>}
+ */
+async function getSentEmailStats(userId, now = new Date()) {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const thisWeek = new Date(today.getTime() - (7 * 24 * 60 * 60 * 1000));
+  const thisMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  const sql = `
+    SELECT
+      COUNT(*)::int AS total,
+      COUNT(*) FILTER (WHERE sent_at >= $2)::int AS today,
+      COUNT(*) FILTER (WHERE sent_at >= $3)::int AS this_week,
+      COUNT(*) FILTER (WHERE sent_at >= $4)::int AS this_month,
+      MAX(sent_at) AS last_sent_at
+    FROM sent_emails
+    WHERE user_id = $1
+  `;
+  const { rows } = await query(sql, [userId, today.toISOString(), thisWeek.toISOString(), thisMonth.toISOString()]);
+  const stats = rows[0];
+
+  return {
+    totalEmails: stats.total,
+    emailsToday: stats.today,
+    emailsThisWeek: stats.this_week,
+    emailsThisMonth: stats.this_month,
+    lastEmailSent: stats.last_sent_at ? new Date(stats.last_sent_at).toISOString() : null
+  };
+}
+
+module.exports = {
+  MAX_HISTORY_LIMIT,
+  logSentEmail,
+  listSentEmails,
+  countSentEmails,
+  getSentEmailStats
+};
@@ -0,0 +1,227 @@
+// utils/signatures.js
+// Email signatures appended to outgoing emails. Each user can keep several;
+// the default one is used unless a send picks another or 'none'.
+
+const { query, getClient } = require('../db');
+const { htmlToText } = require('./mime');
+const { escapeHtml, sanitizeSignatureHtml } = require('./email-body');
+
+const MAX_SIGNATURES_PER_USER = 10;
+const MAX_SIGNATURE_LENGTH = 10000;
+
+/**
+ * Text and HTML versions of a signature, ready to append to an email
+ * @param {Object} row - email_signatures row
+ * @returns {{id: number, text: string, html: string}}
+ */
+function renderSignature(row) {
+  const html = row.html_body ? sanitizeSignatureHtml(row.html_body) : escapeHtml(row.text_body).replace(/\r?\n/g, '<br>\n');
+  const logo = row.logo_url
+    ? `<br>\n<img src="${escapeHtml(row.logo_url)}" alt="${escapeHtml(row.name)}" style="max-height: 64px; max-width: 200px;">`
+    : '';
+  return {
+    id: row.id,
+    text: row.text_body,
+    html: `${html}${logo}`
+  };
+}
+
+/**
+ * List a user's signatures, default first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} email_signatures rows
+ */
+async function listSignatures(userId) {
+  const { rows } = await query(
+    'SELECT * FROM email_signatures WHERE user_id = $1 ORDER BY is_default DESC, created_at ASC, id ASC',
+    [userId]
+  );
+  return rows;
+}
+
+/**
+ * Get one of a user's signatures
+ * @param {string} userId - User ID
+ * @param {number} id - Signature ID
+ * @returns {Promise<Object|null>} email_signatures row
+ */
+async function getSignature(userId, id) {
+  const { rows } = await query(
+    'SELECT * FROM email_signatures WHERE id = $1 AND user_id = $2',
+    [id, userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get a user's default signature
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} email_signatures row, or null when the user has no default
+ */
+async function getDefaultSignature(userId) {
+  const { rows } = await query(
+    'SELECT * FROM email_signatures WHERE user_id = $1 AND is_default',
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Signature to append to an email
+ * @param {string} userId - User ID
+ * @param {number|string|undefined} signatureId - Signature ID, 'none', or undefined for the default
+ * @returns {Promise<{signature: Object|null, found: boolean}>} signature is a renderSignature() result;
+ *   found is false when signatureId names a signature the user does not have
+ */
+async function resolveSignature(userId, signatureId) {
+  if (signatureId === 'none') {
+    return { signature: null, found: true };
+  }
+  if (signatureId === undefined || signatureId === null) {
+    const row = await getDefaultSignature(userId);
+    return { signature: row ? renderSignature(row) : null, found: true };
+  }
+  const row = await getSignature(userId, signatureId);
+  return { signature: row ? renderSignature(row) : null, found: Boolean(row) };
+}
+
+/**
+ * Column values for a signature's body. Without a text version, it is derived from the HTML.
+ * @param {Object} fields - { text, html }
+ * @returns {{text_body: string, html_body: string|null}}
+ */
+function signatureBodies({ text, html }) {
+  const htmlBody = html ? sanitizeSignatureHtml(html) : null;
+  return {
+    text_body: text || htmlToText(htmlBody || ''),
+    html_body: htmlBody || null
+  };
+}
+
+/**
+ * Create a signature. The user's first signature becomes the default.
+ * @param {string} userId - User ID
+ * @param {Object} fields - { name, text, html, logoUrl, isDefault }
+ * @returns {Promise<Object|null>} Created row, or null when the user already has MAX_SIGNATURES_PER_USER
+ */
+async function createSignature(userId, { name, text = null, html = null, logoUrl = null, isDefault = false }) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const { rows: counts } = await client.query(
+      'SELECT COUNT(*)::int AS count FROM email_signatures WHERE user_id = $1',
+      [userId]
+    );
+    if (counts[0].count >= MAX_SIGNATURES_PER_USER) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const makeDefault = isDefault || counts[0].count === 0;
+    if (makeDefault) {
+      await client.query('UPDATE email_signatures SET is_default = FALSE WHERE user_id = $1 AND is_default', [userId]);
+    }
+
+    const { text_body, html_body } = signatureBodies({ text, html });
+    const { rows } = await client.query(
+      `INSERT INTO email_signatures (user_id, name, text_body, html_body, logo_url, is_default)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [userId, name, text_body, html_body, logoUrl, makeDefault]
+    );
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Update a signature. Only the fields present are changed; setting html without
+ * text regenerates the text version.
+ * @param {string} userId - User ID
+ * @param {number} id - Signature ID
+ * @param {Object} fields - { name?, text?, html?, logoUrl?, isDefault? }
+ * @returns {Promise<Object|null>} Updated row, or null if the user has no such signature
+ */
+async function updateSignature(userId, id, fields) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const { rows: existing } = await client.query(
+      'SELECT * FROM email_signatures WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [id, userId]
+    );
+    if (existing.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const current = existing[0];
+
+    let bodies = { text_body: current.text_body, html_body: current.html_body };
+    if (fields.text !== undefined || fields.html !== undefined) {
+      bodies = signatureBodies({
+        text: fields.text !== undefined ? fields.text : (fields.html !== undefined ? null : current.text_body),
+        html: fields.html !== undefined ? fields.html : current.html_body
+      });
+    }
+
+    const isDefault = fields.isDefault !== undefined ? fields.isDefault : current.is_default;
+    if (isDefault && !current.is_default) {
+      await client.query('UPDATE email_signatures SET is_default = FALSE WHERE user_id = $1 AND is_default', [userId]);
+    }
+
+    const { rows } = await client.query(
+      `UPDATE email_signatures
+       SET name = $3, text_body = $4, html_body = $5, logo_url = $6, is_default = $7, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [
+        id,
+        userId,
+        fields.name !== undefined ? fields.name : current.name,
+        bodies.text_body,
+        bodies.html_body,
+        fields.logoUrl !== undefined ? fields.logoUrl : current.logo_url,
+        isDefault
+      ]
+    );
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a signature. Deleting the default leaves the user without one.
+ * @param {string} userId - User ID
+ * @param {number} id - Signature ID
+ * @returns {Promise<Object|null>} Deleted row, or null if the user has no such signature
+ */
+async function deleteSignature(userId, id) {
+  const { rows } = await query(
+    'DELETE FROM email_signatures WHERE id = $1 AND user_id = $2 RETURNING *',
+    [id, userId]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  MAX_SIGNATURES_PER_USER,
+  MAX_SIGNATURE_LENGTH,
+  renderSignature,
+  listSignatures,
+  getSignature,
+  getDefaultSignature,
+  resolveSignature,
+  createSignature,
+  updateSignature,
+  deleteSignature
+};
@@ -0,0 +1,178 @@
+// utils/suppressions.js
+// Do-not-contact lists: email addresses and domains that must never be emailed.
+// Each user has their own list; entries without a user_id are global.
+
+const { query } = require('../db');
+
+const MAX_IMPORT_ENTRIES = 5000;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Turn a user-supplied address or domain into a suppression entry
+ * @param {string} raw - "person@company.com", "company.com" or "@company.com"
+ * @returns {{kind: 'email'|'domain', value: string}|null} Null when it is neither
+ */
+function normalizeSuppression(raw) {
+  const value = String(raw || '').trim().toLowerCase();
+  if (!value) return null;
+
+  if (value.startsWith('@')) {
+    const domain = value.slice(1);
+    return DOMAIN_PATTERN.test(domain) ? { kind: 'domain', value: domain } : null;
+  }
+  if (value.includes('@')) {
+    const [local, domain, ...rest] = value.split('@');
+    return local && rest.length === 0 && !/\s/.test(local) && DOMAIN_PATTERN.test(domain)
+      ? { kind: 'email', value }
+      : null;
+  }
+  return DOMAIN_PATTERN.test(value) ? { kind: 'domain', value } : null;
+}
+
+/**
+ * Parse an import: one entry per line, optionally followed by ",reason"
+ * @param {string} text - CSV/plain text
+ * @returns {Array<{value: string, reason: string|null}>}
+ */
+function parseSuppressionText(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const comma = line.indexOf(',');
+      return comma === -1
+        ? { value: line, reason: null }
+        : { value: line.slice(0, comma).trim(), reason: line.slice(comma + 1).trim() || null };
+    })
+    // Header row from a spreadsheet export
+    .filter((entry, index) => !(index === 0 && /^(email|domain|value|address)$/i.test(entry.value)));
+}
+
+/**
+ * Add entries to a suppression list. Entries already on the list are left as they are.
+ * @param {string|null} userId - User ID, or null for the global list
+ * @param {Array<{value: string, reason?: string}>} entries - Entries to add
+ * @returns {Promise<{added: Array<Object>, existing: number, invalid: Array<string>}>}
+ */
+async function addSuppressions(userId, entries) {
+  const invalid = [];
+  const normalized = new Map();
+  for (const entry of entries) {
+    const suppression = normalizeSuppression(entry.value);
+    if (!suppression) {
+      invalid.push(String(entry.value));
+      continue;
+    }
+    normalized.set(`${suppression.kind}:${suppression.value}`, { ...suppression, reason: entry.reason || null });
+  }
+
+  const rows = [...normalized.values()];
+  if (rows.length === 0) {
+    return { added: [], existing: 0, invalid };
+  }
+
+  const sql = `
+    INSERT INTO email_suppressions (user_id, kind, value, reason)
+    SELECT $1, kind, value, reason
+    FROM unnest($2::text[], $3::text[], $4::text[]) AS entry(kind, value, reason)
+    ON CONFLICT ((COALESCE(user_id, '')), kind, value) DO NOTHING
+    RETURNING *
+  `;
+  const { rows: added } = await query(sql, [
+    userId,
+    rows.map(r => r.kind),
+    rows.map(r => r.value),
+    rows.map(r => r.reason)
+  ]);
+
+  return { added, existing: rows.length - added.length, invalid };
+}
+
+/**
+ * List a user's suppression entries, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} email_suppressions rows
+ */
+async function listSuppressions(userId) {
+  const { rows } = await query(
+    'SELECT * FROM email_suppressions WHERE user_id = $1 ORDER BY created_at DESC, id DESC',
+    [userId]
+  );
+  return rows;
+}
+
+/**
+ * Remove an entry from a user's list
+ * @param {string} userId - User ID
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object|null>} Removed row, or null if the user has no such entry
+ */
+async function removeSuppression(userId, id) {
+  const { rows } = await query(
+    'DELETE FROM email_suppressions WHERE id = $1 AND user_id = $2 RETURNING *',
+    [id, userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * SQL condition matching a suppression row against an email expression
+ * @param {string} emailSql - SQL expression for a lowercased email address
+ * @returns {string}
+ */
+function suppressionMatchSql(emailSql) {
+  const domain = `split_part(${emailSql}, '@', 2)`;
+  return `((s.kind = 'email' AND s.value = ${emailSql})
+    OR (s.kind = 'domain' AND (${domain} = s.value OR ${domain} LIKE '%.' || s.value)))`;
+}
+
+/**
+ * Find which of the given addresses are suppressed for a user
+ * @param {string} userId - User ID
+ * @param {Array<string>} emails - Bare email addresses
+ * @returns {Promise<Array<{email: string, kind: string, value: string, global: boolean}>>} One row per suppressed address
+ */
+async function findSuppressedRecipients(userId, emails) {
+  const addresses = [...new Set(emails.filter(Boolean).map(email => String(email).trim().toLowerCase()))];
+  if (addresses.length === 0) return [];
+
+  const sql = `
+    SELECT DISTINCT ON (r.email) r.email, s.kind, s.value, (s.user_id IS NULL) AS global
+    FROM unnest($2::text[]) AS r(email)
+    JOIN email_suppressions s
+      ON (s.user_id IS NULL OR s.user_id = $1)
+     AND ${suppressionMatchSql('r.email')}
+    ORDER BY r.email, s.kind
+  `;
+  const { rows } = await query(sql, [userId, addresses]);
+  return rows;
+}
+
+/**
+ * SQL condition that leaves out contacts with a suppressed email address
+ * @param {string} contactIdSql - SQL expression for the contact ID (e.g. 'id' or 'co.id')
+ * @param {number} userParam - Position of the user ID in the query's parameters
+ * @returns {string}
+ */
+function notSuppressedContactSql(contactIdSql, userParam) {
+  return `NOT EXISTS (
+    SELECT 1
+    FROM contact_emails sce
+    JOIN email_suppressions s
+      ON (s.user_id IS NULL OR s.user_id = $${userParam})
+     AND ${suppressionMatchSql('LOWER(sce.email)')}
+    WHERE sce.contact_id = ${contactIdSql}
+  )`;
+}
+
+module.exports = {
+  MAX_IMPORT_ENTRIES,
+  normalizeSuppression,
+  parseSuppressionText,
+  addSuppressions,
+  listSuppressions,
+  removeSuppression,
+  findSuppressedRecipients,
+  notSuppressedContactSql
+};
@@ -0,0 +1,203 @@
+// utils/template-renderer.js
+// Fills bracket placeholders such as [Recipient First Name] in user templates.
+// A placeholder can carry a default used when the value is unknown:
+// [Recipient First Name|there]
+
+const { query } = require('../db');
+
+// A bracket group on one line; doubled brackets such as "[My First Name]]" are
+// captured whole so they can be reported instead of half-rendered
+const BRACKET_GROUP_PATTERN = /(\[+)([^[\]\n]*)(\]+)/g;
+const STRAY_BRACKET_PATTERN = /[[\]]/;
+// Start of a line, up to three spaces in: where a markdown reference definition can begin
+const LINE_START_PATTERN = /(?:^|\n) {0,3}$/;
+const STRAY_CONTEXT_CHARS = 15;
+
+// Variables the renderer can fill, and where each value comes from
+const TEMPLATE_VARIABLES = [
+  { name: 'My First Name', source: 'profile', description: 'Your first name' },
+  { name: 'My Last Name', source: 'profile', description: 'Your last name' },
+  { name: 'My Full Name', source: 'profile', description: 'Your first and last name' },
+  { name: 'My Email', source: 'profile', description: 'Your email address' },
+  { name: 'My School', source: 'profile', description: 'Your school' },
+  { name: 'Recipient First Name', source: 'contact', description: "Recipient's first name" },
+  { name: 'Recipient Last Name', source: 'contact', description: "Recipient's last name" },
+  { name: 'Recipient Full Name', source: 'contact', description: "Recipient's first and last name" },
+  { name: 'Recipient Company', source: 'contact', description: "Recipient's current company" },
+  { name: 'Recipient Job Title', source: 'contact', description: "Recipient's job title" },
+  { name: 'Recipient Email', source: 'contact', description: "Recipient's email address" },
+  { name: 'Recipient City', source: 'contact', description: "Recipient's city" }
+];
+
+/**
+ * Build the placeholder values available for a sender/recipient pair
+ * @param {Object} params - { profile: user_profiles row, contact: contacts row, contactInfo: request contactInfo, to: recipient email }
+ *   contactInfo (camelCase, as sent by the extension) takes precedence over the stored contact
+ * @returns {Object} Map of placeholder name -> value (null when unknown)
+ */
+function buildTemplateVariables({ profile = null, contact = null, contactInfo = null, to = null } = {}) {
+  const myFirstName = profile?.first_name || null;
+  const myLastName = profile?.last_name || null;
+  const recipientFirstName = contactInfo?.firstName || contact?.first_name || null;
+  const recipientLastName = contactInfo?.lastName || contact?.last_name || null;
+
+  return {
+    'My First Name': myFirstName,
+    'My Last Name': myLastName,
+    'My Full Name': [myFirstName, myLastName].filter(Boolean).join(' ') || null,
+    'My Email': profile?.user_email || null,
+    'My School': profile?.school || null,
+    'Recipient First Name': recipientFirstName,
+    'Recipient Last Name': recipientLastName,
+    'Recipient Full Name': [recipientFirstName, recipientLastName].filter(Boolean).join(' ') || null,
+    'Recipient Company': contactInfo?.company || contact?.company || null,
+    'Recipient Job Title': contactInfo?.jobTitle || contact?.job_title || null,
+    'Recipient Email': to || contact?.primary_email || null,
+    'Recipient City': contact?.city || null
+  };
+}
+
+/**
+ * Whether a bracket group is part of markdown link syntax rather than a placeholder:
+ * [text](url), ![alt](src), [text][ref] and a "[ref]: url" definition
+ * @param {string} source - Full text
+ * @param {number} offset - Index of the group
+ * @param {number} length - Length of the group
+ * @returns {boolean}
+ */
+function isMarkdownLinkPart(source, offset, length) {
+  const before = source[offset - 1];
+  const after = source[offset + length];
+  if (after === '(' || after === '[' || before === ']') return true;
+  return after === ':' && LINE_START_PATTERN.test(source.slice(0, offset));
+}
+
+/**
+ * Replace known placeholders in a template string
+ * @param {string} text - Template text
+ * @param {Object} variables - Map from buildTemplateVariables
+ * @param {Object} options - { format } - 'markdown' leaves link syntax alone
+ * @returns {{text: string, unresolved: string[]}} Rendered text and the placeholders
+ *   (including malformed brackets) left in it
+ */
+function renderTemplate(text, variables, { format = 'text' } = {}) {
+  const lookup = new Map();
+  Object.entries(variables || {}).forEach(([name, value]) => {
+    lookup.set(name.trim().toLowerCase(), value);
+  });
+
+  const source = String(text || '');
+  const unresolved = new Set();
+  const rendered = source.replace(BRACKET_GROUP_PATTERN, (match, open, inner, close, offset) => {
+    if (format === 'markdown' && isMarkdownLinkPart(source, offset, match.length)) {
+      return match;
+    }
+    if (open.length > 1 || close.length > 1 || !inner.trim()) {
+      unresolved.add(match);
+      return match;
+    }
+
+    const pipe = inner.indexOf('|');
+    const name = (pipe === -1 ? inner : inner.slice(0, pipe)).trim().toLowerCase();
+    const value = lookup.get(name);
+    if (value !== null && value !== undefined && value !== '') {
+      return String(value);
+    }
+    if (pipe !== -1) {
+      return inner.slice(pipe + 1).trim();
+    }
+    unresolved.add(match);
+    return match;
+  });
+
+  // A "[" or "]" outside any group, e.g. a bracket never closed on its line;
+  // groups are blanked out (keeping offsets) and the stray is reported in context
+  source.split('\n').forEach(line => {
+    const masked = line.replace(BRACKET_GROUP_PATTERN, match => ' '.repeat(match.length));
+    const index = masked.search(STRAY_BRACKET_PATTERN);
+    if (index !== -1) {
+      unresolved.add(line.slice(Math.max(0, index - STRAY_CONTEXT_CHARS), index + STRAY_CONTEXT_CHARS + 1).trim());
+    }
+  });
+
+  return { text: rendered, unresolved: Array.from(unresolved) };
+}
+
+/**
+ * Bracket groups that are not template variables, such as
+ * "[Mention something specific about the recipient's current company]".
+ * Default templates use these as instructions for whoever completes the draft.
+ * @param {string} text - Template text
+ * @returns {string[]} Distinct slots as written, brackets included, in order of appearance
+ */
+function findInstructionSlots(text) {
+  const known = new Set(TEMPLATE_VARIABLES.map(variable => variable.name.toLowerCase()));
+  const slots = [];
+  for (const [match, open, inner, close] of String(text || '').matchAll(BRACKET_GROUP_PATTERN)) {
+    if (open.length > 1 || close.length > 1 || !inner.trim()) continue;
+    const name = inner.split('|')[0].trim().toLowerCase();
+    if (!known.has(name) && !slots.includes(match)) {
+      slots.push(match);
+    }
+  }
+  return slots;
+}
+
+/**
+ * Render an email's subject and body together
+ * @param {Object} email - { subject, body, format } - format is the body's ('text' or 'markdown')
+ * @param {Object} variables - Map from buildTemplateVariables
+ * @returns {{subject: string, body: string, unresolved: string[]}}
+ */
+function renderEmail({ subject, body, format = 'text' }, variables) {
+  const renderedSubject = renderTemplate(subject, variables);
+  const renderedBody = renderTemplate(body, variables, { format });
+  return {
+    subject: renderedSubject.text,
+    body: renderedBody.text,
+    unresolved: [...new Set([...renderedSubject.unresolved, ...renderedBody.unresolved])]
+  };
+}
+
+/**
+ * Load the sender's profile fields used by templates
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} user_profiles row
+ */
+async function loadSenderProfile(userId) {
+  const { rows } = await query(
+    'SELECT first_name, last_name, user_email, school, templates FROM user_profiles WHERE user_id = $1',
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Load placeholder values for a send from the user's profile, the stored
+ * contact for the recipient address and the request's contactInfo
+ * @param {string} userId - User ID
+ * @param {Object} params - { to, contactInfo }
+ * @returns {Promise<Object>} Map from buildTemplateVariables
+ */
+async function loadTemplateVariables(userId, { to, contactInfo = null }) {
+  const profile = await loadSenderProfile(userId);
+  const { rows: contacts } = await query(`
+    SELECT c.* FROM contacts c
+    JOIN contact_emails ce ON ce.contact_id = c.id
+    WHERE LOWER(ce.email) = LOWER($1)
+    ORDER BY ce.is_primary DESC, c.updated_at DESC
+    LIMIT 1
+  `, [to]);
+
+  return buildTemplateVariables({ profile, contact: contacts[0] || null, contactInfo, to });
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  buildTemplateVariables,
+  renderTemplate,
+  renderEmail,
+  findInstructionSlots,
+  loadSenderProfile,
+  loadTemplateVariables
+};
@@ -0,0 +1,90 @@
+// utils/threading.js
+// Reply context for follow-ups: lets an email continue the last conversation
+// with a connection (same Gmail thread, In-Reply-To/References, "Re:" subject)
+
+const { query } = require('../db');
+const { getUserMailbox } = require('./mailbox');
+
+// Keep References bounded: the first message plus the most recent ones (RFC 5322 3.6.4)
+const MAX_REFERENCES = 20;
+
+/**
+ * Prefix a subject with "Re:" unless it already has one
+ * @param {string|null} subject - Original subject
+ * @returns {string}
+ */
+function replySubject(subject) {
+  const base = String(subject || '').trim();
+  return /^re:/i.test(base) ? base : `Re: ${base}`.trim();
+}
+
+/**
+ * Fill in Message-ID headers missing from stored messages (sent before they were
+ * recorded) by reading the Gmail thread, when the user granted read access
+ * @param {string} userId - User ID
+ * @param {string} threadId - Gmail thread ID
+ * @param {Array} messages - Connection messages in the thread
+ * @returns {Promise<Array>} Messages with rfc_message_id where it could be found
+ */
+async function fillMissingMessageIds(userId, threadId, messages) {
+  if (!threadId || messages.every(m => m.rfc_message_id)) return messages;
+
+  const mailbox = await getUserMailbox(userId);
+  const thread = mailbox ? await mailbox.getThread(threadId) : null;
+  if (!thread) return messages;
+
+  const headers = new Map(thread.messages.map(m => [m.id, m.messageIdHeader]));
+  return messages.map(m => (m.rfc_message_id || !headers.get(m.gmail_message_id)
+    ? m
+    : { ...m, rfc_message_id: headers.get(m.gmail_message_id) }));
+}
+
+/**
+ * Find the conversation a reply to this recipient should continue
+ * @param {string} userId - User ID
+ * @param {string} to - Recipient email
+ * @returns {Promise<Object|null>} { contactId, subject, thread: { threadId, inReplyTo, references } },
+ *   or null when there is no earlier message to reply to
+ */
+async function findReplyContext(userId, to) {
+  const sql = `
+    SELECT c.contact_id, c.messages
+    FROM connections c
+    JOIN contact_emails ce ON ce.contact_id = c.contact_id
+    WHERE c.user_id = $1 AND LOWER(ce.email) = LOWER($2)
+    ORDER BY c.updated_at DESC
+    LIMIT 1
+  `;
+  const { rows } = await query(sql, [userId, to]);
+  if (rows.length === 0) return null;
+
+  // Drafts were never delivered, so there is nothing to thread under
+  const delivered = (rows[0].messages || []).filter(m => m.direction === 'sent' || m.direction === 'received');
+  const last = delivered[delivered.length - 1];
+  if (!last) return null;
+
+  const sameThread = last.gmail_thread_id
+    ? delivered.filter(m => m.gmail_thread_id === last.gmail_thread_id)
+    : delivered;
+  const conversation = await fillMissingMessageIds(userId, last.gmail_thread_id, sameThread);
+
+  const ids = conversation.map(m => m.rfc_message_id).filter(Boolean);
+  const references = ids.length > MAX_REFERENCES
+    ? [ids[0], ...ids.slice(ids.length - MAX_REFERENCES + 1)]
+    : ids;
+
+  return {
+    contactId: rows[0].contact_id,
+    subject: replySubject(conversation[0].subject),
+    thread: {
+      threadId: last.gmail_thread_id || null,
+      inReplyTo: conversation[conversation.length - 1].rfc_message_id || null,
+      references
+    }
+  };
+}
+
+module.exports = {
+  replySubject,
+  findReplyContext
+};
@@ -0,0 +1,243 @@
+// utils/time-zone-data.js
+// Offline location -> IANA time zone data used by utils/time-zones.js.
+// Names are matched after normalization (lowercase, no accents or punctuation).
+// Countries spanning several zones that matter for send times have no
+// country-level zone; they need a state or a city.
+
+// [ISO code, zone or null, ...names]
+const COUNTRIES = [
+  ['US', null, 'united states', 'united states of america', 'usa', 'u s a', 'america'],
+  ['CA', null, 'canada'],
+  ['AU', null, 'australia'],
+  ['RU', null, 'russia', 'russian federation'],
+  ['BR', 'America/Sao_Paulo', 'brazil', 'brasil'],
+  ['MX', 'America/Mexico_City', 'mexico'],
+  ['ID', 'Asia/Jakarta', 'indonesia'],
+  ['GB', 'Europe/London', 'united kingdom', 'uk', 'great britain', 'britain', 'england', 'scotland', 'wales', 'northern ireland'],
+  ['IE', 'Europe/Dublin', 'ireland'],
+  ['FR', 'Europe/Paris', 'france'],
+  ['DE', 'Europe/Berlin', 'germany', 'deutschland'],
+  ['NL', 'Europe/Amsterdam', 'netherlands', 'the netherlands', 'holland'],
+  ['BE', 'Europe/Brussels', 'belgium'],
+  ['LU', 'Europe/Luxembourg', 'luxembourg'],
+  ['CH', 'Europe/Zurich', 'switzerland'],
+  ['AT', 'Europe/Vienna', 'austria'],
+  ['IT', 'Europe/Rome', 'italy'],
+  ['ES', 'Europe/Madrid', 'spain'],
+  ['PT', 'Europe/Lisbon', 'portugal'],
+  ['DK', 'Europe/Copenhagen', 'denmark'],
+  ['SE', 'Europe/Stockholm', 'sweden'],
+  ['NO', 'Europe/Oslo', 'norway'],
+  ['FI', 'Europe/Helsinki', 'finland'],
+  ['IS', 'Atlantic/Reykjavik', 'iceland'],
+  ['PL', 'Europe/Warsaw', 'poland'],
+  ['CZ', 'Europe/Prague', 'czech republic', 'czechia'],
+  ['SK', 'Europe/Bratislava', 'slovakia'],
+  ['HU', 'Europe/Budapest', 'hungary'],
+  ['RO', 'Europe/Bucharest', 'romania'],
+  ['BG', 'Europe/Sofia', 'bulgaria'],
+  ['GR', 'Europe/Athens', 'greece'],
+  ['HR', 'Europe/Zagreb', 'croatia'],
+  ['SI', 'Europe/Ljubljana', 'slovenia'],
+  ['RS', 'Europe/Belgrade', 'serbia'],
+  ['UA', 'Europe/Kiev', 'ukraine'],
+  ['EE', 'Europe/Tallinn', 'estonia'],
+  ['LV', 'Europe/Riga', 'latvia'],
+  ['LT', 'Europe/Vilnius', 'lithuania'],
+  ['TR', 'Europe/Istanbul', 'turkey', 'turkiye'],
+  ['CY', 'Asia/Nicosia', 'cyprus'],
+  ['MT', 'Europe/Malta', 'malta'],
+  ['IL', 'Asia/Jerusalem', 'israel'],
+  ['AE', 'Asia/Dubai', 'united arab emirates', 'uae'],
+  ['SA', 'Asia/Riyadh', 'saudi arabia'],
+  ['QA', 'Asia/Qatar', 'qatar'],
+  ['KW', 'Asia/Kuwait', 'kuwait'],
+  ['BH', 'Asia/Bahrain', 'bahrain'],
+  ['OM', 'Asia/Muscat', 'oman'],
+  ['JO', 'Asia/Amman', 'jordan'],
+  ['LB', 'Asia/Beirut', 'lebanon'],
+  ['EG', 'Africa/Cairo', 'egypt'],
+  ['MA', 'Africa/Casablanca', 'morocco'],
+  ['TN', 'Africa/Tunis', 'tunisia'],
+  ['NG', 'Africa/Lagos', 'nigeria'],
+  ['GH', 'Africa/Accra', 'ghana'],
+  ['KE', 'Africa/Nairobi', 'kenya'],
+  ['ET', 'Africa/Addis_Ababa', 'ethiopia'],
+  ['RW', 'Africa/Kigali', 'rwanda'],
+  ['UG', 'Africa/Kampala', 'uganda'],
+  ['TZ', 'Africa/Dar_es_Salaam', 'tanzania'],
+  ['ZA', 'Africa/Johannesburg', 'south africa'],
+  ['IN', 'Asia/Kolkata', 'india'],
+  ['PK', 'Asia/Karachi', 'pakistan'],
+  ['BD', 'Asia/Dhaka', 'bangladesh'],
+  ['LK', 'Asia/Colombo', 'sri lanka'],
+  ['NP', 'Asia/Kathmandu', 'nepal'],
+  ['CN', 'Asia/Shanghai', 'china', 'peoples republic of china', 'prc'],
+  ['HK', 'Asia/Hong_Kong', 'hong kong', 'hong kong sar'],
+  ['TW', 'Asia/Taipei', 'taiwan'],
+  ['JP', 'Asia/Tokyo', 'japan'],
+  ['KR', 'Asia/Seoul', 'south korea', 'korea', 'republic of korea'],
+  ['SG', 'Asia/Singapore', 'singapore'],
+  ['MY', 'Asia/Kuala_Lumpur', 'malaysia'],
+  ['TH', 'Asia/Bangkok', 'thailand'],
+  ['VN', 'Asia/Ho_Chi_Minh', 'vietnam', 'viet nam'],
+  ['PH', 'Asia/Manila', 'philippines'],
+  ['NZ', 'Pacific/Auckland', 'new zealand'],
+  ['AR', 'America/Argentina/Buenos_Aires', 'argentina'],
+  ['CL', 'America/Santiago', 'chile'],
+  ['CO', 'America/Bogota', 'colombia'],
+  ['PE', 'America/Lima', 'peru'],
+  ['VE', 'America/Caracas', 'venezuela'],
+  ['EC', 'America/Guayaquil', 'ecuador'],
+  ['UY', 'America/Montevideo', 'uruguay'],
+  ['PY', 'America/Asuncion', 'paraguay'],
+  ['BO', 'America/La_Paz', 'bolivia'],
+  ['CR', 'America/Costa_Rica', 'costa rica'],
+  ['PA', 'America/Panama', 'panama'],
+  ['GT', 'America/Guatemala', 'guatemala'],
+  ['DO', 'America/Santo_Domingo', 'dominican republic'],
+  ['PR', 'America/Puerto_Rico', 'puerto rico'],
+  ['JM', 'America/Jamaica', 'jamaica']
+];
+
+// Country code -> [zone, ...state/province names and abbreviations]
+const STATES = {
+  US: [
+    ['America/New_York', 'connecticut', 'ct', 'delaware', 'de', 'district of columbia', 'dc', 'washington dc', 'washington d c',
+      'georgia', 'ga', 'maine', 'me', 'maryland', 'md', 'massachusetts', 'ma', 'new hampshire', 'nh', 'new jersey', 'nj',
+      'new york', 'ny', 'north carolina', 'nc', 'ohio', 'oh', 'pennsylvania', 'pa', 'rhode island', 'ri', 'south carolina', 'sc',
+      'vermont', 'vt', 'virginia', 'va', 'west virginia', 'wv', 'florida', 'fl', 'kentucky', 'ky'],
+    ['America/Detroit', 'michigan', 'mi'],
+    ['America/Indiana/Indianapolis', 'indiana', 'in'],
+    ['America/Chicago', 'alabama', 'al', 'arkansas', 'ar', 'illinois', 'il', 'iowa', 'ia', 'louisiana', 'la', 'minnesota', 'mn',
+      'mississippi', 'ms', 'missouri', 'mo', 'oklahoma', 'ok', 'wisconsin', 'wi', 'texas', 'tx', 'kansas', 'ks', 'nebraska', 'ne',
+      'south dakota', 'sd', 'north dakota', 'nd', 'tennessee', 'tn'],
+    ['America/Denver', 'colorado', 'co', 'montana', 'mt', 'new mexico', 'nm', 'utah', 'ut', 'wyoming', 'wy'],
+    ['America/Boise', 'idaho', 'id'],
+    ['America/Phoenix', 'arizona', 'az'],
+    ['America/Los_Angeles', 'california', 'ca', 'nevada', 'nv', 'oregon', 'or', 'washington', 'wa'],
+    ['America/Anchorage', 'alaska', 'ak'],
+    ['Pacific/Honolulu', 'hawaii', 'hi']
+  ],
+  CA: [
+    ['America/Vancouver', 'british columbia', 'bc'],
+    ['America/Edmonton', 'alberta', 'ab', 'northwest territories', 'nt'],
+    ['America/Regina', 'saskatchewan', 'sk'],
+    ['America/Winnipeg', 'manitoba', 'mb'],
+    ['America/Toronto', 'ontario', 'on', 'quebec', 'qc'],
+    ['America/Halifax', 'nova scotia', 'ns', 'new brunswick', 'nb', 'prince edward island', 'pe', 'pei'],
+    ['America/St_Johns', 'newfoundland and labrador', 'newfoundland', 'nl'],
+    ['America/Whitehorse', 'yukon', 'yt'],
+    ['America/Iqaluit', 'nunavut', 'nu']
+  ],
+  AU: [
+    ['Australia/Sydney', 'new south wales', 'nsw', 'australian capital territory', 'act'],
+    ['Australia/Melbourne', 'victoria', 'vic'],
+    ['Australia/Brisbane', 'queensland', 'qld'],
+    ['Australia/Adelaide', 'south australia', 'sa'],
+    ['Australia/Perth', 'western australia', 'wa'],
+    ['Australia/Hobart', 'tasmania', 'tas'],
+    ['Australia/Darwin', 'northern territory', 'nt']
+  ],
+  RU: [
+    ['Europe/Moscow', 'moscow', 'moscow oblast', 'saint petersburg', 'st petersburg', 'leningrad oblast'],
+    ['Asia/Yekaterinburg', 'sverdlovsk oblast'],
+    ['Asia/Novosibirsk', 'novosibirsk oblast'],
+    ['Asia/Vladivostok', 'primorsky krai']
+  ]
+};
+
+// Zone -> [country code, ...city names]. A city name may appear under
+// several countries; the contact's country picks between them.
+const CITIES = [
+  ['America/New_York', 'US', 'new york', 'new york city', 'nyc', 'brooklyn', 'manhattan', 'queens', 'boston', 'cambridge',
+    'philadelphia', 'atlanta', 'miami', 'orlando', 'tampa', 'charlotte', 'raleigh', 'durham', 'pittsburgh', 'baltimore',
+    'columbus', 'cleveland', 'cincinnati', 'jersey city', 'hoboken', 'newark', 'stamford', 'washington dc baltimore'],
+  ['America/Detroit', 'US', 'detroit', 'ann arbor'],
+  ['America/Indiana/Indianapolis', 'US', 'indianapolis'],
+  ['America/Chicago', 'US', 'chicago', 'dallas', 'dallas fort worth', 'fort worth', 'houston', 'austin', 'san antonio',
+    'minneapolis', 'minneapolis st paul', 'nashville', 'st louis', 'saint louis', 'kansas city', 'new orleans', 'milwaukee',
+    'madison', 'omaha'],
+  ['America/Denver', 'US', 'denver', 'boulder', 'salt lake city', 'albuquerque'],
+  ['America/Phoenix', 'US', 'phoenix', 'scottsdale', 'tempe'],
+  ['America/Los_Angeles', 'US', 'los angeles', 'san francisco', 'san francisco bay', 'san jose', 'palo alto', 'mountain view',
+    'menlo park', 'sunnyvale', 'cupertino', 'santa clara', 'redwood city', 'oakland', 'berkeley', 'silicon valley', 'seattle',
+    'redmond', 'bellevue', 'kirkland', 'portland', 'san diego', 'las vegas', 'sacramento', 'irvine', 'santa monica', 'pasadena'],
+  ['America/Anchorage', 'US', 'anchorage'],
+  ['Pacific/Honolulu', 'US', 'honolulu'],
+  ['America/Toronto', 'CA', 'toronto', 'ottawa', 'montreal', 'quebec city', 'waterloo', 'kitchener', 'mississauga', 'london'],
+  ['America/Vancouver', 'CA', 'vancouver', 'victoria'],
+  ['America/Edmonton', 'CA', 'calgary', 'edmonton'],
+  ['America/Winnipeg', 'CA', 'winnipeg'],
+  ['America/Halifax', 'CA', 'halifax'],
+  ['Australia/Sydney', 'AU', 'sydney', 'canberra'],
+  ['Australia/Melbourne', 'AU', 'melbourne'],
+  ['Australia/Brisbane', 'AU', 'brisbane', 'gold coast'],
+  ['Australia/Perth', 'AU', 'perth'],
+  ['Australia/Adelaide', 'AU', 'adelaide'],
+  ['Australia/Hobart', 'AU', 'hobart'],
+  ['Australia/Darwin', 'AU', 'darwin'],
+  ['Europe/Moscow', 'RU', 'moscow', 'saint petersburg', 'st petersburg'],
+  ['Asia/Yekaterinburg', 'RU', 'yekaterinburg'],
+  ['Asia/Novosibirsk', 'RU', 'novosibirsk'],
+  ['Asia/Vladivostok', 'RU', 'vladivostok'],
+  ['America/Sao_Paulo', 'BR', 'sao paulo', 'rio de janeiro', 'belo horizonte', 'brasilia'],
+  ['America/Manaus', 'BR', 'manaus'],
+  ['America/Mexico_City', 'MX', 'mexico city', 'guadalajara', 'monterrey'],
+  ['America/Tijuana', 'MX', 'tijuana'],
+  ['Europe/London', 'GB', 'london', 'manchester', 'birmingham', 'edinburgh', 'glasgow', 'bristol', 'leeds', 'cambridge', 'oxford'],
+  ['Europe/Dublin', 'IE', 'dublin', 'cork'],
+  ['Europe/Paris', 'FR', 'paris', 'lyon'],
+  ['Europe/Berlin', 'DE', 'berlin', 'munich', 'hamburg', 'frankfurt', 'cologne'],
+  ['Europe/Amsterdam', 'NL', 'amsterdam', 'rotterdam', 'the hague', 'utrecht', 'eindhoven'],
+  ['Europe/Brussels', 'BE', 'brussels', 'antwerp'],
+  ['Europe/Zurich', 'CH', 'zurich', 'geneva', 'basel', 'lausanne'],
+  ['Europe/Vienna', 'AT', 'vienna'],
+  ['Europe/Rome', 'IT', 'rome', 'milan', 'turin'],
+  ['Europe/Madrid', 'ES', 'madrid', 'barcelona', 'valencia'],
+  ['Europe/Lisbon', 'PT', 'lisbon', 'porto'],
+  ['Europe/Copenhagen', 'DK', 'copenhagen'],
+  ['Europe/Stockholm', 'SE', 'stockholm', 'gothenburg'],
+  ['Europe/Oslo', 'NO', 'oslo'],
+  ['Europe/Helsinki', 'FI', 'helsinki'],
+  ['Europe/Warsaw', 'PL', 'warsaw', 'krakow', 'wroclaw'],
+  ['Europe/Prague', 'CZ', 'prague'],
+  ['Europe/Budapest', 'HU', 'budapest'],
+  ['Europe/Bucharest', 'RO', 'bucharest'],
+  ['Europe/Athens', 'GR', 'athens'],
+  ['Europe/Kiev', 'UA', 'kyiv', 'kiev'],
+  ['Europe/Istanbul', 'TR', 'istanbul', 'ankara'],
+  ['Asia/Jerusalem', 'IL', 'tel aviv', 'tel aviv yafo', 'jerusalem', 'haifa'],
+  ['Asia/Dubai', 'AE', 'dubai', 'abu dhabi'],
+  ['Asia/Riyadh', 'SA', 'riyadh', 'jeddah'],
+  ['Africa/Cairo', 'EG', 'cairo'],
+  ['Africa/Lagos', 'NG', 'lagos', 'abuja'],
+  ['Africa/Nairobi', 'KE', 'nairobi'],
+  ['Africa/Johannesburg', 'ZA', 'johannesburg', 'cape town', 'pretoria'],
+  ['Asia/Kolkata', 'IN', 'mumbai', 'bangalore', 'bengaluru', 'delhi', 'new delhi', 'gurgaon', 'gurugram', 'noida', 'hyderabad',
+    'chennai', 'pune', 'kolkata'],
+  ['Asia/Karachi', 'PK', 'karachi', 'lahore', 'islamabad'],
+  ['Asia/Dhaka', 'BD', 'dhaka'],
+  ['Asia/Singapore', 'SG', 'singapore'],
+  ['Asia/Hong_Kong', 'HK', 'hong kong'],
+  ['Asia/Shanghai', 'CN', 'shanghai', 'beijing', 'shenzhen', 'guangzhou', 'hangzhou'],
+  ['Asia/Taipei', 'TW', 'taipei'],
+  ['Asia/Tokyo', 'JP', 'tokyo', 'osaka', 'kyoto'],
+  ['Asia/Seoul', 'KR', 'seoul'],
+  ['Asia/Bangkok', 'TH', 'bangkok'],
+  ['Asia/Jakarta', 'ID', 'jakarta'],
+  ['Asia/Manila', 'PH', 'manila'],
+  ['Asia/Kuala_Lumpur', 'MY', 'kuala lumpur'],
+  ['Asia/Ho_Chi_Minh', 'VN', 'ho chi minh city', 'saigon', 'hanoi'],
+  ['Pacific/Auckland', 'NZ', 'auckland', 'wellington'],
+  ['America/Argentina/Buenos_Aires', 'AR', 'buenos aires'],
+  ['America/Santiago', 'CL', 'santiago'],
+  ['America/Bogota', 'CO', 'bogota', 'medellin'],
+  ['America/Lima', 'PE', 'lima']
+];
+
+module.exports = {
+  COUNTRIES,
+  STATES,
+  CITIES
+};
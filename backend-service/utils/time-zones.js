@@ -0,0 +1,239 @@
+// utils/time-zones.js
+// Recipient time zones from contact locations (offline, see time-zone-data.js)
+// and delivery windows such as "8:00-10:00 recipient-local time, weekdays only".
+
+const { COUNTRIES, STATES, CITIES } = require('./time-zone-data');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+// Tried in this order when a location has a state but no recognizable country
+const STATE_COUNTRY_ORDER = ['US', 'CA', 'AU', 'RU'];
+
+/**
+ * Normalize a place name for lookup: "Greater São Paulo Area" -> "sao paulo"
+ * @param {string} name - Place name
+ * @returns {string}
+ */
+function normalizePlace(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    // LinkedIn metro names
+    .replace(/^greater /, '')
+    .replace(/ (metropolitan|metro|bay)? ?area$/, '')
+    .replace(/ metroplex$/, '')
+    .trim();
+}
+
+const countryByName = new Map();
+for (const [code, zone, ...names] of COUNTRIES) {
+  for (const name of [code.toLowerCase(), ...names]) {
+    countryByName.set(name, { code, zone });
+  }
+}
+
+const stateZones = {};
+for (const [country, groups] of Object.entries(STATES)) {
+  stateZones[country] = new Map();
+  for (const [zone, ...names] of groups) {
+    names.forEach(name => stateZones[country].set(name, zone));
+  }
+}
+
+// name -> [{ zone, country }]
+const cityZones = new Map();
+for (const [zone, country, ...names] of CITIES) {
+  for (const name of names) {
+    if (!cityZones.has(name)) cityZones.set(name, []);
+    cityZones.get(name).push({ zone, country });
+  }
+}
+
+/**
+ * Resolve a contact's location to an IANA time zone. Any field may hold a full
+ * "City, State, Country" string (older contacts keep their LinkedIn location in city).
+ * @param {Object} location - { city, state, country }
+ * @returns {{timeZone: string, source: 'city'|'state'|'country'}|null} Null when the location is unknown
+ *   or only names a country that spans several zones
+ */
+function resolveTimeZone({ city = null, state = null, country = null } = {}) {
+  const parts = [city, state, country]
+    .flatMap(value => String(value || '').split(','))
+    .map(normalizePlace)
+    .filter(Boolean);
+  if (parts.length === 0) return null;
+
+  // The country is the last part that names one
+  const countryMatch = [...parts].reverse().map(part => countryByName.get(part)).find(Boolean) || null;
+  const countryCode = countryMatch?.code || null;
+
+  for (const part of parts) {
+    const candidates = cityZones.get(part) || [];
+    const match = countryCode
+      ? candidates.find(candidate => candidate.country === countryCode)
+      : candidates[0];
+    if (match) return { timeZone: match.zone, source: 'city' };
+  }
+
+  const stateCountries = countryCode ? [countryCode] : STATE_COUNTRY_ORDER;
+  for (const part of parts) {
+    for (const code of stateCountries) {
+      const zone = stateZones[code]?.get(part);
+      if (zone) return { timeZone: zone, source: 'state' };
+    }
+  }
+
+  return countryMatch?.zone ? { timeZone: countryMatch.zone, source: 'country' } : null;
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}}
+ *   weekday is 0 (Sunday) - 6
+ */
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {number} Minutes east of UTC
+ */
+function utcOffsetMinutes(date, timeZone) {
+  const local = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+  return Math.round((asUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+/**
+ * Instant at which a time zone's clocks show a given wall-clock time
+ * @param {Object} wallClock - { year, month, day, hour, minute }
+ * @param {string} timeZone - IANA zone
+ * @returns {Date}
+ */
+function zonedTimeToDate({ year, month, day, hour, minute }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = new Date(asUtc - utcOffsetMinutes(new Date(asUtc), timeZone) * 60000);
+  // The offset can differ on the far side of a DST change
+  return new Date(asUtc - utcOffsetMinutes(guess, timeZone) * 60000);
+}
+
+/**
+ * Format an offset as "+05:30"
+ * @param {number} minutes - Minutes east of UTC
+ * @returns {string}
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Current local time in a time zone, for display
+ * @param {string} timeZone - IANA zone
+ * @param {Date} now - Reference time
+ * @returns {{timeZone: string, localTime: string, weekday: string, utcOffset: string}}
+ *   localTime is "YYYY-MM-DDTHH:mm" wall-clock time
+ */
+function describeLocalTime(timeZone, now = new Date()) {
+  const local = zonedParts(now, timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  return {
+    timeZone,
+    localTime: `${local.year}-${pad(local.month)}-${pad(local.day)}T${pad(local.hour)}:${pad(local.minute)}`,
+    weekday: WEEKDAYS[local.weekday],
+    utcOffset: formatOffset(utcOffsetMinutes(now, timeZone))
+  };
+}
+
+/**
+ * Validate a delivery window preference
+ * @param {Object} value - { start: "HH:MM", end: "HH:MM", weekdaysOnly?: boolean }
+ * @returns {{start: string, end: string, weekdaysOnly: boolean}|null} Null when it is not a valid window
+ */
+function normalizeDeliveryWindow(value) {
+  if (!value || typeof value !== 'object') return null;
+  const { start, end, weekdaysOnly = false } = value;
+  if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || start >= end || typeof weekdaysOnly !== 'boolean') {
+    return null;
+  }
+  return { start, end, weekdaysOnly };
+}
+
+/**
+ * Minutes since midnight for "HH:MM"
+ * @param {string} time
+ * @returns {number}
+ */
+function minutesOfDay(time) {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * When a delivery window next opens in a time zone
+ * @param {Object} window - Normalized delivery window
+ * @param {string} timeZone - Recipient's IANA zone
+ * @param {Date} now - Reference time
+ * @returns {Date|null} Null when the window is open now
+ */
+function nextWindowOpening(window, timeZone, now = new Date()) {
+  const local = zonedParts(now, timeZone);
+  const current = local.hour * 60 + local.minute;
+  const start = minutesOfDay(window.start);
+  const end = minutesOfDay(window.end);
+  const allowedDay = weekday => !window.weekdaysOnly || (weekday !== 0 && weekday !== 6);
+
+  if (allowedDay(local.weekday) && current >= start && current < end) {
+    return null;
+  }
+
+  for (let offset = 0; offset <= 7; offset++) {
+    if (!allowedDay((local.weekday + offset) % 7)) continue;
+    if (offset === 0 && current >= start) continue;
+
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    return zonedTimeToDate({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      hour: Math.floor(start / 60),
+      minute: start % 60
+    }, timeZone);
+  }
+  return null;
+}
+
+module.exports = {
+  normalizePlace,
+  resolveTimeZone,
+  describeLocalTime,
+  normalizeDeliveryWindow,
+  nextWindowOpening
+};
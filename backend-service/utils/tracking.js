@@ -0,0 +1,179 @@
+// utils/tracking.js
+// Open and click tracking. A tracked email gets a 1x1 pixel and has its links
+// rewritten to go through /api/track; both carry an HMAC-signed token naming
+// the sender, the recipient and the email's Message-ID, so hits cannot be
+// forged and the click route cannot be used as an open redirect.
+
+const crypto = require('crypto');
+const { query } = require('../db');
+
+// 16 bytes of HMAC-SHA256 are plenty to make tokens unguessable
+const SIGNATURE_BYTES = 16;
+
+/**
+ * Key for signing tracking tokens
+ * @returns {Buffer|null} null when neither TRACKING_SECRET nor JWT_SECRET is set
+ */
+function getTrackingKey() {
+  const secret = process.env.TRACKING_SECRET || process.env.JWT_SECRET;
+  // Derived, so a JWT_SECRET fallback is never used directly for two purposes
+  return secret ? crypto.createHmac('sha256', secret).update('email-tracking').digest() : null;
+}
+
+/**
+ * Public origin of this backend, which tracking URLs point at.
+ * Falls back to the origin of the Google OAuth callback, which lives here too.
+ * @returns {string|null}
+ */
+function getTrackingBaseUrl() {
+  const configured = (process.env.TRACKING_BASE_URL || '').trim();
+  if (configured) return configured.replace(/\/+$/, '');
+  try {
+    return new URL(process.env.GOOGLE_REDIRECT_URI).origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether tracked emails can be sent on this server
+ * @returns {boolean}
+ */
+function isTrackingConfigured() {
+  return Boolean(getTrackingKey() && getTrackingBaseUrl());
+}
+
+/**
+ * Sign a tracking payload
+ * @param {Object} payload - { u: userId, m: Message-ID, r: recipient, l?: link URL }
+ * @returns {string} base64url payload and signature, joined by '.'
+ */
+function createTrackingToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', getTrackingKey()).update(body).digest().subarray(0, SIGNATURE_BYTES);
+  return `${body}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Check and decode a tracking token
+ * @param {string} token
+ * @returns {Object|null} Payload, or null when the token is malformed or its signature does not match
+ */
+function verifyTrackingToken(token) {
+  const key = getTrackingKey();
+  const [body, signature] = String(token || '').split('.');
+  if (!key || !body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', key).update(body).digest().subarray(0, SIGNATURE_BYTES);
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return payload && typeof payload.u === 'string' && typeof payload.m === 'string' ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode the HTML entities that can appear in an href
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeHref(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Add the open pixel to an email's HTML and route its web links through the click redirect
+ * @param {string} html - Full HTML document from buildMessageParts
+ * @param {Object} tracking - { userId, messageId, to }
+ * @returns {string}
+ */
+function addTracking(html, { userId, messageId, to }) {
+  const baseUrl = getTrackingBaseUrl();
+  const payload = { u: userId, m: messageId, r: to };
+
+  const linked = html.replace(/(<a\s[^>]*href=)(["'])(https?:\/\/[^"']+)\2/gi, (match, prefix, quote, href) => {
+    const token = createTrackingToken({ ...payload, l: decodeHref(href) });
+    return `${prefix}${quote}${baseUrl}/api/track/click/${token}${quote}`;
+  });
+
+  const pixel = `<img src="${baseUrl}/api/track/open/${createTrackingToken(payload)}.gif" width="1" height="1" alt="" style="display:block;border:0;width:1px;height:1px;">`;
+  return linked.includes('</body>') ? linked.replace('</body>', `${pixel}\n</body>`) : `${linked}${pixel}`;
+}
+
+/**
+ * Whether a send should be tracked
+ * @param {string} userId - User ID
+ * @param {boolean|null} track - Per-send choice; null/undefined follows preferences.trackEmails
+ * @returns {Promise<boolean>} Always false when tracking is not configured on this server
+ */
+async function shouldTrack(userId, track = null) {
+  if (!isTrackingConfigured()) return false;
+  if (typeof track === 'boolean') return track;
+  const { rows } = await query('SELECT preferences FROM user_profiles WHERE user_id = $1', [userId]);
+  return rows[0]?.preferences?.trackEmails === true;
+}
+
+/**
+ * Record an open or click from a verified token
+ * @param {Object} payload - verifyTrackingToken() result
+ * @param {string} eventType - 'open' or 'click'
+ * @param {string|null} userAgent - Requesting user agent (often a mail provider's image proxy)
+ */
+async function recordTrackingEvent(payload, eventType, userAgent = null) {
+  await query(`
+    INSERT INTO email_tracking_events (user_id, contact_id, message_id, event_type, url, user_agent)
+    VALUES ($1, (
+      SELECT ce.contact_id FROM contact_emails ce
+      WHERE LOWER(ce.email) = LOWER($3)
+      ORDER BY ce.is_primary DESC NULLS LAST
+      LIMIT 1
+    ), $2, $4, $5, $6)
+  `, [payload.u, payload.m, payload.r || '', eventType, payload.l || null, userAgent ? userAgent.slice(0, 500) : null]);
+}
+
+/**
+ * Opens and clicks on a connection's emails, by Message-ID
+ * @param {string} userId - User ID
+ * @param {number} contactId - Contact ID
+ * @returns {Promise<Object>} { [messageId]: { opens, firstOpenedAt, lastOpenedAt, clicks: [{ url, count, lastClickedAt }] } }
+ */
+async function getConnectionTracking(userId, contactId) {
+  const { rows } = await query(`
+    SELECT message_id, event_type, url, COUNT(*)::int AS count, MIN(created_at) AS first_at, MAX(created_at) AS last_at
+    FROM email_tracking_events
+    WHERE user_id = $1 AND contact_id = $2
+    GROUP BY message_id, event_type, url
+    ORDER BY MIN(created_at) ASC
+  `, [userId, contactId]);
+
+  const byMessage = {};
+  for (const row of rows) {
+    const entry = byMessage[row.message_id] || (byMessage[row.message_id] = { opens: 0, firstOpenedAt: null, lastOpenedAt: null, clicks: [] });
+    if (row.event_type === 'open') {
+      entry.opens = row.count;
+      entry.firstOpenedAt = row.first_at;
+      entry.lastOpenedAt = row.last_at;
+    } else {
+      entry.clicks.push({ url: row.url, count: row.count, lastClickedAt: row.last_at });
+    }
+  }
+  return byMessage;
+}
+
+module.exports = {
+  isTrackingConfigured,
+  verifyTrackingToken,
+  addTracking,
+  shouldTrack,
+  recordTrackingEvent,
+  getConnectionTracking
+};